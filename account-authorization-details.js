@@ -0,0 +1,307 @@
+/**
+ * Account Authorization Details Module
+ * Offline data source built from the output of `aws iam get-account-authorization-details`
+ *
+ * Implements the same data methods as the live IAM API path in AWSHandler
+ * (listAllPolicies, getPolicyDetails, getPolicyVersion, listPolicyVersions and the
+ * version writes, which fail on the read-only snapshot) and returns the same { success, data } results.
+ */
+
+class AccountAuthorizationDetailsSource {
+    constructor(details) {
+        this.users = details.UserDetailList || [];
+        this.groups = details.GroupDetailList || [];
+        this.roles = details.RoleDetailList || [];
+        this.policies = details.Policies || [];
+        this.unreadable = new Map(); // label -> error of documents that could not be decoded
+
+        this.policiesByArn = new Map();
+        this.policies.forEach(policy => {
+            this.policiesByArn.set(policy.Arn, policy);
+        });
+    }
+
+    /**
+     * Check if parsed JSON looks like get-account-authorization-details output
+     */
+    static isAuthorizationDetails(parsed) {
+        return !!parsed && typeof parsed === 'object' && !Array.isArray(parsed) &&
+            ['UserDetailList', 'GroupDetailList', 'RoleDetailList', 'Policies'].some(key => Array.isArray(parsed[key]));
+    }
+
+    /**
+     * Decode a policy document (the raw API returns URL-encoded JSON, the CLI returns objects)
+     */
+    static decodeDocument(policyDocument) {
+        if (typeof policyDocument === 'string') {
+            return JSON.parse(decodeURIComponent(policyDocument));
+        }
+        return policyDocument;
+    }
+
+    /**
+     * Decode a document of the import; a malformed one is recorded as unreadable and
+     * skipped (null) so it does not abort the whole import
+     */
+    readDocument(policyDocument, label) {
+        try {
+            return AccountAuthorizationDetailsSource.decodeDocument(policyDocument);
+        } catch (error) {
+            this.unreadable.set(label, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Documents skipped so far because they could not be decoded: ["label: error"]
+     */
+    getUnreadableDocuments() {
+        return [...this.unreadable.entries()].map(([label, error]) => `${label}: ${error}`);
+    }
+
+    /**
+     * Summary of the imported account
+     */
+    getSummary() {
+        const arn = [...this.users, ...this.groups, ...this.roles, ...this.policies]
+            .map(entity => entity.Arn)
+            .find(entityArn => entityArn && !entityArn.includes(':aws:policy/'));
+
+        return {
+            accountId: arn ? arn.split(':')[4] : null,
+            users: this.users.length,
+            groups: this.groups.length,
+            roles: this.roles.length,
+            policies: this.policies.length
+        };
+    }
+
+    /**
+     * List managed, inline and trust policies in the same shape as the live API fallbacks
+     */
+    async listAllPolicies() {
+        const result = {
+            awsManaged: [],
+            customerManaged: [],
+            inlinePolicies: [],
+            trustPolicies: [],
+            attachedPolicies: []
+        };
+
+        this.policies.forEach(policy => {
+            const managedPolicy = this.toPolicyDetails(policy);
+            if (policy.Arn.includes(':aws:policy/')) {
+                result.awsManaged.push(managedPolicy);
+            } else {
+                result.customerManaged.push(managedPolicy);
+            }
+        });
+
+        const addInline = (policyList, owner, ownerName) => {
+            (policyList || []).forEach(inlinePolicy => {
+                const policyDocument = this.readDocument(inlinePolicy.PolicyDocument, `${inlinePolicy.PolicyName} (inline, ${ownerName})`);
+                if (!policyDocument) return;
+                result.inlinePolicies.push({
+                    PolicyName: inlinePolicy.PolicyName,
+                    PolicyDocument: policyDocument,
+                    isInline: true,
+                    ...owner
+                });
+            });
+        };
+
+        this.users.forEach(user => addInline(user.UserPolicyList, { userName: user.UserName }, `user ${user.UserName}`));
+        this.groups.forEach(group => addInline(group.GroupPolicyList, { groupName: group.GroupName }, `group ${group.GroupName}`));
+        this.roles.forEach(role => {
+            addInline(role.RolePolicyList, { roleName: role.RoleName }, `role ${role.RoleName}`);
+
+            const trustDocument = role.AssumeRolePolicyDocument ?
+                this.readDocument(role.AssumeRolePolicyDocument, `${role.RoleName} (trust policy)`) : null;
+            if (trustDocument) {
+                result.trustPolicies.push({
+                    PolicyName: `${role.RoleName} (trust policy)`,
+                    PolicyDocument: trustDocument,
+                    isTrustPolicy: true,
+                    roleName: role.RoleName,
+                    roleArn: role.Arn,
+                    CreateDate: role.CreateDate
+                });
+            }
+        });
+
+        const summary = this.getSummary();
+
+        return {
+            success: true,
+            data: result,
+            mode: 'import',
+            message: `Imported ${summary.policies} managed policies, ${summary.users} users, ${summary.groups} groups and ${summary.roles} roles`,
+            warnings: this.getUnreadableDocuments()
+        };
+    }
+
+    /**
+     * Users and roles with every policy that applies to them, in the source shape
+     * used by AWSHandler.buildEffectivePolicyInfo (users include their groups' policies)
+     */
+    getPrincipals() {
+        const groupsByName = new Map(this.groups.map(group => [group.GroupName, group]));
+
+        const managedSources = (attachedPolicies, attachedVia) => (attachedPolicies || []).map(attached => {
+            const policy = this.policiesByArn.get(attached.PolicyArn);
+            const version = policy && (policy.PolicyVersionList || []).find(v => v.IsDefaultVersion);
+            return {
+                name: attached.PolicyName,
+                arn: attached.PolicyArn,
+                type: 'managed',
+                attachedVia,
+                label: attachedVia.startsWith('group:') ? `${attached.PolicyName} (via group ${attachedVia.substring(6)})` : attached.PolicyName,
+                document: version ? this.readDocument(version.Document, `${attached.PolicyName} (${version.VersionId})`) : null
+            };
+        }).filter(source => source.document);
+
+        const inlineSources = (policyList, attachedVia, ownerName) => (policyList || []).map(inlinePolicy => ({
+            name: inlinePolicy.PolicyName,
+            type: 'inline',
+            attachedVia,
+            label: attachedVia.startsWith('group:') ?
+                `${inlinePolicy.PolicyName} (inline, via group ${attachedVia.substring(6)})` :
+                `${inlinePolicy.PolicyName} (inline)`,
+            document: this.readDocument(inlinePolicy.PolicyDocument, `${inlinePolicy.PolicyName} (inline, ${ownerName})`)
+        })).filter(source => source.document);
+
+        const users = this.users.map(user => ({
+            type: 'user',
+            name: user.UserName,
+            arn: user.Arn,
+            sources: [
+                ...managedSources(user.AttachedManagedPolicies, 'user'),
+                ...inlineSources(user.UserPolicyList, 'user', `user ${user.UserName}`),
+                ...(user.GroupList || []).flatMap(groupName => {
+                    const group = groupsByName.get(groupName);
+                    return group ? [
+                        ...managedSources(group.AttachedManagedPolicies, `group:${groupName}`),
+                        ...inlineSources(group.GroupPolicyList, `group:${groupName}`, `group ${groupName}`)
+                    ] : [];
+                })
+            ]
+        }));
+
+        const roles = this.roles.map(role => ({
+            type: 'role',
+            name: role.RoleName,
+            arn: role.Arn,
+            sources: [
+                ...managedSources(role.AttachedManagedPolicies, 'role'),
+                ...inlineSources(role.RolePolicyList, 'role', `role ${role.RoleName}`)
+            ],
+            trustPolicy: role.AssumeRolePolicyDocument ?
+                this.readDocument(role.AssumeRolePolicyDocument, `${role.RoleName} (trust policy)`) : null
+        }));
+
+        return [...users, ...roles];
+    }
+
+    /**
+     * ARN of the permissions boundary set on a user or role, if any
+     */
+    getPermissionsBoundaryArn({ userName = null, roleName = null }) {
+        const principal = roleName ?
+            this.roles.find(role => role.RoleName === roleName) :
+            this.users.find(user => user.UserName === userName);
+
+        return principal && principal.PermissionsBoundary ? principal.PermissionsBoundary.PermissionsBoundaryArn : null;
+    }
+
+    /**
+     * Managed policy metadata without its versions (same shape as GetPolicy)
+     */
+    toPolicyDetails(policy) {
+        const { PolicyVersionList, ...details } = policy;
+        return details;
+    }
+
+    /**
+     * Get detailed information about a specific policy
+     */
+    async getPolicyDetails(policyArn) {
+        const policy = this.policiesByArn.get(policyArn);
+        if (!policy) {
+            return {
+                success: false,
+                error: `Policy ${policyArn} is not in the imported account data`
+            };
+        }
+
+        return {
+            success: true,
+            data: this.toPolicyDetails(policy)
+        };
+    }
+
+    /**
+     * Get the policy document for a specific version
+     */
+    async getPolicyVersion(policyArn, versionId) {
+        const policy = this.policiesByArn.get(policyArn);
+        const version = policy && (policy.PolicyVersionList || []).find(v => v.VersionId === versionId);
+
+        if (!version) {
+            return {
+                success: false,
+                error: `Version ${versionId} of ${policyArn} is not in the imported account data`
+            };
+        }
+
+        try {
+            return {
+                success: true,
+                data: {
+                    ...version,
+                    Document: AccountAuthorizationDetailsSource.decodeDocument(version.Document)
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: `Invalid policy document in ${versionId}: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * List all versions of a policy
+     */
+    async listPolicyVersions(policyArn) {
+        const policy = this.policiesByArn.get(policyArn);
+        if (!policy) {
+            return {
+                success: false,
+                error: `Policy ${policyArn} is not in the imported account data`
+            };
+        }
+
+        return {
+            success: true,
+            data: (policy.PolicyVersionList || []).map(({ Document, ...version }) => version)
+        };
+    }
+
+    /**
+     * Imported data is a read-only snapshot
+     */
+    async setDefaultPolicyVersion() {
+        return {
+            success: false,
+            error: 'Imported account data is read-only'
+        };
+    }
+
+    async createPolicyVersion() {
+        return this.setDefaultPolicyVersion();
+    }
+
+    async deletePolicyVersion() {
+        return this.setDefaultPolicyVersion();
+    }
+}
@@ -14,9 +14,17 @@ class App {
         this.currentPolicy = null;
         this.currentPolicyArn = null;
         this.currentSecurityAnalysis = null;
+        this.rulesError = null; // Why the built-in rule packs failed to load
         this.policyExpansion = new PolicyExpansion();
         this.isLimitedMode = false;
+        this.isOfflineMode = false;
+        this.isImportMode = false;
+        this.offlinePolicyName = null;
         this.inlinePolicies = [];
+        this.guardrailLayers = [];
+        this.cloudTrailRecords = [];
+        this.lastAccessed = null; // { policyArn, data } for the open policy
+        this.remediatedDocument = null;
 
         this.init();
     }
@@ -25,6 +33,20 @@ class App {
      * Initialize the application
      */
     async init() {
+        try {
+            // Load the built-in escalation rules before anything is analyzed
+            await rulePacks.initialize();
+            this.refreshRulePacks();
+        } catch (error) {
+            console.error('Failed to load escalation rule packs:', error);
+            this.rulesError = error.message;
+            this.showError(`Escalation rules could not be loaded, policies will not be scored until the page is reloaded: ${error.message}`);
+        }
+
+        // Custom rules are kept in browser storage
+        customRules.load();
+        this.loadCustomRulesEditor();
+
         try {
             // Initialize policy expansion analyzer
             await this.policyExpansion.initialize();
@@ -39,6 +61,16 @@ class App {
         }
     }
 
+    /**
+     * Scoring without the built-in rule packs would report every policy as free of
+     * escalation methods, so analysis is refused until they load
+     */
+    checkRulesLoaded() {
+        if (!this.rulesError) return true;
+        this.showError(`Escalation rules not loaded (${this.rulesError}), reload the page to analyze policies`);
+        return false;
+    }
+
     /**
      * Setup all event listeners
      */
@@ -49,6 +81,50 @@ class App {
             credentialForm.addEventListener('submit', (e) => this.handleConnect(e));
         }
 
+        // Offline policy analysis
+        const offlineAnalyzeBtn = document.getElementById('offline-analyze-btn');
+        if (offlineAnalyzeBtn) {
+            offlineAnalyzeBtn.addEventListener('click', () => this.handleOfflineAnalyze());
+        }
+
+        const offlineFileBtn = document.getElementById('offline-file-btn');
+        const offlineFileInput = document.getElementById('offline-policy-file');
+        if (offlineFileBtn && offlineFileInput) {
+            offlineFileBtn.addEventListener('click', () => offlineFileInput.click());
+            offlineFileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadOfflinePolicyFile(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const offlineDropZone = document.getElementById('offline-drop-zone');
+        if (offlineDropZone) {
+            offlineDropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                offlineDropZone.classList.add('drag-over');
+            });
+            offlineDropZone.addEventListener('dragleave', () => {
+                offlineDropZone.classList.remove('drag-over');
+            });
+            offlineDropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                offlineDropZone.classList.remove('drag-over');
+                if (e.dataTransfer.files.length > 0) {
+                    this.loadOfflinePolicyFile(e.dataTransfer.files[0]);
+                }
+            });
+        }
+
+        const offlinePolicyInput = document.getElementById('offline-policy-input');
+        if (offlinePolicyInput) {
+            // Pasting replaces any previously loaded file name
+            offlinePolicyInput.addEventListener('input', () => {
+                this.offlinePolicyName = null;
+            });
+        }
+
         // Disconnect button
         const disconnectBtn = document.getElementById('disconnect-btn');
         if (disconnectBtn) {
@@ -90,6 +166,46 @@ class App {
             closeComparisonBtn.addEventListener('click', () => this.closeVersionComparison());
         }
 
+        // Compare with another policy or a pasted document
+        const toggleComparePolicyBtn = document.getElementById('toggle-compare-policy');
+        if (toggleComparePolicyBtn) {
+            toggleComparePolicyBtn.addEventListener('click', () => this.toggleComparePolicyForm());
+        }
+
+        const comparePolicyBtn = document.getElementById('compare-policy-btn');
+        if (comparePolicyBtn) {
+            comparePolicyBtn.addEventListener('click', () => this.handleComparePolicies());
+        }
+
+        // Risk timeline across all versions
+        const riskTimelineBtn = document.getElementById('risk-timeline-btn');
+        if (riskTimelineBtn) {
+            riskTimelineBtn.addEventListener('click', () => this.handleShowRiskTimeline());
+        }
+
+        const closeRiskTimelineBtn = document.getElementById('close-risk-timeline-btn');
+        if (closeRiskTimelineBtn) {
+            closeRiskTimelineBtn.addEventListener('click', () => {
+                document.getElementById('risk-timeline-section').style.display = 'none';
+            });
+        }
+
+        // Policy version writes
+        const editVersionBtn = document.getElementById('edit-version-btn');
+        if (editVersionBtn) {
+            editVersionBtn.addEventListener('click', () => this.toggleNewVersionForm(true));
+        }
+
+        const cancelNewVersionBtn = document.getElementById('cancel-new-version-btn');
+        if (cancelNewVersionBtn) {
+            cancelNewVersionBtn.addEventListener('click', () => this.toggleNewVersionForm(false));
+        }
+
+        const saveNewVersionBtn = document.getElementById('save-new-version-btn');
+        if (saveNewVersionBtn) {
+            saveNewVersionBtn.addEventListener('click', () => this.handleSaveNewVersion());
+        }
+
         // Manual ARN entry
         const toggleManualArnBtn = document.getElementById('toggle-manual-arn');
         if (toggleManualArnBtn) {
@@ -101,6 +217,139 @@ class App {
             analyzeArnBtn.addEventListener('click', () => this.handleManualArnAnalyze());
         }
 
+        // Effective permissions for the connected user
+        const effectivePermissionsBtn = document.getElementById('effective-permissions-btn');
+        if (effectivePermissionsBtn) {
+            effectivePermissionsBtn.addEventListener('click', () => this.showEffectivePermissions());
+        }
+
+        // Multi-hop escalation paths (imported account data)
+        const escalationPathsBtn = document.getElementById('escalation-paths-btn');
+        if (escalationPathsBtn) {
+            escalationPathsBtn.addEventListener('click', () => this.showEscalationPaths());
+        }
+
+        const escalationPathsBack = document.getElementById('escalation-paths-back');
+        if (escalationPathsBack) {
+            escalationPathsBack.addEventListener('click', () => this.showPolicyList());
+        }
+
+        // Request simulator
+        const simulateBtn = document.getElementById('simulate-btn');
+        if (simulateBtn) {
+            simulateBtn.addEventListener('click', () => this.handleSimulate());
+        }
+
+        // Escalation rule packs
+        const toggleRulePacksBtn = document.getElementById('toggle-rule-packs');
+        if (toggleRulePacksBtn) {
+            toggleRulePacksBtn.addEventListener('click', () => this.toggleRulePacksForm());
+        }
+
+        const loadRulePackBtn = document.getElementById('load-rule-pack-btn');
+        const rulePackFileInput = document.getElementById('rule-pack-file');
+        if (loadRulePackBtn && rulePackFileInput) {
+            loadRulePackBtn.addEventListener('click', () => rulePackFileInput.click());
+            rulePackFileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadRulePackFile(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        // Custom detection rules editor
+        const toggleCustomRulesBtn = document.getElementById('toggle-custom-rules');
+        if (toggleCustomRulesBtn) {
+            toggleCustomRulesBtn.addEventListener('click', () => this.toggleCustomRulesForm());
+        }
+
+        const insertExampleRulesBtn = document.getElementById('insert-example-rules-btn');
+        if (insertExampleRulesBtn) {
+            insertExampleRulesBtn.addEventListener('click', () => this.handleInsertExampleRules());
+        }
+
+        const validateCustomRulesBtn = document.getElementById('validate-custom-rules-btn');
+        if (validateCustomRulesBtn) {
+            validateCustomRulesBtn.addEventListener('click', () => this.validateCustomRulesInput());
+        }
+
+        const saveCustomRulesBtn = document.getElementById('save-custom-rules-btn');
+        if (saveCustomRulesBtn) {
+            saveCustomRulesBtn.addEventListener('click', () => this.handleSaveCustomRules());
+        }
+
+        // Hardened policy rewrite for the security findings
+        const remediateBtn = document.getElementById('remediate-btn');
+        if (remediateBtn) {
+            remediateBtn.addEventListener('click', () => this.handleRemediate());
+        }
+
+        const downloadRemediationBtn = document.getElementById('download-remediation-btn');
+        if (downloadRemediationBtn) {
+            downloadRemediationBtn.addEventListener('click', () => this.handleDownloadRemediation());
+        }
+
+        // Access Advisor (service last accessed) overlay on the expansion view
+        const accessAdvisorBtn = document.getElementById('access-advisor-btn');
+        if (accessAdvisorBtn) {
+            accessAdvisorBtn.addEventListener('click', () => this.handleLoadAccessAdvisor());
+        }
+
+        // Least-privilege policy generated from CloudTrail logs
+        const toggleCloudTrailBtn = document.getElementById('toggle-cloudtrail');
+        if (toggleCloudTrailBtn) {
+            toggleCloudTrailBtn.addEventListener('click', () => this.toggleCloudTrailForm());
+        }
+
+        const loadCloudTrailBtn = document.getElementById('load-cloudtrail-btn');
+        const cloudTrailFilesInput = document.getElementById('cloudtrail-files');
+        if (loadCloudTrailBtn && cloudTrailFilesInput) {
+            loadCloudTrailBtn.addEventListener('click', () => cloudTrailFilesInput.click());
+            cloudTrailFilesInput.addEventListener('change', async (e) => {
+                if (e.target.files.length > 0) {
+                    await this.loadCloudTrailFiles([...e.target.files]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const clearCloudTrailBtn = document.getElementById('clear-cloudtrail-btn');
+        if (clearCloudTrailBtn) {
+            clearCloudTrailBtn.addEventListener('click', () => this.handleClearCloudTrail());
+        }
+
+        const generateLeastPrivilegeBtn = document.getElementById('generate-least-privilege-btn');
+        if (generateLeastPrivilegeBtn) {
+            generateLeastPrivilegeBtn.addEventListener('click', () => this.handleGenerateLeastPrivilege());
+        }
+
+        // Guardrails (permissions boundary and SCPs) applied to the analysis
+        const toggleGuardrailsBtn = document.getElementById('toggle-guardrails');
+        if (toggleGuardrailsBtn) {
+            toggleGuardrailsBtn.addEventListener('click', () => this.toggleGuardrailsForm());
+        }
+
+        const loadBoundaryBtn = document.getElementById('load-boundary-btn');
+        if (loadBoundaryBtn) {
+            loadBoundaryBtn.addEventListener('click', () => this.handleLoadBoundary());
+        }
+
+        const loadScpsBtn = document.getElementById('load-scps-btn');
+        if (loadScpsBtn) {
+            loadScpsBtn.addEventListener('click', () => this.handleLoadScps());
+        }
+
+        const applyGuardrailsBtn = document.getElementById('apply-guardrails-btn');
+        if (applyGuardrailsBtn) {
+            applyGuardrailsBtn.addEventListener('click', () => this.handleApplyGuardrails());
+        }
+
+        const clearGuardrailsBtn = document.getElementById('clear-guardrails-btn');
+        if (clearGuardrailsBtn) {
+            clearGuardrailsBtn.addEventListener('click', () => this.handleClearGuardrails());
+        }
+
         const manualArnInput = document.getElementById('manual-policy-arn');
         if (manualArnInput) {
             manualArnInput.addEventListener('keypress', (e) => {
@@ -127,6 +376,372 @@ class App {
         }
     }
 
+    /**
+     * Toggle CloudTrail form visibility
+     */
+    toggleCloudTrailForm() {
+        const form = document.getElementById('cloudtrail-form');
+        const toggleBtn = document.getElementById('toggle-cloudtrail');
+
+        if (form.style.display === 'none') {
+            form.style.display = 'block';
+            toggleBtn.textContent = 'Hide';
+        } else {
+            form.style.display = 'none';
+            toggleBtn.textContent = 'Show';
+        }
+    }
+
+    /**
+     * Read CloudTrail log files (gzipped files are decompressed in the browser)
+     * and add their events to the loaded ones
+     */
+    async loadCloudTrailFiles(files) {
+        let loadedEvents = 0;
+
+        for (const file of files) {
+            try {
+                const text = file.name.endsWith('.gz') ?
+                    await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text() :
+                    await file.text();
+                const result = CloudTrailUsage.parseLogText(text);
+                if (!result.success) {
+                    this.showError(`Failed to load ${file.name}: ${result.error}`);
+                    continue;
+                }
+
+                this.cloudTrailRecords.push(...result.data);
+                loadedEvents += result.data.length;
+            } catch (error) {
+                this.showError(`Failed to read ${file.name}: ${error.message}`);
+            }
+        }
+
+        if (loadedEvents > 0) {
+            this.showSuccess(`Loaded ${loadedEvents} CloudTrail events`);
+        }
+        this.refreshCloudTrailPrincipals();
+    }
+
+    /**
+     * Fill the principal selector from the loaded events (preselecting the user or role
+     * being viewed when it made any of the calls)
+     */
+    refreshCloudTrailPrincipals() {
+        const select = document.getElementById('cloudtrail-principal');
+        const principals = CloudTrailUsage.getPrincipals(this.cloudTrailRecords);
+        const policy = this.currentPolicy ? this.currentPolicy.policy : {};
+        const viewedName = policy.roleName || policy.userName ||
+            (policy.isEffective ? policy.Arn.substring('effective:'.length) : null);
+
+        select.innerHTML = '';
+        principals.forEach(principal => {
+            const option = document.createElement('option');
+            option.value = principal.arn;
+            option.textContent = `${principal.arn} (${principal.eventCount} events)`;
+            option.selected = !!viewedName && principal.arn.endsWith(`/${viewedName}`);
+            select.appendChild(option);
+        });
+
+        document.getElementById('cloudtrail-status').textContent = this.cloudTrailRecords.length > 0 ?
+            `${this.cloudTrailRecords.length} events, ${principals.length} principal(s)` :
+            'No logs loaded';
+    }
+
+    /**
+     * Forget the loaded CloudTrail events
+     */
+    handleClearCloudTrail() {
+        this.cloudTrailRecords = [];
+        this.refreshCloudTrailPrincipals();
+        document.getElementById('cloudtrail-result').innerHTML = '';
+    }
+
+    /**
+     * Generate a least-privilege policy from the selected principal's calls and
+     * compare it with the current policy document
+     */
+    handleGenerateLeastPrivilege() {
+        if (!this.currentPolicy) return;
+
+        if (this.cloudTrailRecords.length === 0) {
+            this.showError('Please load CloudTrail log files first');
+            return;
+        }
+
+        const principalArn = document.getElementById('cloudtrail-principal').value;
+        const usage = CloudTrailUsage.collectUsage(this.cloudTrailRecords, principalArn);
+        if (usage.actions.size === 0) {
+            this.showError(`No allowed calls by ${principalArn} in the loaded logs`);
+            return;
+        }
+
+        const currentVersion = this.currentPolicy.currentVersion;
+        PolicyVisualizer.renderLeastPrivilegeResult({
+            principalArn,
+            usage,
+            current: currentVersion,
+            generated: CloudTrailUsage.generatePolicy(usage),
+            unused: CloudTrailUsage.findUnusedPermissions(currentVersion.Document, usage, this.policyExpansion.allActions)
+        }, document.getElementById('cloudtrail-result'));
+    }
+
+    /**
+     * Toggle rule packs form visibility
+     */
+    toggleRulePacksForm() {
+        const form = document.getElementById('rule-packs-form');
+        const toggleBtn = document.getElementById('toggle-rule-packs');
+
+        if (form.style.display === 'none') {
+            form.style.display = 'block';
+            toggleBtn.textContent = 'Hide';
+        } else {
+            form.style.display = 'none';
+            toggleBtn.textContent = 'Show';
+        }
+    }
+
+    /**
+     * Load an extra escalation rule pack from a .json file
+     */
+    loadRulePackFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = rulePacks.loadPackText(reader.result);
+            if (!result.success) {
+                this.showError(`Failed to load rule pack ${file.name}: ${result.error}`);
+                return;
+            }
+
+            this.showSuccess(`Loaded rule pack ${result.data.name} ${result.data.version} (${result.data.rules.length} rules)`);
+            this.refreshRulePacks();
+        };
+        reader.onerror = () => this.showError(`Failed to read ${file.name}`);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Remove a runtime rule pack
+     */
+    handleRemoveRulePack(packId) {
+        const result = rulePacks.removePack(packId);
+        if (!result.success) {
+            this.showError(result.error);
+            return;
+        }
+
+        this.showSuccess(`Removed rule pack ${result.data.name}`);
+        this.refreshRulePacks();
+    }
+
+    /**
+     * Re-render the loaded packs and re-analyze the open policy with the current rules
+     */
+    refreshRulePacks() {
+        const packs = rulePacks.getPacks();
+        const ruleCount = packs.reduce((total, pack) => total + pack.ruleCount, 0);
+        document.getElementById('rule-packs-status').textContent = `${packs.length} pack(s), ${ruleCount} rules`;
+        PolicyVisualizer.renderRulePacks(packs, document.getElementById('rule-pack-list'), (packId) => this.handleRemoveRulePack(packId));
+
+        if (this.currentPolicy) {
+            this.renderPolicyDetail(this.currentPolicy, this.currentPolicyArn);
+        }
+    }
+
+    /**
+     * Toggle custom rules editor visibility
+     */
+    toggleCustomRulesForm() {
+        const form = document.getElementById('custom-rules-form');
+        const toggleBtn = document.getElementById('toggle-custom-rules');
+
+        if (form.style.display === 'none') {
+            form.style.display = 'block';
+            toggleBtn.textContent = 'Hide';
+        } else {
+            form.style.display = 'none';
+            toggleBtn.textContent = 'Show';
+        }
+    }
+
+    /**
+     * Fill the editor with the stored custom rules
+     */
+    loadCustomRulesEditor() {
+        const rules = customRules.getRules();
+        document.getElementById('custom-rules-input').value = rules.length > 0 ? JSON.stringify(rules, null, 2) : '';
+        document.getElementById('custom-rules-status').textContent = `${rules.length} rule(s)`;
+    }
+
+    /**
+     * Append the example rules (skipping ids already in the editor)
+     */
+    handleInsertExampleRules() {
+        const input = document.getElementById('custom-rules-input');
+        const parsed = CustomRuleSet.parseRules(input.value);
+        if (!parsed.success) {
+            this.validateCustomRulesInput();
+            return;
+        }
+
+        const existing = parsed.data;
+        const existingIds = new Set(existing.map(rule => rule.id));
+        const rules = [...existing, ...CustomRuleSet.EXAMPLE_RULES.filter(rule => !existingIds.has(rule.id))];
+        input.value = JSON.stringify(rules, null, 2);
+        this.validateCustomRulesInput();
+    }
+
+    /**
+     * Validate the editor contents and list every problem found
+     */
+    validateCustomRulesInput() {
+        const result = CustomRuleSet.parseRules(document.getElementById('custom-rules-input').value);
+        const validationList = document.getElementById('custom-rules-validation');
+
+        if (result.success) {
+            validationList.innerHTML = `<li class="custom-rules-valid">✓ ${result.data.length} valid rule(s)</li>`;
+        } else {
+            validationList.innerHTML = result.errors
+                .map(error => `<li class="custom-rules-invalid">✗ ${PolicyVisualizer.escapeHtml(error)}</li>`)
+                .join('');
+        }
+        return result;
+    }
+
+    /**
+     * Store the editor's rules and re-analyze the open policy with them
+     */
+    handleSaveCustomRules() {
+        const result = this.validateCustomRulesInput();
+        if (!result.success) return;
+
+        const saveResult = customRules.save(result.data);
+        if (!saveResult.success) {
+            this.showError(saveResult.error);
+            return;
+        }
+
+        this.loadCustomRulesEditor();
+        this.showSuccess(`Saved ${saveResult.data.length} custom rule(s)`);
+
+        if (this.currentPolicy) {
+            this.renderPolicyDetail(this.currentPolicy, this.currentPolicyArn);
+        }
+    }
+
+    /**
+     * Toggle guardrails form visibility
+     */
+    toggleGuardrailsForm() {
+        const form = document.getElementById('guardrails-form');
+        const toggleBtn = document.getElementById('toggle-guardrails');
+
+        if (form.style.display === 'none') {
+            form.style.display = 'block';
+            toggleBtn.textContent = 'Hide';
+        } else {
+            form.style.display = 'none';
+            toggleBtn.textContent = 'Show';
+        }
+    }
+
+    /**
+     * User or role whose permissions boundary applies to the open policy
+     * (the policy's owner for inline policies, otherwise the connected identity)
+     */
+    getBoundaryPrincipal() {
+        const policy = this.currentPolicy ? this.currentPolicy.policy : {};
+        if (policy.roleName) return { roleName: policy.roleName };
+        if (policy.userName) return { userName: policy.userName };
+
+        const identity = awsHandler.currentIdentity || {};
+        return { userName: identity.userName || null, roleName: identity.roleName || null };
+    }
+
+    /**
+     * Load the permissions boundary of the open policy's principal into the guardrails form
+     */
+    async handleLoadBoundary() {
+        const loadBtn = document.getElementById('load-boundary-btn');
+        loadBtn.disabled = true;
+
+        try {
+            const result = await awsHandler.getPermissionsBoundary(this.getBoundaryPrincipal());
+            if (!result.success) {
+                this.showError(`Failed to load permissions boundary: ${result.error}`);
+                return;
+            }
+
+            document.getElementById('guardrail-boundary-input').value = JSON.stringify(result.data.document, null, 2);
+            this.showSuccess(`Loaded permissions boundary ${result.data.name}`);
+        } finally {
+            loadBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Load the SCPs that apply to the connected account into the guardrails form
+     */
+    async handleLoadScps() {
+        const loadBtn = document.getElementById('load-scps-btn');
+        loadBtn.disabled = true;
+
+        try {
+            const result = await awsHandler.getServiceControlPolicies();
+            if (!result.success) {
+                this.showError(`Failed to load SCPs: ${result.error}`);
+                return;
+            }
+
+            document.getElementById('guardrail-scp-input').value = JSON.stringify(result.data, null, 2);
+            this.showSuccess(`Loaded ${result.data.length} SCPs`);
+        } finally {
+            loadBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Apply the guardrails in the form to the open policy (and every policy opened afterwards)
+     */
+    handleApplyGuardrails() {
+        const result = awsHandler.parseGuardrails(
+            document.getElementById('guardrail-boundary-input').value,
+            document.getElementById('guardrail-scp-input').value
+        );
+
+        if (!result.success) {
+            this.showError(result.error);
+            return;
+        }
+
+        this.guardrailLayers = result.data;
+        this.refreshGuardrailAnalysis();
+    }
+
+    /**
+     * Remove all guardrails from the analysis
+     */
+    handleClearGuardrails() {
+        document.getElementById('guardrail-boundary-input').value = '';
+        document.getElementById('guardrail-scp-input').value = '';
+        this.guardrailLayers = [];
+        this.refreshGuardrailAnalysis();
+    }
+
+    /**
+     * Update the guardrails status and re-render the open policy with the current guardrails
+     */
+    refreshGuardrailAnalysis() {
+        document.getElementById('guardrails-status').textContent = this.guardrailLayers.length > 0 ?
+            this.guardrailLayers.map(layer => layer.name).join(' + ') :
+            'None applied';
+
+        if (this.currentPolicy) {
+            this.renderPolicyDetail(this.currentPolicy, this.currentPolicyArn);
+        }
+    }
+
     /**
      * Handle manual ARN analysis
      */
@@ -210,16 +825,148 @@ class App {
         const identityArn = document.getElementById('identity-arn');
         
         if (identityInfo && identityArn && identity) {
+            identityInfo.querySelector('.identity-label').textContent = 'Connected as:';
             identityArn.textContent = identity.arn;
             identityInfo.style.display = 'flex';
         }
+
+        // Effective permissions are resolved from the user's attached, inline and group policies
+        // or the assumed role's attached and inline policies
+        const effectivePermissionsBtn = document.getElementById('effective-permissions-btn');
+        if (effectivePermissionsBtn) {
+            effectivePermissionsBtn.style.display = identity && (identity.isIamUser || identity.isAssumedRole) ? 'inline-block' : 'none';
+        }
+
+        const escalationPathsBtn = document.getElementById('escalation-paths-btn');
+        if (escalationPathsBtn) escalationPathsBtn.style.display = 'none';
+    }
+
+    /**
+     * Load a policy file selected or dropped into the offline analysis form
+     */
+    async loadOfflinePolicyFile(file) {
+        try {
+            const text = await file.text();
+            document.getElementById('offline-policy-input').value = text;
+            this.offlinePolicyName = file.name.replace(/\.json$/i, '');
+            this.clearMessages();
+        } catch (error) {
+            this.showError(`Failed to read file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle offline analysis of a pasted policy document (no AWS credentials)
+     */
+    handleOfflineAnalyze() {
+        const policyText = document.getElementById('offline-policy-input').value.trim();
+
+        if (!policyText) {
+            this.showError('Please paste a policy document or load a policy file');
+            return;
+        }
+
+        // Whole-account exports are imported instead of analyzed as a single document
+        let parsed = null;
+        try {
+            parsed = JSON.parse(policyText);
+        } catch (error) {
+            // Reported by getPastedPolicyInfo below
+        }
+        if (AccountAuthorizationDetailsSource.isAuthorizationDetails(parsed)) {
+            this.handleAuthorizationDetailsImport(parsed);
+            return;
+        }
+
+        const result = awsHandler.getPastedPolicyInfo(policyText, this.offlinePolicyName || 'Pasted Policy');
+
+        if (!result.success) {
+            this.showError(`Cannot analyze policy: ${result.error}`);
+            return;
+        }
+
+        this.isOfflineMode = true;
+        this.clearMessages();
+
+        // Show explorer with only the detail view
+        document.getElementById('credential-section').style.display = 'none';
+        document.getElementById('explorer-section').style.display = 'block';
+        document.getElementById('policy-list').style.display = 'none';
+        document.getElementById('search-section').style.display = 'none';
+        document.getElementById('policy-stats').style.display = 'none';
+
+        const manualArnSection = document.getElementById('manual-arn-section');
+        if (manualArnSection) manualArnSection.style.display = 'none';
+
+        document.getElementById('disconnect-btn').textContent = 'Exit';
+
+        this.renderPolicyDetail(result.data, result.data.policy.Arn);
+    }
+
+    /**
+     * Import get-account-authorization-details output and browse it like a live account
+     */
+    async handleAuthorizationDetailsImport(details) {
+        const result = awsHandler.loadAuthorizationDetails(details);
+
+        if (!result.success) {
+            this.showError(`Cannot import account data: ${result.error}`);
+            return;
+        }
+
+        this.isImportMode = true;
+        this.clearMessages();
+
+        // Show what was imported in place of the connected identity
+        const summary = result.data;
+        const identityInfo = document.getElementById('identity-info');
+        identityInfo.querySelector('.identity-label').textContent = 'Imported data:';
+        document.getElementById('identity-arn').textContent =
+            `${summary.accountId ? `Account ${summary.accountId} · ` : ''}${summary.users} users, ${summary.groups} groups, ${summary.roles} roles, ${summary.policies} managed policies`;
+        identityInfo.style.display = 'flex';
+        document.getElementById('effective-permissions-btn').style.display = 'none';
+        document.getElementById('escalation-paths-btn').style.display = 'inline-block';
+
+        document.getElementById('credential-section').style.display = 'none';
+        document.getElementById('explorer-section').style.display = 'block';
+        document.getElementById('disconnect-btn').textContent = 'Close Import';
+
+        await this.loadPolicies();
+    }
+
+    /**
+     * Leave offline analysis and return to the credential screen
+     */
+    exitOfflineMode() {
+        document.getElementById('credential-section').style.display = 'block';
+        document.getElementById('explorer-section').style.display = 'none';
+        document.getElementById('policy-detail').style.display = 'none';
+
+        const manualArnSection = document.getElementById('manual-arn-section');
+        if (manualArnSection) manualArnSection.style.display = 'block';
+
+        document.getElementById('disconnect-btn').textContent = 'Disconnect';
+
+        this.isOfflineMode = false;
+        this.currentPolicy = null;
+        this.currentPolicyArn = null;
+        this.currentSecurityAnalysis = null;
     }
 
     /**
      * Handle disconnect
      */
     handleDisconnect() {
-        if (confirm('Are you sure you want to disconnect? Your credentials will be cleared from memory.')) {
+        if (this.isOfflineMode) {
+            this.exitOfflineMode();
+            return;
+        }
+
+        const confirmMessage = this.isImportMode ?
+            'Close the imported account data?' :
+            'Are you sure you want to disconnect? Your credentials will be cleared from memory.';
+
+        if (confirm(confirmMessage)) {
             awsHandler.disconnect();
             
             // Clear form
@@ -230,6 +977,7 @@ class App {
             document.getElementById('explorer-section').style.display = 'none';
             document.getElementById('policy-list').innerHTML = '';
             document.getElementById('policy-detail').style.display = 'none';
+            document.getElementById('escalation-paths-section').style.display = 'none';
             
             // Hide identity info and limited mode notice
             const identityInfo = document.getElementById('identity-info');
@@ -251,7 +999,12 @@ class App {
             this.filteredPolicies = [];
             this.currentPolicy = null;
             this.isLimitedMode = false;
+            this.isImportMode = false;
             this.inlinePolicies = [];
+            this.lastAccessed = null;
+            this.handleClearGuardrails();
+            
+            document.getElementById('disconnect-btn').textContent = 'Disconnect';
             
             const connectBtn = document.getElementById('connect-btn');
             connectBtn.disabled = false;
@@ -300,14 +1053,17 @@ class App {
             // Check if we're in limited mode
             this.isLimitedMode = result.mode === 'limited';
             
-            // Store inline policies separately
-            this.inlinePolicies = result.data.inlinePolicies || [];
+            // Store inline and trust policies separately (their documents are already loaded)
+            this.inlinePolicies = [
+                ...(result.data.inlinePolicies || []),
+                ...(result.data.trustPolicies || [])
+            ];
 
             // Combine all policies
             this.allPolicies = [
                 ...result.data.awsManaged.map(p => ({ ...p, type: 'aws-managed' })),
                 ...result.data.customerManaged.map(p => ({ ...p, type: 'customer-managed' })),
-                ...this.inlinePolicies.map(p => ({ ...p, type: 'inline' }))
+                ...this.inlinePolicies.map(p => ({ ...p, type: p.isTrustPolicy ? 'trust-policy' : 'inline' }))
             ];
 
             this.filteredPolicies = [...this.allPolicies];
@@ -326,6 +1082,9 @@ class App {
 
             // Render policy list
             this.renderPolicies();
+            if (result.warnings && result.warnings.length > 0) {
+                this.showError(`Skipped ${result.warnings.length} unreadable policy document(s): ${result.warnings.join('; ')}`);
+            }
 
             // Show UI elements
             loadingIndicator.style.display = 'none';
@@ -333,8 +1092,8 @@ class App {
             statsSection.style.display = 'grid';
             searchSection.style.display = 'grid';
             
-            // Show success message in limited mode
-            if (this.isLimitedMode && result.message) {
+            // Show success message in limited and import modes
+            if (result.message) {
                 this.showSuccess(result.message);
             }
 
@@ -370,10 +1129,11 @@ class App {
 
         this.filteredPolicies = this.allPolicies.filter(policy => {
             const matchesSearch = policy.PolicyName.toLowerCase().includes(term) ||
-                                policy.Arn.toLowerCase().includes(term) ||
+                                (policy.Arn && policy.Arn.toLowerCase().includes(term)) ||
                                 (policy.Description && policy.Description.toLowerCase().includes(term));
             
-            const matchesFilter = filterValue === 'all' || policy.type === filterValue;
+            const matchesFilter = filterValue === 'all' ||
+                                (filterValue === 'attached' ? this.isAttachedToIdentity(policy) : policy.type === filterValue);
 
             return matchesSearch && matchesFilter;
         });
@@ -397,7 +1157,7 @@ class App {
             if (filterValue === 'all') {
                 matchesFilter = true;
             } else if (filterValue === 'attached') {
-                matchesFilter = policy.isAttachedToUser || policy.isInline;
+                matchesFilter = this.isAttachedToIdentity(policy);
             } else {
                 matchesFilter = policy.type === filterValue;
             }
@@ -408,12 +1168,18 @@ class App {
         this.renderPolicies();
     }
 
+    /**
+     * Check if a policy applies directly to the connected user or role
+     */
+    isAttachedToIdentity(policy) {
+        return policy.isAttachedToUser || policy.isAttachedToRole || policy.isInline || policy.isTrustPolicy;
+    }
+
     /**
      * Show policy detail view
      */
     async showPolicyDetail(policyArn) {
         const policyList = document.getElementById('policy-list');
-        const policyDetail = document.getElementById('policy-detail');
         const searchSection = document.getElementById('search-section');
         const statsSection = document.getElementById('policy-stats');
         const loadingIndicator = document.getElementById('loading-indicator');
@@ -425,27 +1191,7 @@ class App {
         loadingIndicator.style.display = 'block';
 
         try {
-            let result;
-            
-            // Check if this is an inline policy (identified by inline: prefix)
-            if (policyArn.startsWith('inline:')) {
-                // Find the inline policy in our stored list
-                const inlineId = policyArn.substring(7); // Remove 'inline:' prefix
-                const [userName, policyName] = inlineId.split('/');
-                const inlinePolicy = this.inlinePolicies.find(p => 
-                    p.PolicyName === policyName && p.userName === userName
-                );
-                
-                if (inlinePolicy) {
-                    result = awsHandler.getInlinePolicyInfo(inlinePolicy);
-                } else {
-                    this.showError('Inline policy not found');
-                    this.showPolicyList();
-                    return;
-                }
-            } else {
-                result = await awsHandler.getCompletePolicyInfo(policyArn);
-            }
+            const result = await this.loadPolicyInfo(policyArn);
 
             if (!result.success) {
                 this.showError(`Failed to load policy details: ${result.error}`);
@@ -454,77 +1200,264 @@ class App {
                 return;
             }
 
-            this.currentPolicy = result.data;
-            this.currentPolicyArn = policyArn;
+            loadingIndicator.style.display = 'none';
+            this.renderPolicyDetail(result.data, policyArn);
 
-            // Determine policy type
-            let policyType = 'Customer Managed';
-            if (result.data.policy.isInline) {
-                policyType = 'Inline Policy';
-            } else if (result.data.policy.Arn && result.data.policy.Arn.includes(':aws:policy/')) {
-                policyType = 'AWS Managed';
-            }
+        } catch (error) {
+            this.showError(`Error loading policy details: ${error.message}`);
+            loadingIndicator.style.display = 'none';
+            this.showPolicyList();
+        }
+    }
 
-            // Update detail view
-            document.getElementById('detail-policy-name').textContent = result.data.policy.PolicyName;
-            document.getElementById('detail-policy-arn').textContent = result.data.policy.Arn || 'N/A (Inline Policy)';
-            document.getElementById('detail-policy-type').textContent = policyType;
-            document.getElementById('detail-policy-created').textContent = 
-                PolicyVisualizer.formatDate(result.data.policy.CreateDate);
-            document.getElementById('detail-policy-updated').textContent = 
-                PolicyVisualizer.formatDate(result.data.policy.UpdateDate);
-
-            // Render versions list (inline policies don't have versions)
-            const versionsList = document.getElementById('version-list');
-            if (result.data.policy.isInline) {
-                versionsList.innerHTML = '<p class="caption">Inline policies do not have versions</p>';
-            } else {
-                PolicyVisualizer.renderVersionsList(
-                    result.data.allVersions,
-                    result.data.policy.DefaultVersionId,
-                    versionsList,
-                    (versionId) => this.handleSetDefaultVersion(policyArn, versionId)
-                );
-
-                // Setup version checkbox listeners
-                this.setupVersionCheckboxListeners();
+    /**
+     * Load policy info for a managed policy ARN or an inline/trust policy id
+     * (inline:/trust: prefix, the documents were loaded with the policy list)
+     */
+    async loadPolicyInfo(policyArn) {
+        if (!policyArn.startsWith('inline:') && !policyArn.startsWith('trust:')) {
+            return await awsHandler.getCompletePolicyInfo(policyArn);
+        }
+
+        const inlinePolicy = this.inlinePolicies.find(p =>
+            PolicyVisualizer.getInlinePolicyId(p) === policyArn
+        );
+        if (!inlinePolicy) {
+            return {
+                success: false,
+                error: 'Inline policy not found'
+            };
+        }
+
+        const result = awsHandler.getInlinePolicyInfo(inlinePolicy);
+        if (inlinePolicy.isTrustPolicy) {
+            const contextResult = await awsHandler.getTrustPolicyContext(inlinePolicy.roleName, inlinePolicy.roleArn);
+            result.data.trustContext = contextResult.data;
+        }
+        return result;
+    }
+
+    /**
+     * Show the effective permissions of the connected user or role: every attached,
+     * inline and group policy merged and analyzed as one document
+     */
+    async showEffectivePermissions() {
+        const policyList = document.getElementById('policy-list');
+        const searchSection = document.getElementById('search-section');
+        const statsSection = document.getElementById('policy-stats');
+        const loadingIndicator = document.getElementById('loading-indicator');
+
+        policyList.style.display = 'none';
+        searchSection.style.display = 'none';
+        statsSection.style.display = 'none';
+        document.getElementById('policy-detail').style.display = 'none';
+        loadingIndicator.style.display = 'block';
+
+        try {
+            const sourcesResult = await awsHandler.getEffectivePolicySources();
+            loadingIndicator.style.display = 'none';
+
+            if (!sourcesResult.success) {
+                this.showError(`Failed to load effective permissions: ${sourcesResult.error}`);
+                this.showPolicyList();
+                return;
             }
 
-            // Run security analysis
-            this.currentSecurityAnalysis = analyzePolicyForShadowAdmin(result.data.currentVersion.Document);
+            const { principalName, sources, errors } = sourcesResult.data;
+            const result = awsHandler.buildEffectivePolicyInfo(principalName, sources, errors);
+            this.renderPolicyDetail(result.data, result.data.policy.Arn);
+
+        } catch (error) {
+            this.showError(`Error loading effective permissions: ${error.message}`);
+            loadingIndicator.style.display = 'none';
+            this.showPolicyList();
+        }
+    }
+
+    /**
+     * Show shortest privilege escalation paths from every principal to admin
+     */
+    showEscalationPaths() {
+        if (!this.checkRulesLoaded()) return;
+
+        const result = awsHandler.buildEscalationGraph();
 
-            // Render policy content
-            const visualContent = document.getElementById('policy-content-visual');
-            PolicyVisualizer.renderPolicyVisual(result.data.currentVersion.Document, visualContent);
+        if (!result.success) {
+            this.showError(`Cannot build escalation paths: ${result.error}`);
+            return;
+        }
+
+        document.getElementById('policy-list').style.display = 'none';
+        document.getElementById('search-section').style.display = 'none';
+        document.getElementById('policy-stats').style.display = 'none';
+        document.getElementById('policy-detail').style.display = 'none';
+
+        const graph = result.data;
+        SecurityVisualizer.renderEscalationPaths(
+            graph.findAllPaths(),
+            graph.getStats(),
+            document.getElementById('escalation-paths-content')
+        );
+
+        document.getElementById('escalation-paths-section').style.display = 'block';
+
+        if (result.warnings.length > 0) {
+            this.showError(`Skipped ${result.warnings.length} unreadable policy document(s): ${result.warnings.join('; ')}`);
+        }
+    }
+
+    /**
+     * Render the detail view for loaded policy data
+     * Shared by live AWS lookups and offline (pasted) documents
+     */
+    renderPolicyDetail(policyData, policyArn) {
+        const policy = policyData.policy;
+        const policyDocument = policyData.currentVersion.Document;
+
+        this.currentPolicy = policyData;
+        this.currentPolicyArn = policyArn;
+
+        // Determine policy type
+        let policyType = 'Customer Managed';
+        if (policy.isEffective) {
+            policyType = 'Effective Permissions';
+        } else if (policy.isPasted) {
+            policyType = 'Pasted Document';
+        } else if (policy.isTrustPolicy) {
+            policyType = 'Trust Policy';
+        } else if (policy.isInline) {
+            policyType = 'Inline Policy';
+        } else if (policy.Arn && policy.Arn.includes(':aws:policy/')) {
+            policyType = 'AWS Managed';
+        }
+
+        // Update detail view
+        document.getElementById('detail-policy-name').textContent = policy.PolicyName;
+        let arnDisplay = policy.Arn || 'N/A (Inline Policy)';
+        if (policy.isEffective) {
+            arnDisplay = awsHandler.currentIdentity.arn;
+        } else if (policy.isPasted) {
+            arnDisplay = 'N/A (Pasted Document)';
+        } else if (policy.isTrustPolicy) {
+            arnDisplay = `${policy.roleArn} (trust policy)`;
+        }
+        document.getElementById('detail-policy-arn').textContent = arnDisplay;
+        document.getElementById('detail-policy-type').textContent = policyType;
+        document.getElementById('detail-policy-created').textContent = 
+            PolicyVisualizer.formatDate(policy.CreateDate);
+        document.getElementById('detail-policy-updated').textContent = 
+            PolicyVisualizer.formatDate(policy.UpdateDate);
+
+        // Render versions list (inline and pasted policies don't have versions,
+        // the effective permissions view lists its source policies instead)
+        const versionsList = document.getElementById('version-list');
+        document.getElementById('version-section-title').textContent =
+            policy.isEffective ? `Source Policies (${policyData.sources.length})` : 'Policy Versions';
+        if (policy.isEffective) {
+            PolicyVisualizer.renderPolicySources(policyData.sources, policyData.sourceErrors, versionsList);
+        } else if (policy.isPasted) {
+            versionsList.innerHTML = '<p class="caption">Pasted policy documents do not have versions</p>';
+        } else if (policy.isTrustPolicy) {
+            versionsList.innerHTML = '<p class="caption">Trust policies do not have versions</p>';
+        } else if (policy.isInline) {
+            versionsList.innerHTML = '<p class="caption">Inline policies do not have versions</p>';
+        } else {
+            PolicyVisualizer.renderVersionsList(
+                policyData.allVersions,
+                policy.DefaultVersionId,
+                versionsList,
+                awsHandler.isImported() ? null : (versionId) => this.handleSetDefaultVersion(policyArn, versionId),
+                this.canWritePolicyVersions(policy) ? (versionId) => this.handleDeleteVersion(policyArn, versionId) : null
+            );
+
+            // Setup version checkbox listeners
+            this.setupVersionCheckboxListeners();
+        }
+        document.getElementById('edit-version-btn').style.display = this.canWritePolicyVersions(policy) ? 'inline-block' : 'none';
+        const hasVersions = !policy.isEffective && !policy.isPasted && !policy.isTrustPolicy && !policy.isInline &&
+            (policyData.allVersions || []).length > 0;
+        document.getElementById('risk-timeline-btn').style.display = hasVersions ? 'inline-block' : 'none';
+        document.getElementById('risk-timeline-section').style.display = 'none';
+        this.toggleNewVersionForm(false);
+
+        // Run security analysis (trust policies are analyzed for who can assume the role,
+        // other policies are intersected with any applied boundary and SCPs)
+        const isTrust = policy.isTrustPolicy || isTrustPolicyDocument(policyDocument);
+        document.getElementById('guardrails-section').style.display = isTrust ? 'none' : 'block';
+        document.getElementById('cloudtrail-section').style.display = isTrust ? 'none' : 'block';
+        document.getElementById('remediation-panel').style.display = isTrust || this.rulesError ? 'none' : 'block';
+        if (this.rulesError) {
+            this.currentSecurityAnalysis = null;
+        } else if (isTrust) {
+            this.currentSecurityAnalysis = analyzeTrustPolicy(policyDocument, policyData.trustContext);
+        } else if (this.guardrailLayers.length > 0) {
+            this.currentSecurityAnalysis = analyzePolicyWithGuardrails(policyDocument, this.guardrailLayers, this.policyExpansion.allActions);
+        } else {
+            this.currentSecurityAnalysis = analyzePolicyForShadowAdmin(policyDocument);
+        }
+        if (this.currentSecurityAnalysis) {
+            CustomRuleSet.addToAnalysis(this.currentSecurityAnalysis, CustomRuleSet.evaluate(policyDocument, customRules.getRules()));
+        }
+        if (this.currentSecurityAnalysis && policyData.statementSources) {
+            attributeAnalysisToSources(this.currentSecurityAnalysis, policyData.statementSources);
+        }
+
+        // Simulation and least-privilege results belong to the previously shown document
+        document.getElementById('simulator-result').innerHTML = '';
+        document.getElementById('cloudtrail-result').innerHTML = '';
+        this.refreshCloudTrailPrincipals();
+        this.remediatedDocument = null;
+        document.getElementById('remediation-result').innerHTML = '';
+        document.getElementById('download-remediation-btn').style.display = 'none';
+
+        // Render policy content
+        const visualContent = document.getElementById('policy-content-visual');
+        PolicyVisualizer.renderPolicyVisual(policyDocument, visualContent, policyData.statementSources);
 
-            const jsonContent = document.getElementById('policy-content-json');
-            PolicyVisualizer.renderPolicyJson(result.data.currentVersion.Document, jsonContent);
+        const jsonContent = document.getElementById('policy-content-json');
+        PolicyVisualizer.renderPolicyJson(policyDocument, jsonContent);
 
-            // Render security analysis
-            const securityContent = document.getElementById('policy-content-security');
+        // Render security analysis
+        const securityContent = document.getElementById('security-analysis-result');
+        if (this.currentSecurityAnalysis) {
             SecurityVisualizer.renderSecurityAnalysis(this.currentSecurityAnalysis, securityContent);
+        } else {
+            securityContent.innerHTML = `<p class="caption error">Escalation rules not loaded (${PolicyVisualizer.escapeHtml(this.rulesError)}), so this policy is not scored. Reload the page to try again.</p>`;
+        }
 
-            // Show detail view (default to security tab)
-            loadingIndicator.style.display = 'none';
-            policyDetail.style.display = 'block';
+        // Lint the policy grammar (actions are checked once the action catalog is loaded)
+        const lintResult = PolicyLinter.lint(policyDocument, {
+            policyType: isTrust ? 'trust' : 'identity',
+            actions: this.policyExpansion ? this.policyExpansion.allActions : []
+        });
+        PolicyVisualizer.renderLintResults(lintResult, document.getElementById('policy-content-lint'));
 
-        } catch (error) {
-            this.showError(`Error loading policy details: ${error.message}`);
-            loadingIndicator.style.display = 'none';
-            this.showPolicyList();
+        // Refresh expansion analysis if that tab is already open
+        const expansionContent = document.getElementById('policy-content-expansion');
+        if (expansionContent.style.display === 'block') {
+            this.renderExpansionAnalysis();
         }
+
+        // Show detail view
+        document.getElementById('policy-detail').style.display = 'block';
     }
 
     /**
      * Show policy list view
      */
     showPolicyList() {
+        if (this.isOfflineMode) {
+            this.exitOfflineMode();
+            return;
+        }
+
         const policyList = document.getElementById('policy-list');
         const policyDetail = document.getElementById('policy-detail');
         const searchSection = document.getElementById('search-section');
         const statsSection = document.getElementById('policy-stats');
 
         policyDetail.style.display = 'none';
+        document.getElementById('escalation-paths-section').style.display = 'none';
         policyList.style.display = 'block';
         searchSection.style.display = 'grid';
         statsSection.style.display = 'grid';
@@ -537,10 +1470,14 @@ class App {
      * Handle view toggle between security, visual, and JSON
      */
     handleViewToggle(view) {
-        const securityContent = document.getElementById('policy-content-security');
-        const visualContent = document.getElementById('policy-content-visual');
-        const expansionContent = document.getElementById('policy-content-expansion');
-        const jsonContent = document.getElementById('policy-content-json');
+        const contentViews = {
+            security: document.getElementById('policy-content-security'),
+            visual: document.getElementById('policy-content-visual'),
+            expansion: document.getElementById('policy-content-expansion'),
+            simulator: document.getElementById('policy-content-simulator'),
+            lint: document.getElementById('policy-content-lint'),
+            json: document.getElementById('policy-content-json')
+        };
         const toggleBtns = document.querySelectorAll('.toggle-btn');
 
         // Update button states
@@ -553,37 +1490,150 @@ class App {
         });
 
         // Toggle content
-        if (view === 'security') {
-            securityContent.style.display = 'block';
-            visualContent.style.display = 'none';
-            expansionContent.style.display = 'none';
-            jsonContent.style.display = 'none';
-        } else if (view === 'visual') {
-            securityContent.style.display = 'none';
-            visualContent.style.display = 'block';
-            expansionContent.style.display = 'none';
-            jsonContent.style.display = 'none';
-        } else if (view === 'expansion') {
-            securityContent.style.display = 'none';
-            visualContent.style.display = 'none';
-            expansionContent.style.display = 'block';
-            jsonContent.style.display = 'none';
+        Object.entries(contentViews).forEach(([name, content]) => {
+            content.style.display = name === view ? 'block' : 'none';
+        });
 
+        if (view === 'expansion') {
             // Render expansion analysis
             this.renderExpansionAnalysis();
-        } else {
-            securityContent.style.display = 'none';
-            visualContent.style.display = 'none';
-            expansionContent.style.display = 'none';
-            jsonContent.style.display = 'block';
         }
     }
 
+    /**
+     * Evaluate the request entered in the simulator against the current policy document
+     */
+    handleSimulate() {
+        if (!this.currentPolicy) return;
+
+        const action = document.getElementById('sim-action').value.trim();
+        const resource = document.getElementById('sim-resource').value.trim();
+        if (!action) {
+            this.showError('Please enter an action to simulate');
+            return;
+        }
+
+        const contextResult = PolicyEvaluator.parseContextText(document.getElementById('sim-context').value);
+        if (!contextResult.success) {
+            this.showError(contextResult.error);
+            return;
+        }
+
+        const principalArn = document.getElementById('sim-principal').value.trim();
+        const now = new Date();
+        const context = {
+            'aws:CurrentTime': now.toISOString(),
+            'aws:EpochTime': String(Math.floor(now.getTime() / 1000)),
+            'aws:SourceIp': document.getElementById('sim-source-ip').value.trim(),
+            'aws:MultiFactorAuthPresent': document.getElementById('sim-mfa').value
+        };
+
+        if (principalArn) {
+            context['aws:PrincipalArn'] = principalArn;
+            context['aws:PrincipalAccount'] = principalArn.split(':')[4];
+            const userMatch = principalArn.match(/:user\/(?:.*\/)?([^/]+)$/);
+            if (userMatch) context['aws:username'] = userMatch[1];
+        }
+
+        // Explicitly entered keys override the derived ones
+        Object.assign(context, contextResult.data);
+
+        const resultContainer = document.getElementById('simulator-result');
+        try {
+            const result = PolicyEvaluator.evaluate(this.currentPolicy.currentVersion.Document, { action, resource, context });
+            PolicyVisualizer.renderSimulationResult(result, resultContainer);
+        } catch (error) {
+            console.error('Error simulating request:', error);
+            resultContainer.innerHTML = `<p class="caption error">Error simulating request: ${PolicyVisualizer.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Services used by the principal of the current policy, from Access Advisor data
+     * loaded for it or else the loaded CloudTrail logs: { source, services } or null
+     */
+    getUsedServices() {
+        if (this.lastAccessed && this.lastAccessed.policyArn === this.currentPolicyArn) {
+            return {
+                source: 'Access Advisor',
+                services: this.lastAccessed.data.services
+                    .filter(service => service.lastAuthenticated)
+                    .map(service => service.namespace)
+            };
+        }
+
+        if (this.cloudTrailRecords.length > 0) {
+            const principalArn = document.getElementById('cloudtrail-principal').value;
+            const usage = CloudTrailUsage.collectUsage(this.cloudTrailRecords, principalArn);
+            return {
+                source: 'CloudTrail logs',
+                services: [...new Set([...usage.actions.keys()].map(action => action.split(':')[0]))]
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Rewrite the current policy so its unmitigated findings go away and show the
+     * patch as a diff against the original, with warnings when findings remain.
+     * Broad grants are narrowed to the services used when usage data is loaded
+     */
+    handleRemediate() {
+        if (!this.currentPolicy || !this.checkRulesLoaded()) return;
+
+        const policyDocument = this.currentPolicy.currentVersion.Document;
+        const analysis = analyzePolicyForShadowAdmin(policyDocument);
+        const result = PolicyRemediation.remediate(policyDocument, this.policyExpansion.allActions, this.getUsedServices());
+        const resultContainer = document.getElementById('remediation-result');
+        if (!result.success) {
+            this.remediatedDocument = null;
+            document.getElementById('download-remediation-btn').style.display = 'none';
+            resultContainer.innerHTML = '';
+            this.showError(result.error);
+            return;
+        }
+
+        if (result.data.changes.length === 0) {
+            this.remediatedDocument = null;
+            document.getElementById('download-remediation-btn').style.display = 'none';
+            resultContainer.innerHTML = '<p class="caption">Nothing to remediate: no unmitigated findings</p>';
+            return;
+        }
+
+        this.remediatedDocument = result.data.document;
+        PolicyVisualizer.renderRemediationResult({
+            original: this.currentPolicy.currentVersion,
+            patched: result.data.document,
+            changes: result.data.changes,
+            warnings: result.data.warnings,
+            before: analysis,
+            after: result.data.analysis
+        }, resultContainer);
+        document.getElementById('download-remediation-btn').style.display = 'inline-block';
+    }
+
+    /**
+     * Download the hardened policy as a JSON file
+     */
+    handleDownloadRemediation() {
+        if (!this.remediatedDocument) return;
+
+        const policyName = (this.currentPolicy.policy.PolicyName || 'policy').replace(/[^\w.-]+/g, '-');
+        const blob = new Blob([JSON.stringify(this.remediatedDocument, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${policyName}-hardened.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Render policy expansion analysis
      */
     renderExpansionAnalysis() {
-        const expansionContent = document.getElementById('policy-content-expansion');
+        const expansionContent = document.getElementById('expansion-result');
 
         if (!this.currentPolicy || !this.policyExpansion) {
             expansionContent.innerHTML = '<p class="caption">No policy loaded for expansion analysis</p>';
@@ -592,13 +1642,29 @@ class App {
 
         try {
             // Get the policy document
-            const policyDocument = this.currentPolicy.Document;
+            const policyDocument = this.currentPolicy.currentVersion.Document;
 
             // Analyze expansion
             const analysisResult = this.policyExpansion.analyzePolicy(policyDocument);
 
+            // Label statements with their source policy (effective permissions view)
+            const statementSources = this.currentPolicy.statementSources;
+            if (statementSources && analysisResult.statements) {
+                analysisResult.statements.forEach(statement => {
+                    statement.source = statementSources[statement.index - 1];
+                });
+            }
+
+            // Overlay Access Advisor data loaded for this policy
+            const hasLastAccessed = this.lastAccessed && this.lastAccessed.policyArn === this.currentPolicyArn;
+            if (hasLastAccessed) {
+                PolicyExpansion.applyLastAccessed(analysisResult, this.lastAccessed.data);
+            }
+            document.getElementById('access-advisor-status').textContent = hasLastAccessed ?
+                `Last accessed data for ${this.lastAccessed.data.entityArn}` : '';
+
             // Render the analysis
-            PolicyVisualizer.renderPolicyExpansion(analysisResult, expansionContent);
+            SecurityVisualizer.renderPolicyExpansion(analysisResult, expansionContent);
 
         } catch (error) {
             console.error('Error analyzing policy expansion:', error);
@@ -607,10 +1673,296 @@ class App {
     }
 
     /**
-     * Handle setting a policy version as default
+     * Managed policies are reported by ARN, other policies by their user or role
+     */
+    getAccessAdvisorTarget() {
+        const policy = this.currentPolicy.policy;
+        if (!policy.isInline && !policy.isEffective && !policy.isPasted && !policy.isTrustPolicy && policy.Arn) {
+            return { policyArn: policy.Arn };
+        }
+        return this.getBoundaryPrincipal();
+    }
+
+    /**
+     * Generate the Access Advisor report for the open policy and overlay it on the expansion view
+     */
+    async handleLoadAccessAdvisor() {
+        if (!this.currentPolicy) return;
+
+        const policyArn = this.currentPolicyArn;
+        const button = document.getElementById('access-advisor-btn');
+        const status = document.getElementById('access-advisor-status');
+        button.disabled = true;
+        status.textContent = 'Generating Access Advisor report...';
+
+        try {
+            const result = await awsHandler.getServiceLastAccessed(this.getAccessAdvisorTarget());
+            if (!result.success) {
+                status.textContent = '';
+                this.showError(`Failed to load Access Advisor data: ${result.error}`);
+                return;
+            }
+
+            this.lastAccessed = { policyArn, data: result.data };
+            if (this.currentPolicyArn === policyArn) {
+                this.renderExpansionAnalysis();
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Check if versions of a policy can be created and deleted
+     * (customer managed policies on a live connection)
+     */
+    canWritePolicyVersions(policy) {
+        if (awsHandler.isImported() || !awsHandler.isInitialized()) return false;
+        if (policy.isInline || policy.isPasted || policy.isTrustPolicy || policy.isEffective) return false;
+        return Boolean(policy.Arn) && !policy.Arn.includes(':aws:policy/');
+    }
+
+    /**
+     * Show or hide the new version editor, starting from the displayed document
+     */
+    toggleNewVersionForm(show) {
+        const form = document.getElementById('new-version-form');
+        if (show && this.currentPolicy) {
+            document.getElementById('new-version-document').value =
+                JSON.stringify(this.currentPolicy.currentVersion.Document, null, 2);
+            document.getElementById('new-version-default').checked = true;
+        }
+        document.getElementById('new-version-lint').innerHTML = '';
+        form.style.display = show ? 'block' : 'none';
+    }
+
+    /**
+     * Document of the default version of the open policy
+     */
+    async getDefaultPolicyDocument(policyArn) {
+        const { policy, currentVersion } = this.currentPolicy;
+        if (currentVersion.VersionId === policy.DefaultVersionId) {
+            return { success: true, data: currentVersion.Document };
+        }
+
+        const result = await awsHandler.getPolicyVersion(policyArn, policy.DefaultVersionId);
+        return result.success ? { success: true, data: result.data.Document } : result;
+    }
+
+    /**
+     * Ask for confirmation of a policy write, showing how the security analysis of the
+     * default version changes (before: current default document, after: default document
+     * once the write is done)
+     */
+    confirmPolicyWrite(description, beforeDocument, afterDocument, notes = []) {
+        if (this.rulesError) {
+            return confirm([description, '', 'Escalation rules not loaded, the risk change cannot be shown', ...(notes.length > 0 ? ['', ...notes] : []), '', 'Send this change to AWS?'].join('\n'));
+        }
+
+        const delta = compareSecurityAnalyses(
+            analyzePolicyForShadowAdmin(beforeDocument),
+            analyzePolicyForShadowAdmin(afterDocument)
+        );
+        const describe = (finding) => `  ${finding.method} (${FINDING_KINDS[finding.kind || 'escalation'].label}, risk ${finding.effectiveRiskLevel})`;
+
+        const lines = [description, '', `Risk of the default version: ${delta.riskBefore}/10 → ${delta.riskAfter}/10`];
+        if (delta.added.length > 0) lines.push('New findings:', ...delta.added.map(describe));
+        if (delta.resolved.length > 0) lines.push('Resolved findings:', ...delta.resolved.map(describe));
+        if (delta.changed.length > 0) {
+            lines.push('Changed risk:', ...delta.changed.map(change => `  ${change.method}: ${change.riskBefore} → ${change.riskAfter}`));
+        }
+        if (delta.added.length + delta.resolved.length + delta.changed.length === 0) lines.push('No change in findings');
+        if (notes.length > 0) lines.push('', ...notes);
+        lines.push('', 'Send this change to AWS?');
+
+        return confirm(lines.join('\n'));
+    }
+
+    /**
+     * Save the edited document as a new policy version. Nothing is sent until the document
+     * passes the linter and the size limit; at the version limit the user names the
+     * non-default version to delete, and it is restored if the new version is then refused
+     */
+    async handleSaveNewVersion() {
+        if (!this.currentPolicy) return;
+
+        const policyArn = this.currentPolicyArn;
+        const setAsDefault = document.getElementById('new-version-default').checked;
+        const lintContainer = document.getElementById('new-version-lint');
+        lintContainer.innerHTML = '';
+        let newDocument;
+        try {
+            newDocument = JSON.parse(document.getElementById('new-version-document').value);
+        } catch (error) {
+            this.showError(`Invalid JSON: ${error.message}`);
+            return;
+        }
+
+        const lintResult = PolicyLinter.lint(newDocument, { actions: this.policyExpansion.allActions });
+        if (lintResult.errorCount > 0) {
+            PolicyVisualizer.renderLintResults(lintResult, lintContainer);
+            this.showError(`The document has ${lintResult.errorCount} lint error(s), fix them before saving`);
+            return;
+        }
+
+        const size = JSON.stringify(newDocument).length;
+        if (size > PolicyRemediation.MAX_POLICY_SIZE) {
+            this.showError(`The document is ${size} characters, over the IAM limit of ${PolicyRemediation.MAX_POLICY_SIZE}`);
+            return;
+        }
+
+        const notes = [];
+        if (lintResult.warningCount > 0) notes.push(`Lint: ${lintResult.warningCount} warning(s)`);
+
+        // IAM refuses a sixth version, so the user picks a non-default one to delete first
+        const versions = this.currentPolicy.allVersions || [];
+        let versionToDelete = null;
+        if (versions.length >= AWSHandler.MAX_POLICY_VERSIONS) {
+            versionToDelete = this.pickVersionToDelete(versions);
+            if (!versionToDelete) return;
+            notes.push(`${versionToDelete.VersionId} (created ${PolicyVisualizer.formatDate(versionToDelete.CreateDate)}) is deleted first, this cannot be undone`);
+        }
+
+        const defaultResult = await this.getDefaultPolicyDocument(policyArn);
+        if (!defaultResult.success) {
+            this.showError(`Failed to load the default version: ${defaultResult.error}`);
+            return;
+        }
+        if (!setAsDefault) notes.push('The new version is not set as default, so the effective permissions stay the same');
+
+        const description = `Create a new version of ${this.currentPolicy.policy.PolicyName}${setAsDefault ? ' and set it as default' : ''}` +
+            (versionToDelete ? `, deleting ${versionToDelete.VersionId}` : '');
+        if (!this.confirmPolicyWrite(description, defaultResult.data, setAsDefault ? newDocument : defaultResult.data, notes)) {
+            return;
+        }
+
+        const loadingIndicator = document.getElementById('loading-indicator');
+        loadingIndicator.style.display = 'block';
+
+        try {
+            let deletedDocument = null;
+            if (versionToDelete) {
+                // Keep the document so the version can be restored if the create fails
+                const versionResult = await awsHandler.getPolicyVersion(policyArn, versionToDelete.VersionId);
+                if (!versionResult.success) {
+                    this.showError(`Failed to read ${versionToDelete.VersionId} before deleting it: ${versionResult.error}`);
+                    loadingIndicator.style.display = 'none';
+                    return;
+                }
+                deletedDocument = versionResult.data.Document;
+
+                const deleteResult = await awsHandler.deletePolicyVersion(policyArn, versionToDelete.VersionId);
+                if (!deleteResult.success) {
+                    this.showError(`Failed to delete ${versionToDelete.VersionId}: ${deleteResult.error}`);
+                    loadingIndicator.style.display = 'none';
+                    return;
+                }
+            }
+
+            const result = await awsHandler.createPolicyVersion(policyArn, newDocument, setAsDefault);
+            if (!result.success) {
+                let message = `Failed to create policy version: ${result.error}`;
+                if (deletedDocument) {
+                    const restoreResult = await awsHandler.createPolicyVersion(policyArn, deletedDocument, false);
+                    message += restoreResult.success ?
+                        `. The document of ${versionToDelete.VersionId} was saved again as a new version` :
+                        `. ${versionToDelete.VersionId} was deleted and could not be restored (${restoreResult.error})`;
+                }
+                this.showError(message);
+                if (deletedDocument) await this.showPolicyDetail(policyArn);
+                loadingIndicator.style.display = 'none';
+                return;
+            }
+
+            this.showSuccess(result.message);
+            await this.showPolicyDetail(policyArn);
+
+        } catch (error) {
+            this.showError(`Error creating policy version: ${error.message}`);
+            loadingIndicator.style.display = 'none';
+        }
+    }
+
+    /**
+     * Ask which non-default version to delete to make room for a new one (the oldest is
+     * suggested); returns the version, or null when cancelled or nothing can be deleted
+     */
+    pickVersionToDelete(versions) {
+        const candidates = versions
+            .filter(version => !version.IsDefaultVersion && version.VersionId !== this.currentPolicy.policy.DefaultVersionId)
+            .sort((a, b) => new Date(a.CreateDate) - new Date(b.CreateDate));
+        if (candidates.length === 0) {
+            this.showError(`The policy already has ${AWSHandler.MAX_POLICY_VERSIONS} versions`);
+            return null;
+        }
+
+        const answer = prompt([
+            `The policy already has the maximum of ${AWSHandler.MAX_POLICY_VERSIONS} versions, so one must be deleted.`,
+            ...candidates.map(version => `  ${version.VersionId} (created ${PolicyVisualizer.formatDate(version.CreateDate)})`),
+            '',
+            'Enter the version ID to delete:'
+        ].join('\n'), candidates[0].VersionId);
+        if (answer === null) return null;
+
+        const version = candidates.find(candidate => candidate.VersionId === answer.trim());
+        if (!version) {
+            this.showError(`${answer.trim() || 'An empty version ID'} is not a non-default version of this policy`);
+            return null;
+        }
+        return version;
+    }
+
+    /**
+     * Handle deleting a non-default policy version
+     */
+    async handleDeleteVersion(policyArn, versionId) {
+        const defaultResult = await this.getDefaultPolicyDocument(policyArn);
+        if (!defaultResult.success) {
+            this.showError(`Failed to load the default version: ${defaultResult.error}`);
+            return;
+        }
+
+        // Only non-default versions can be deleted, so the default document stays the same
+        if (!this.confirmPolicyWrite(`Delete ${versionId} of ${this.currentPolicy.policy.PolicyName}? This cannot be undone.`,
+            defaultResult.data, defaultResult.data)) {
+            return;
+        }
+
+        const loadingIndicator = document.getElementById('loading-indicator');
+        loadingIndicator.style.display = 'block';
+
+        try {
+            const result = await awsHandler.deletePolicyVersion(policyArn, versionId);
+
+            if (!result.success) {
+                this.showError(`Failed to delete policy version: ${result.error}`);
+                loadingIndicator.style.display = 'none';
+                return;
+            }
+
+            this.showSuccess(result.message);
+            await this.showPolicyDetail(policyArn);
+
+        } catch (error) {
+            this.showError(`Error deleting policy version: ${error.message}`);
+            loadingIndicator.style.display = 'none';
+        }
+    }
+
+    /**
+     * Handle setting a policy version as default (also used to roll back to an older version)
      */
     async handleSetDefaultVersion(policyArn, versionId) {
-        if (!confirm(`Are you sure you want to set ${versionId} as the default version?`)) {
+        const [defaultResult, versionResult] = await Promise.all([
+            this.getDefaultPolicyDocument(policyArn),
+            awsHandler.getPolicyVersion(policyArn, versionId)
+        ]);
+        if (!defaultResult.success || !versionResult.success) {
+            this.showError(`Failed to load policy versions: ${(defaultResult.success ? versionResult : defaultResult).error}`);
+            return;
+        }
+
+        if (!this.confirmPolicyWrite(`Set ${versionId} as the default version?`, defaultResult.data, versionResult.data.Document)) {
             return;
         }
 
@@ -749,6 +2101,7 @@ class App {
 
             // Show comparison (older on left, newer on right)
             const comparisonSection = document.getElementById('version-comparison-section');
+            document.getElementById('comparison-title').textContent = 'Version Comparison';
             const comparisonContent = document.getElementById('version-comparison-content');
             
             PolicyVisualizer.renderVersionComparison(
@@ -757,6 +2110,18 @@ class App {
                 comparisonContent
             );
 
+            // What the change means: actions gained and lost, findings introduced or removed
+            SecurityVisualizer.renderVersionImpact({
+                olderVersionId: versions[0].VersionId,
+                newerVersionId: versions[1].VersionId,
+                actions: this.policyExpansion.isInitialized ?
+                    this.policyExpansion.compareAllowedActions(versions[0].Document, versions[1].Document) : null,
+                security: this.rulesError ? null : compareSecurityAnalyses(
+                    analyzePolicyForShadowAdmin(versions[0].Document),
+                    analyzePolicyForShadowAdmin(versions[1].Document)
+                )
+            }, document.getElementById('version-impact-content'));
+
             comparisonSection.style.display = 'block';
             
             // Scroll to comparison
@@ -770,6 +2135,140 @@ class App {
         }
     }
 
+    /**
+     * Analyze every version of the open policy and show how its risk evolved
+     */
+    async handleShowRiskTimeline() {
+        if (!this.currentPolicy || !this.checkRulesLoaded()) return;
+
+        const policyArn = this.currentPolicyArn;
+        const loadingIndicator = document.getElementById('loading-indicator');
+        loadingIndicator.style.display = 'block';
+
+        try {
+            const result = await awsHandler.getAllPolicyVersions(policyArn);
+            loadingIndicator.style.display = 'none';
+
+            if (!result.success) {
+                this.showError(`Failed to load policy versions: ${result.error}`);
+                return;
+            }
+            if (this.currentPolicyArn !== policyArn) return;
+
+            const timelineSection = document.getElementById('risk-timeline-section');
+            SecurityVisualizer.renderRiskTimeline(
+                buildRiskTimeline(result.data, this.policyExpansion),
+                document.getElementById('risk-timeline-content')
+            );
+            timelineSection.style.display = 'block';
+            timelineSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        } catch (error) {
+            this.showError(`Error building risk timeline: ${error.message}`);
+            loadingIndicator.style.display = 'none';
+        }
+    }
+
+    /**
+     * Toggle the compare-with-policy form, offering the loaded policies as suggestions
+     */
+    toggleComparePolicyForm() {
+        const form = document.getElementById('compare-policy-form');
+        const toggleBtn = document.getElementById('toggle-compare-policy');
+
+        if (form.style.display === 'none') {
+            document.getElementById('compare-policy-options').innerHTML = this.allPolicies.map(policy => {
+                const id = policy.isInline || policy.isTrustPolicy ? PolicyVisualizer.getInlinePolicyId(policy) : policy.Arn;
+                return `<option value="${PolicyVisualizer.escapeHtml(id)}">${PolicyVisualizer.escapeHtml(policy.PolicyName)}</option>`;
+            }).join('');
+            form.style.display = 'block';
+            toggleBtn.textContent = 'Hide';
+        } else {
+            form.style.display = 'none';
+            toggleBtn.textContent = 'Show';
+        }
+    }
+
+    /**
+     * Compare the open policy with another policy (ARN or inline id) or a pasted document,
+     * using the version comparison view
+     */
+    async handleComparePolicies() {
+        if (!this.currentPolicy) return;
+
+        const otherArn = document.getElementById('compare-policy-arn').value.trim();
+        const otherText = document.getElementById('compare-policy-document').value.trim();
+        if (!otherArn && !otherText) {
+            this.showError('Please enter a policy ARN or paste a policy document to compare with');
+            return;
+        }
+        if (otherArn && otherText) {
+            this.showError('Enter either a policy ARN or a pasted policy document to compare with, not both');
+            return;
+        }
+        if (!otherText && !awsHandler.isInitialized()) {
+            this.showError('Connect to AWS or import account data to compare with a policy ARN');
+            return;
+        }
+
+        const loadingIndicator = document.getElementById('loading-indicator');
+        loadingIndicator.style.display = 'block';
+
+        try {
+            const result = otherText ?
+                awsHandler.getPastedPolicyInfo(otherText, 'Pasted Policy') :
+                await this.loadPolicyInfo(otherArn);
+            loadingIndicator.style.display = 'none';
+
+            if (!result.success) {
+                this.showError(`Failed to load the policy to compare with: ${result.error}`);
+                return;
+            }
+
+            // Column headers show the policy names, the versions follow in brackets
+            const asComparisonVersion = (policyData) => ({
+                ...policyData.currentVersion,
+                VersionId: policyData.currentVersion.VersionId && policyData.currentVersion.VersionId !== 'pasted' ?
+                    `${policyData.policy.PolicyName} (${policyData.currentVersion.VersionId})` : policyData.policy.PolicyName,
+                CreateDate: policyData.currentVersion.CreateDate || policyData.policy.UpdateDate
+            });
+            const current = asComparisonVersion(this.currentPolicy);
+            const other = asComparisonVersion(result.data);
+
+            const comparisonSection = document.getElementById('version-comparison-section');
+            document.getElementById('comparison-title').textContent = 'Policy Comparison';
+            PolicyVisualizer.renderVersionComparison(
+                current,
+                other,
+                document.getElementById('version-comparison-content'),
+                {
+                    old: 'this policy',
+                    new: 'compared policy',
+                    added: `Only in ${other.VersionId}`,
+                    removed: `Only in ${current.VersionId}`
+                }
+            );
+
+            SecurityVisualizer.renderVersionImpact({
+                olderVersionId: current.VersionId,
+                newerVersionId: other.VersionId,
+                actions: this.policyExpansion.isInitialized ?
+                    this.policyExpansion.compareAllowedActions(current.Document, other.Document) : null,
+                security: this.rulesError ? null : compareSecurityAnalyses(
+                    analyzePolicyForShadowAdmin(current.Document),
+                    analyzePolicyForShadowAdmin(other.Document)
+                )
+            }, document.getElementById('version-impact-content'));
+
+            comparisonSection.style.display = 'block';
+            comparisonSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        } catch (error) {
+            this.showError(`Error comparing policies: ${error.message}`);
+            loadingIndicator.style.display = 'none';
+        }
+    }
+
     /**
      * Close version comparison view
      */
@@ -4,15 +4,27 @@
  * 
  * Note: AWS SDK classes (IAMClient, STSClient, etc.) are loaded globally
  * from the importmap in index.html before this script runs.
+ *
+ * Policy data comes either from the live IAM API or from an imported data source
+ * (see AccountAuthorizationDetailsSource); callers use the same methods for both.
  */
 
 class AWSHandler {
     constructor() {
         this.iamClient = null;
         this.stsClient = null;
+        this.organizationsClient = null;
         this.credentials = null;
         this.currentIdentity = null;
         this.hasFullListPermissions = null; // null = unknown, true/false after check
+        this.dataSource = null; // imported data used instead of the live API
+    }
+
+    /**
+     * IAM keeps at most five versions of a managed policy
+     */
+    static get MAX_POLICY_VERSIONS() {
+        return 5;
     }
 
     /**
@@ -32,11 +44,73 @@ class AWSHandler {
 
         this.iamClient = new IAMClient(clientConfig);
         this.stsClient = new STSClient(clientConfig);
+        // Organizations is a global service served from us-east-1
+        this.organizationsClient = new OrganizationsClient({ ...clientConfig, region: 'us-east-1' });
         this.hasFullListPermissions = null;
+        this.dataSource = null;
 
         return true;
     }
 
+    /**
+     * Use parsed get-account-authorization-details output instead of the live API
+     */
+    loadAuthorizationDetails(details) {
+        if (!AccountAuthorizationDetailsSource.isAuthorizationDetails(details)) {
+            return {
+                success: false,
+                error: 'Not a get-account-authorization-details document'
+            };
+        }
+
+        this.disconnect();
+        this.dataSource = new AccountAuthorizationDetailsSource(details);
+        this.hasFullListPermissions = true;
+
+        return {
+            success: true,
+            data: this.dataSource.getSummary()
+        };
+    }
+
+    /**
+     * Build the multi-hop escalation graph of all users and roles (imported account data only)
+     */
+    buildEscalationGraph() {
+        if (!this.dataSource) {
+            return {
+                success: false,
+                error: 'Escalation paths require imported account authorization details'
+            };
+        }
+
+        try {
+            const graph = EscalationGraph.fromPrincipals(
+                this.dataSource.getPrincipals(),
+                this.dataSource.getSummary().accountId
+            );
+
+            return {
+                success: true,
+                data: graph,
+                warnings: this.dataSource.getUnreadableDocuments()
+            };
+        } catch (error) {
+            console.error('Error building escalation graph:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to build escalation graph'
+            };
+        }
+    }
+
+    /**
+     * Check if data comes from an imported file rather than the live API
+     */
+    isImported() {
+        return this.dataSource !== null;
+    }
+
     /**
      * Test connection using STS GetCallerIdentity (almost always allowed)
      * Returns identity info which is useful for fallback operations
@@ -91,6 +165,10 @@ class AWSHandler {
      * Falls back to user-attached policies if ListPolicies is not permitted
      */
     async listAllPolicies() {
+        if (this.dataSource) {
+            return await this.dataSource.listAllPolicies();
+        }
+
         // First try the full list approach
         const fullListResult = await this.tryListAllPolicies();
         
@@ -101,8 +179,12 @@ class AWSHandler {
 
         // If ListPolicies failed due to permissions, try fallback
         if (fullListResult.error && fullListResult.error.includes('not authorized')) {
-            console.log('ListPolicies not authorized, falling back to user-attached policies');
             this.hasFullListPermissions = false;
+            if (this.currentIdentity && this.currentIdentity.isAssumedRole) {
+                console.log('ListPolicies not authorized, falling back to role-attached policies');
+                return await this.listRoleAttachedPolicies();
+            }
+            console.log('ListPolicies not authorized, falling back to user-attached policies');
             return await this.listUserAttachedPolicies();
         }
 
@@ -311,10 +393,157 @@ class AWSHandler {
         };
     }
 
+    /**
+     * Fallback for assumed-role credentials: list policies of the current role
+     * Requires: iam:ListAttachedRolePolicies (for managed policies)
+     *           iam:ListRolePolicies, iam:GetRolePolicy (for inline policies)
+     *           iam:GetRole (for the trust policy)
+     */
+    async listRoleAttachedPolicies() {
+        if (!this.currentIdentity || !this.currentIdentity.roleName) {
+            return {
+                success: false,
+                error: 'Cannot list role policies: not using assumed-role credentials'
+            };
+        }
+
+        const roleName = this.currentIdentity.roleName;
+        const result = {
+            awsManaged: [],
+            customerManaged: [],
+            inlinePolicies: [],
+            trustPolicies: [],
+            attachedPolicies: []
+        };
+
+        // Try to get attached managed policies
+        try {
+            let marker = null;
+            do {
+                const command = new ListAttachedRolePoliciesCommand({
+                    RoleName: roleName,
+                    MaxItems: 100,
+                    ...(marker && { Marker: marker })
+                });
+
+                const response = await this.iamClient.send(command);
+
+                if (response.AttachedPolicies) {
+                    for (const policy of response.AttachedPolicies) {
+                        // Fetch full policy details, use basic info if we can't
+                        const detailResult = await this.getPolicyDetails(policy.PolicyArn);
+                        const rolePolicy = {
+                            ...(detailResult.success ? detailResult.data : {
+                                PolicyName: policy.PolicyName,
+                                Arn: policy.PolicyArn
+                            }),
+                            isAttachedToRole: true,
+                            roleName: roleName
+                        };
+
+                        if (policy.PolicyArn.includes(':aws:policy/')) {
+                            result.awsManaged.push(rolePolicy);
+                        } else {
+                            result.customerManaged.push(rolePolicy);
+                        }
+                        result.attachedPolicies.push(rolePolicy);
+                    }
+                }
+
+                marker = response.IsTruncated ? response.Marker : null;
+            } while (marker);
+        } catch (error) {
+            console.warn('Could not list attached role policies:', error.message);
+        }
+
+        // Try to get inline policies
+        try {
+            let marker = null;
+            do {
+                const command = new ListRolePoliciesCommand({
+                    RoleName: roleName,
+                    MaxItems: 100,
+                    ...(marker && { Marker: marker })
+                });
+
+                const response = await this.iamClient.send(command);
+
+                if (response.PolicyNames) {
+                    for (const policyName of response.PolicyNames) {
+                        // Try to get the inline policy document
+                        try {
+                            const policyResponse = await this.iamClient.send(new GetRolePolicyCommand({
+                                RoleName: roleName,
+                                PolicyName: policyName
+                            }));
+
+                            result.inlinePolicies.push({
+                                PolicyName: policyName,
+                                PolicyDocument: this.decodePolicyDocument(policyResponse.PolicyDocument),
+                                isInline: true,
+                                roleName: roleName
+                            });
+                        } catch (err) {
+                            // Add without document if we can't fetch it
+                            result.inlinePolicies.push({
+                                PolicyName: policyName,
+                                isInline: true,
+                                roleName: roleName
+                            });
+                        }
+                    }
+                }
+
+                marker = response.IsTruncated ? response.Marker : null;
+            } while (marker);
+        } catch (error) {
+            console.warn('Could not list inline role policies:', error.message);
+        }
+
+        // Try to get the trust policy (who can assume this role)
+        try {
+            const response = await this.iamClient.send(new GetRoleCommand({
+                RoleName: roleName
+            }));
+
+            result.trustPolicies.push({
+                PolicyName: `${roleName} (trust policy)`,
+                PolicyDocument: this.decodePolicyDocument(response.Role.AssumeRolePolicyDocument),
+                isTrustPolicy: true,
+                roleName: roleName,
+                roleArn: response.Role.Arn,
+                CreateDate: response.Role.CreateDate
+            });
+        } catch (error) {
+            console.warn('Could not get role trust policy:', error.message);
+        }
+
+        const totalPolicies = result.awsManaged.length + result.customerManaged.length +
+            result.inlinePolicies.length + result.trustPolicies.length;
+
+        if (totalPolicies === 0) {
+            return {
+                success: false,
+                error: 'No policies found or insufficient permissions to list role policies'
+            };
+        }
+
+        return {
+            success: true,
+            data: result,
+            mode: 'limited',
+            message: `Found ${totalPolicies} policies for role ${roleName}`
+        };
+    }
+
     /**
      * Get detailed information about a specific policy
      */
     async getPolicyDetails(policyArn) {
+        if (this.dataSource) {
+            return await this.dataSource.getPolicyDetails(policyArn);
+        }
+
         try {
             const command = new GetPolicyCommand({
                 PolicyArn: policyArn
@@ -339,6 +568,10 @@ class AWSHandler {
      * Get the policy document for a specific version
      */
     async getPolicyVersion(policyArn, versionId) {
+        if (this.dataSource) {
+            return await this.dataSource.getPolicyVersion(policyArn, versionId);
+        }
+
         try {
             const command = new GetPolicyVersionCommand({
                 PolicyArn: policyArn,
@@ -373,6 +606,10 @@ class AWSHandler {
      * List all versions of a policy
      */
     async listPolicyVersions(policyArn) {
+        if (this.dataSource) {
+            return await this.dataSource.listPolicyVersions(policyArn);
+        }
+
         try {
             const command = new ListPolicyVersionsCommand({
                 PolicyArn: policyArn,
@@ -399,6 +636,10 @@ class AWSHandler {
      * Note: This requires iam:SetDefaultPolicyVersion permission
      */
     async setDefaultPolicyVersion(policyArn, versionId) {
+        if (this.dataSource) {
+            return await this.dataSource.setDefaultPolicyVersion(policyArn, versionId);
+        }
+
         try {
             const command = new SetDefaultPolicyVersionCommand({
                 PolicyArn: policyArn,
@@ -420,6 +661,90 @@ class AWSHandler {
         }
     }
 
+    /**
+     * Fetch every version of a policy with its document, oldest first
+     */
+    async getAllPolicyVersions(policyArn) {
+        const versionsResult = await this.listPolicyVersions(policyArn);
+        if (!versionsResult.success) return versionsResult;
+
+        const results = await Promise.all(
+            versionsResult.data.map(version => this.getPolicyVersion(policyArn, version.VersionId))
+        );
+        const failed = results.find(result => !result.success);
+        if (failed) return failed;
+
+        return {
+            success: true,
+            data: results
+                .map((result, index) => ({ ...versionsResult.data[index], ...result.data }))
+                .sort((a, b) => new Date(a.CreateDate) - new Date(b.CreateDate))
+        };
+    }
+
+    /**
+     * Save a policy document as a new version, optionally making it the default
+     * Note: This requires iam:CreatePolicyVersion permission
+     */
+    async createPolicyVersion(policyArn, policyDocument, setAsDefault = false) {
+        if (this.dataSource) {
+            return await this.dataSource.createPolicyVersion(policyArn, policyDocument, setAsDefault);
+        }
+
+        try {
+            const command = new CreatePolicyVersionCommand({
+                PolicyArn: policyArn,
+                PolicyDocument: JSON.stringify(policyDocument),
+                SetAsDefault: setAsDefault
+            });
+
+            const response = await this.iamClient.send(command);
+            const versionId = response.PolicyVersion.VersionId;
+
+            return {
+                success: true,
+                data: response.PolicyVersion,
+                message: `Successfully created ${versionId}${setAsDefault ? ' as the default version' : ''}`
+            };
+        } catch (error) {
+            console.error('Error creating policy version:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to create policy version'
+            };
+        }
+    }
+
+    /**
+     * Delete a non-default policy version
+     * Note: This requires iam:DeletePolicyVersion permission
+     */
+    async deletePolicyVersion(policyArn, versionId) {
+        if (this.dataSource) {
+            return await this.dataSource.deletePolicyVersion(policyArn, versionId);
+        }
+
+        try {
+            const command = new DeletePolicyVersionCommand({
+                PolicyArn: policyArn,
+                VersionId: versionId
+            });
+
+            await this.iamClient.send(command);
+
+            return {
+                success: true,
+                message: `Successfully deleted ${versionId}`
+            };
+        } catch (error) {
+            console.error('Error deleting policy version:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to delete policy version'
+            };
+        }
+    }
+
     /**
      * Get complete policy information including document
      */
@@ -468,312 +793,1134 @@ class AWSHandler {
     disconnect() {
         this.iamClient = null;
         this.stsClient = null;
+        this.organizationsClient = null;
         this.credentials = null;
         this.currentIdentity = null;
         this.hasFullListPermissions = null;
+        this.dataSource = null;
     }
 
     /**
      * Check if handler is initialized
      */
     isInitialized() {
-        return this.iamClient !== null;
+        return this.iamClient !== null || this.dataSource !== null;
     }
 
     /**
-     * Analyze an inline policy document (for user inline policies)
+     * Decode a policy document returned by the IAM API (URL-encoded JSON string)
      */
-    getInlinePolicyInfo(inlinePolicy) {
+    decodePolicyDocument(policyDocument) {
+        if (typeof policyDocument === 'string') {
+            return JSON.parse(decodeURIComponent(policyDocument));
+        }
+        return policyDocument;
+    }
+
+    /**
+     * Get the default version document of a managed policy
+     */
+    async getManagedPolicyDocument(policyArn) {
+        const detailsResult = await this.getPolicyDetails(policyArn);
+        if (!detailsResult.success) {
+            return detailsResult;
+        }
+
+        const versionResult = await this.getPolicyVersion(policyArn, detailsResult.data.DefaultVersionId);
+        if (!versionResult.success) {
+            return versionResult;
+        }
+
         return {
             success: true,
             data: {
-                policy: {
-                    PolicyName: inlinePolicy.PolicyName,
-                    Arn: `inline:${inlinePolicy.userName}/${inlinePolicy.PolicyName}`,
-                    isInline: true
-                },
-                currentVersion: {
-                    Document: inlinePolicy.PolicyDocument,
-                    VersionId: 'inline',
-                    IsDefaultVersion: true
-                },
-                allVersions: [{
-                    VersionId: 'inline',
-                    IsDefaultVersion: true,
-                    CreateDate: new Date().toISOString()
-                }]
+                policy: detailsResult.data,
+                document: versionResult.data.Document
             }
         };
     }
-}
-
-// Global singleton instance
-const awsHandler = new AWSHandler();
 
-/**
- * Shadow Admin Detection - Privilege Escalation Methods
- * Based on research from Rhino Security Labs Pacu framework
- */
+    /**
+     * Collect every policy that applies to the current IAM user or assumed role, with
+     * documents: attached managed, inline, and (users) managed/inline policies of each group
+     * Requires: iam:ListAttachedUserPolicies, iam:ListUserPolicies, iam:GetUserPolicy,
+     *           iam:ListGroupsForUser, iam:ListAttachedGroupPolicies, iam:ListGroupPolicies,
+     *           iam:GetGroupPolicy, iam:GetPolicy, iam:GetPolicyVersion
+     *           (roles: iam:ListAttachedRolePolicies, iam:ListRolePolicies, iam:GetRolePolicy)
+     * Policies that cannot be read are reported in errors instead of failing the whole call
+     */
+    async getEffectivePolicySources() {
+        const { userName, roleName } = this.currentIdentity || {};
+        if (!userName && !roleName) {
+            return {
+                success: false,
+                error: 'Effective permissions require an IAM user or role identity'
+            };
+        }
 
-const ESCALATION_METHODS = {
-    // IAM Policy Manipulation
-    'CreateNewPolicyVersion': {
-        permissions: ['iam:createpolicyversion'],
-        optional: ['iam:listattachedgrouppolicies', 'iam:listattachedrolepolicies', 'iam:listattacheduserpolicies'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can create new policy version with admin permissions and set as default'
-    },
-    'SetExistingDefaultPolicyVersion': {
-        permissions: ['iam:setdefaultpolicyversion'],
-        optional: ['iam:listpolicyversions', 'iam:listattacheduserpolicies'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can revert to previous policy version with higher privileges'
-    },
-    'AttachUserPolicy': {
-        permissions: ['iam:attachuserpolicy'],
-        optional: ['iam:listusers'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can attach AdministratorAccess policy to own user'
-    },
-    'AttachGroupPolicy': {
-        permissions: ['iam:attachgrouppolicy'],
-        optional: ['iam:listgroupsforuser'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can attach admin policy to a group user belongs to'
-    },
-    'AttachRolePolicy': {
-        permissions: ['iam:attachrolepolicy', 'sts:assumerole'],
-        optional: ['iam:listroles'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can attach admin policy to an assumable role'
-    },
-    'PutUserPolicy': {
-        permissions: ['iam:putuserpolicy'],
-        optional: ['iam:listuserpolicies'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can create inline policy with admin permissions on own user'
-    },
-    'PutGroupPolicy': {
-        permissions: ['iam:putgrouppolicy'],
-        optional: ['iam:listgrouppolicies'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can create inline admin policy on a group user belongs to'
-    },
-    'PutRolePolicy': {
-        permissions: ['iam:putrolepolicy', 'sts:assumerole'],
-        optional: ['iam:listrolepolicies'],
-        riskLevel: 10,
-        category: 'IAM Policy Manipulation',
-        description: 'Can create inline admin policy on an assumable role'
-    },
-    
-    // IAM Principal Manipulation
-    'AddUserToGroup': {
-        permissions: ['iam:addusertogroup'],
-        optional: ['iam:listgroups'],
-        riskLevel: 8,
-        category: 'Principal Manipulation',
-        description: 'Can add self to privileged group'
-    },
-    'CreateAccessKey': {
-        permissions: ['iam:createaccesskey'],
-        optional: ['iam:listusers'],
-        riskLevel: 9,
-        category: 'Principal Manipulation',
-        description: 'Can create access keys for privileged users'
-    },
-    'CreateLoginProfile': {
-        permissions: ['iam:createloginprofile'],
-        optional: ['iam:listusers'],
-        riskLevel: 8,
-        category: 'Principal Manipulation',
-        description: 'Can create console password for privileged users'
-    },
-    'UpdateLoginProfile': {
-        permissions: ['iam:updateloginprofile'],
-        optional: ['iam:listusers'],
-        riskLevel: 8,
-        category: 'Principal Manipulation',
-        description: 'Can reset console password for privileged users'
-    },
-    'UpdateRolePolicyToAssumeIt': {
-        permissions: ['iam:updateassumerolepolicy', 'sts:assumerole'],
-        optional: ['iam:listroles'],
-        riskLevel: 9,
-        category: 'Principal Manipulation',
-        description: 'Can modify role trust policy to assume privileged role'
-    },
-    
-    // PassRole Escalation
-    'PassRoleToEC2': {
-        permissions: ['iam:passrole', 'ec2:runinstances'],
-        optional: ['iam:listinstanceprofiles'],
-        riskLevel: 9,
-        category: 'PassRole Escalation',
-        description: 'Can pass privileged role to EC2 and extract credentials'
-    },
-    'PassRoleToLambda': {
-        permissions: ['iam:passrole', 'lambda:createfunction', 'lambda:invokefunction'],
-        optional: ['iam:listroles'],
-        riskLevel: 10,
-        category: 'PassRole Escalation',
-        description: 'Can create Lambda with privileged role and invoke it'
-    },
-    'PassRoleToLambdaDynamoDB': {
-        permissions: ['iam:passrole', 'lambda:createfunction', 'lambda:createeventsourcemapping', 'dynamodb:putitem'],
-        optional: ['dynamodb:createtable'],
-        riskLevel: 9,
-        category: 'PassRole Escalation',
-        description: 'Can create Lambda with privileged role triggered by DynamoDB'
-    },
-    'UpdateLambdaFunction': {
-        permissions: ['lambda:updatefunctioncode'],
-        optional: ['lambda:listfunctions', 'lambda:invokefunction'],
-        riskLevel: 9,
-        category: 'PassRole Escalation',
-        description: 'Can modify existing Lambda function with privileged role'
-    },
-    'PassRoleToGlue': {
-        permissions: ['iam:passrole', 'glue:createdevendpoint'],
-        optional: ['glue:getdevendpoint', 'iam:listroles'],
-        riskLevel: 9,
-        category: 'PassRole Escalation',
-        description: 'Can create Glue Dev Endpoint with privileged role'
-    },
-    'UpdateGlueDevEndpoint': {
-        permissions: ['glue:updatedevendpoint'],
-        optional: ['glue:describedevendpoints'],
-        riskLevel: 8,
-        category: 'PassRole Escalation',
-        description: 'Can add SSH key to existing Glue Dev Endpoint'
-    },
-    'PassRoleToCloudFormation': {
-        permissions: ['iam:passrole', 'cloudformation:createstack'],
-        optional: ['cloudformation:describestacks', 'iam:listroles'],
-        riskLevel: 9,
-        category: 'PassRole Escalation',
-        description: 'Can create CloudFormation stack with privileged role'
-    },
-    'PassRoleToDataPipeline': {
-        permissions: ['iam:passrole', 'datapipeline:createpipeline', 'datapipeline:putpipelinedefinition'],
-        optional: ['iam:listroles'],
-        riskLevel: 8,
-        category: 'PassRole Escalation',
-        description: 'Can create Data Pipeline with privileged role'
-    },
-    'PassRoleToCodeStar': {
-        permissions: ['iam:passrole', 'codestar:createproject'],
-        optional: [],
-        riskLevel: 7,
-        category: 'PassRole Escalation',
-        description: 'Can create CodeStar project with privileged role'
-    },
-    
-    // CodeStar Special
-    'CodeStarCreateProjectFromTemplate': {
-        permissions: ['codestar:createprojectfromtemplate'],
-        optional: [],
-        riskLevel: 7,
-        category: 'Special Methods',
-        description: 'Undocumented CodeStar API providing elevated permissions'
-    },
-    'CodeStarAssociateTeamMember': {
-        permissions: ['codestar:createproject', 'codestar:associateteammember'],
-        optional: [],
-        riskLevel: 7,
-        category: 'Special Methods',
-        description: 'Can gain enumeration permissions through CodeStar Owner role'
-    }
-};
+        // Session policies passed to AssumeRole cannot be read back and are not included
+        const principalType = userName ? 'user' : 'role';
+        const principalName = userName || roleName;
+        const sources = [];
+        const errors = [];
 
-/**
- * Analyze policy document for shadow admin and privilege escalation issues
- */
-const analyzePolicyForShadowAdmin = (policyDocument) => {
-    const issues = [];
-    const detectedMethods = [];
-    let maxRiskLevel = 0;
-    
-    if (!policyDocument || !policyDocument.Statement) {
-        return { issues, riskLevel: 0, detectedMethods, summary: 'No policy statements found' };
-    }
-    
-    const statements = Array.isArray(policyDocument.Statement) 
-        ? policyDocument.Statement 
-        : [policyDocument.Statement];
-    
-    // Collect all permissions
-    const allowedPermissions = new Set();
-    const deniedPermissions = new Set();
-    let hasWildcardAction = false;
-    let hasWildcardResource = false;
-    
-    statements.forEach((statement, idx) => {
-        const effect = statement.Effect || 'Allow';
-        const actions = statement.Action ? (Array.isArray(statement.Action) ? statement.Action : [statement.Action]) : [];
-        const resources = statement.Resource ? (Array.isArray(statement.Resource) ? statement.Resource : [statement.Resource]) : [];
-        
-        // Check for wildcards
-        if (actions.includes('*')) {
-            hasWildcardAction = true;
-            if (resources.includes('*') && effect === 'Allow') {
-                issues.push({
-                    type: 'FULL_ADMIN',
-                    severity: 'critical',
-                    statementIndex: idx,
-                    title: 'Full Administrator Access',
-                    description: 'This statement grants Action: "*" on Resource: "*" - full admin permissions',
-                    remediation: 'Restrict to specific actions and resources required for the task'
-                });
-                maxRiskLevel = 10;
+        const addManagedPolicies = async (attachedPolicies, attachedVia) => {
+            for (const attached of attachedPolicies) {
+                const documentResult = await this.getManagedPolicyDocument(attached.PolicyArn);
+                if (documentResult.success) {
+                    sources.push({
+                        name: attached.PolicyName,
+                        arn: attached.PolicyArn,
+                        type: 'managed',
+                        attachedVia,
+                        label: attachedVia.startsWith('group:') ? `${attached.PolicyName} (via group ${attachedVia.substring(6)})` : attached.PolicyName,
+                        document: documentResult.data.document
+                    });
+                } else {
+                    errors.push(`${attached.PolicyName}: ${documentResult.error}`);
+                }
+            }
+        };
+
+        const listAll = async (createCommand, resultKey) => {
+            const items = [];
+            let marker = null;
+            do {
+                const response = await this.iamClient.send(createCommand(marker));
+                if (response[resultKey]) {
+                    items.push(...response[resultKey]);
+                }
+                marker = response.IsTruncated ? response.Marker : null;
+            } while (marker);
+            return items;
+        };
+
+        // Managed policies attached directly to the user or role
+        try {
+            const attached = await listAll(marker => {
+                const params = { MaxItems: 100, ...(marker && { Marker: marker }) };
+                return userName ?
+                    new ListAttachedUserPoliciesCommand({ UserName: userName, ...params }) :
+                    new ListAttachedRolePoliciesCommand({ RoleName: roleName, ...params });
+            }, 'AttachedPolicies');
+            await addManagedPolicies(attached, principalType);
+        } catch (error) {
+            errors.push(`Attached ${principalType} policies: ${error.message}`);
+        }
+
+        // Inline user or role policies
+        try {
+            const policyNames = await listAll(marker => {
+                const params = { MaxItems: 100, ...(marker && { Marker: marker }) };
+                return userName ?
+                    new ListUserPoliciesCommand({ UserName: userName, ...params }) :
+                    new ListRolePoliciesCommand({ RoleName: roleName, ...params });
+            }, 'PolicyNames');
+
+            for (const policyName of policyNames) {
+                try {
+                    const response = await this.iamClient.send(userName ?
+                        new GetUserPolicyCommand({ UserName: userName, PolicyName: policyName }) :
+                        new GetRolePolicyCommand({ RoleName: roleName, PolicyName: policyName }));
+                    sources.push({
+                        name: policyName,
+                        type: 'inline',
+                        attachedVia: principalType,
+                        label: `${policyName} (inline)`,
+                        document: this.decodePolicyDocument(response.PolicyDocument)
+                    });
+                } catch (error) {
+                    errors.push(`${policyName}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            errors.push(`Inline ${principalType} policies: ${error.message}`);
+        }
+
+        // Group memberships and their policies (roles have no groups)
+        if (userName) {
+            try {
+                const groups = await listAll(marker => new ListGroupsForUserCommand({
+                    UserName: userName,
+                    MaxItems: 100,
+                    ...(marker && { Marker: marker })
+                }), 'Groups');
+
+                for (const group of groups) {
+                    const groupName = group.GroupName;
+
+                    try {
+                        const attached = await listAll(marker => new ListAttachedGroupPoliciesCommand({
+                            GroupName: groupName,
+                            MaxItems: 100,
+                            ...(marker && { Marker: marker })
+                        }), 'AttachedPolicies');
+                        await addManagedPolicies(attached, `group:${groupName}`);
+                    } catch (error) {
+                        errors.push(`Attached policies of group ${groupName}: ${error.message}`);
+                    }
+
+                    try {
+                        const policyNames = await listAll(marker => new ListGroupPoliciesCommand({
+                            GroupName: groupName,
+                            MaxItems: 100,
+                            ...(marker && { Marker: marker })
+                        }), 'PolicyNames');
+
+                        for (const policyName of policyNames) {
+                            try {
+                                const response = await this.iamClient.send(new GetGroupPolicyCommand({
+                                    GroupName: groupName,
+                                    PolicyName: policyName
+                                }));
+                                sources.push({
+                                    name: policyName,
+                                    type: 'inline',
+                                    attachedVia: `group:${groupName}`,
+                                    label: `${policyName} (inline, via group ${groupName})`,
+                                    document: this.decodePolicyDocument(response.PolicyDocument)
+                                });
+                            } catch (error) {
+                                errors.push(`${policyName} (group ${groupName}): ${error.message}`);
+                            }
+                        }
+                    } catch (error) {
+                        errors.push(`Inline policies of group ${groupName}: ${error.message}`);
+                    }
+                }
+            } catch (error) {
+                errors.push(`Group memberships: ${error.message}`);
+            }
+        }
+
+        if (sources.length === 0) {
+            return {
+                success: false,
+                error: errors.length > 0 ? errors.join('; ') : `No policies found for ${principalType} ${principalName}`
+            };
+        }
+
+        return {
+            success: true,
+            data: {
+                principalName,
+                sources,
+                errors
+            }
+        };
+    }
+
+    /**
+     * Context for analyzing a role's trust policy: the account it lives in and the
+     * role's merged permissions (to pair trusted services with what they receive)
+     * Requires (live): iam:ListAttachedRolePolicies, iam:ListRolePolicies, iam:GetRolePolicy,
+     *                  iam:GetPolicy, iam:GetPolicyVersion
+     */
+    async getTrustPolicyContext(roleName, roleArn = null) {
+        const accountId = roleArn ? roleArn.split(':')[4] :
+            (this.dataSource ? this.dataSource.getSummary().accountId : this.currentIdentity && this.currentIdentity.accountId);
+        const sources = [];
+
+        if (this.dataSource) {
+            const role = this.dataSource.getPrincipals().find(principal => principal.type === 'role' && principal.name === roleName);
+            if (role) sources.push(...role.sources);
+        } else {
+            try {
+                const attached = await this.iamClient.send(new ListAttachedRolePoliciesCommand({
+                    RoleName: roleName,
+                    MaxItems: 100
+                }));
+                for (const policy of attached.AttachedPolicies || []) {
+                    const documentResult = await this.getManagedPolicyDocument(policy.PolicyArn);
+                    if (documentResult.success) {
+                        sources.push({ label: policy.PolicyName, document: documentResult.data.document });
+                    }
+                }
+            } catch (error) {
+                console.warn('Could not list attached role policies:', error.message);
+            }
+
+            try {
+                const inline = await this.iamClient.send(new ListRolePoliciesCommand({
+                    RoleName: roleName,
+                    MaxItems: 100
+                }));
+                for (const policyName of inline.PolicyNames || []) {
+                    const response = await this.iamClient.send(new GetRolePolicyCommand({
+                        RoleName: roleName,
+                        PolicyName: policyName
+                    }));
+                    sources.push({ label: `${policyName} (inline)`, document: this.decodePolicyDocument(response.PolicyDocument) });
+                }
+            } catch (error) {
+                console.warn('Could not read inline role policies:', error.message);
+            }
+        }
+
+        return {
+            success: true,
+            data: {
+                accountId,
+                roleArn,
+                rolePermissions: sources.length > 0 ?
+                    this.buildEffectivePolicyInfo(roleName, sources).data.currentVersion.Document : null
+            }
+        };
+    }
+
+    /**
+     * Get the permissions boundary document of a user or role
+     * Requires (live): iam:GetUser or iam:GetRole, iam:GetPolicy, iam:GetPolicyVersion
+     */
+    async getPermissionsBoundary({ userName = null, roleName = null } = {}) {
+        if (!userName && !roleName) {
+            return {
+                success: false,
+                error: 'Open a user or role policy to load its permissions boundary'
+            };
+        }
+
+        const principalLabel = roleName ? `Role ${roleName}` : `User ${userName}`;
+        let boundaryArn = null;
+
+        try {
+            if (this.dataSource) {
+                boundaryArn = this.dataSource.getPermissionsBoundaryArn({ userName, roleName });
+            } else if (roleName) {
+                const response = await this.iamClient.send(new GetRoleCommand({ RoleName: roleName }));
+                boundaryArn = response.Role.PermissionsBoundary ? response.Role.PermissionsBoundary.PermissionsBoundaryArn : null;
+            } else {
+                const response = await this.iamClient.send(new GetUserCommand({ UserName: userName }));
+                boundaryArn = response.User.PermissionsBoundary ? response.User.PermissionsBoundary.PermissionsBoundaryArn : null;
+            }
+        } catch (error) {
+            console.error('Error getting permissions boundary:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to get permissions boundary'
+            };
+        }
+
+        if (!boundaryArn) {
+            return {
+                success: false,
+                error: `${principalLabel} has no permissions boundary`
+            };
+        }
+
+        const documentResult = await this.getManagedPolicyDocument(boundaryArn);
+        if (!documentResult.success) {
+            return documentResult;
+        }
+
+        return {
+            success: true,
+            data: {
+                name: documentResult.data.policy.PolicyName,
+                arn: boundaryArn,
+                document: documentResult.data.document
+            }
+        };
+    }
+
+    /**
+     * Get the SCPs that apply to the connected account, from the account up to the organization root
+     * Requires: organizations:ListPoliciesForTarget, organizations:ListParents, organizations:DescribePolicy
+     * (management account or delegated administrator)
+     */
+    async getServiceControlPolicies() {
+        if (this.dataSource) {
+            return {
+                success: false,
+                error: 'Imported account authorization details do not include SCPs, paste them instead'
+            };
+        }
+
+        if (!this.currentIdentity || !this.organizationsClient) {
+            return {
+                success: false,
+                error: 'Not connected to AWS'
+            };
+        }
+
+        try {
+            const policies = [];
+            const seen = new Set();
+            let target = { Id: this.currentIdentity.accountId, Type: 'ACCOUNT' };
+
+            while (target) {
+                const response = await this.organizationsClient.send(new ListPoliciesForTargetCommand({
+                    TargetId: target.Id,
+                    Filter: 'SERVICE_CONTROL_POLICY'
+                }));
+
+                for (const summary of response.Policies || []) {
+                    if (seen.has(summary.Id)) continue;
+                    seen.add(summary.Id);
+
+                    const policyResponse = await this.organizationsClient.send(new DescribePolicyCommand({
+                        PolicyId: summary.Id
+                    }));
+                    policies.push({
+                        Name: summary.Name,
+                        Target: `${target.Type} ${target.Id}`,
+                        Document: JSON.parse(policyResponse.Policy.Content)
+                    });
+                }
+
+                // The root has no parents
+                if (target.Type === 'ROOT') break;
+                const parents = await this.organizationsClient.send(new ListParentsCommand({ ChildId: target.Id }));
+                target = (parents.Parents || [])[0] || null;
+            }
+
+            return {
+                success: true,
+                data: policies
+            };
+        } catch (error) {
+            console.error('Error getting service control policies:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to get service control policies'
+            };
+        }
+    }
+
+    /**
+     * Get Access Advisor (service last accessed) data for a managed policy, user or role
+     * Generates the report with action-level granularity and polls until it completes
+     * Requires: iam:GenerateServiceLastAccessedDetails, iam:GetServiceLastAccessedDetails
+     *           (plus iam:GetUser / iam:GetRole to resolve a principal ARN)
+     * services[].actions maps lowercased action names to their last access time (null if never used),
+     * it is null for services that do not track actions
+     */
+    async getServiceLastAccessed({ policyArn = null, userName = null, roleName = null } = {}, pollIntervalMs = 2000, maxPolls = 30) {
+        if (this.dataSource) {
+            return {
+                success: false,
+                error: 'Access Advisor data is only available when connected to AWS'
+            };
+        }
+
+        if (!this.iamClient) {
+            return {
+                success: false,
+                error: 'Not connected to AWS'
+            };
+        }
+
+        if (!policyArn && !userName && !roleName) {
+            return {
+                success: false,
+                error: 'Open a managed policy, user or role policy to load Access Advisor data'
+            };
+        }
+
+        try {
+            let entityArn = policyArn;
+            if (!entityArn && roleName) {
+                entityArn = (await this.iamClient.send(new GetRoleCommand({ RoleName: roleName }))).Role.Arn;
+            } else if (!entityArn) {
+                entityArn = (await this.iamClient.send(new GetUserCommand({ UserName: userName }))).User.Arn;
+            }
+
+            const { JobId } = await this.iamClient.send(new GenerateServiceLastAccessedDetailsCommand({
+                Arn: entityArn,
+                Granularity: 'ACTION_LEVEL'
+            }));
+
+            let response = null;
+            for (let poll = 0; poll < maxPolls; poll++) {
+                response = await this.iamClient.send(new GetServiceLastAccessedDetailsCommand({ JobId }));
+                if (response.JobStatus !== 'IN_PROGRESS') break;
+                await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+            }
+
+            if (response.JobStatus === 'IN_PROGRESS') {
+                return {
+                    success: false,
+                    error: 'Access Advisor report is still being generated, try again shortly'
+                };
+            }
+            if (response.JobStatus === 'FAILED') {
+                return {
+                    success: false,
+                    error: (response.Error && response.Error.Message) || 'Access Advisor report failed'
+                };
+            }
+
+            const services = [...(response.ServicesLastAccessed || [])];
+            while (response.IsTruncated) {
+                response = await this.iamClient.send(new GetServiceLastAccessedDetailsCommand({ JobId, Marker: response.Marker }));
+                services.push(...(response.ServicesLastAccessed || []));
+            }
+
+            const toIso = (date) => date ? new Date(date).toISOString() : null;
+
+            return {
+                success: true,
+                data: {
+                    entityArn,
+                    jobId: JobId,
+                    completedAt: toIso(response.JobCompletionDate),
+                    services: services.map(service => ({
+                        namespace: service.ServiceNamespace,
+                        name: service.ServiceName,
+                        lastAuthenticated: toIso(service.LastAuthenticated),
+                        lastAuthenticatedEntity: service.LastAuthenticatedEntity || null,
+                        actions: service.TrackedActionsLastAccessed ?
+                            Object.fromEntries(service.TrackedActionsLastAccessed.map(action =>
+                                [action.ActionName.toLowerCase(), toIso(action.LastAccessedTime)]
+                            )) : null
+                    }))
+                }
+            };
+        } catch (error) {
+            console.error('Error getting service last accessed details:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to get Access Advisor data'
+            };
+        }
+    }
+
+    /**
+     * Parse pasted guardrails into evaluation layers
+     * The boundary is one policy document; SCPs are a document, an array of documents,
+     * or an array of { Name, Target, Document } entries (as loaded from the organization)
+     * SCPs with the same Target form one layer (they are combined), each layer must allow an action
+     */
+    parseGuardrails(boundaryText, scpText) {
+        const layers = [];
+
+        if (boundaryText && boundaryText.trim()) {
+            const boundaryResult = this.getPastedPolicyInfo(boundaryText, 'Permissions boundary');
+            if (!boundaryResult.success) {
+                return {
+                    success: false,
+                    error: `Permissions boundary: ${boundaryResult.error}`
+                };
+            }
+            layers.push({
+                name: 'Permissions boundary',
+                documents: [boundaryResult.data.currentVersion.Document]
+            });
+        }
+
+        if (scpText && scpText.trim()) {
+            let parsed;
+            try {
+                parsed = JSON.parse(scpText);
+            } catch (error) {
+                return {
+                    success: false,
+                    error: `SCPs: Invalid JSON: ${error.message}`
+                };
+            }
+
+            const entries = Array.isArray(parsed) ? parsed : [parsed];
+            const layersByTarget = new Map();
+
+            for (const [index, entry] of entries.entries()) {
+                let scpDocument = entry && (entry.Document || entry.Content) ? (entry.Document || entry.Content) : entry;
+                if (typeof scpDocument === 'string') {
+                    try {
+                        scpDocument = JSON.parse(scpDocument);
+                    } catch (error) {
+                        return {
+                            success: false,
+                            error: `SCP ${index + 1}: Content is not valid JSON`
+                        };
+                    }
+                }
+                if (!scpDocument || !scpDocument.Statement) {
+                    return {
+                        success: false,
+                        error: `SCP ${index + 1}: Policy document must contain a Statement field`
+                    };
+                }
+
+                const target = entry.Target || 'pasted';
+                if (!layersByTarget.has(target)) {
+                    layersByTarget.set(target, { name: target === 'pasted' ? 'SCPs' : `SCPs on ${target}`, documents: [], policyNames: [] });
+                }
+                layersByTarget.get(target).documents.push(scpDocument);
+                layersByTarget.get(target).policyNames.push(entry.Name || `SCP ${index + 1}`);
+            }
+
+            // AWS attaches FullAWSAccess to every target by default; pasted SCPs that only deny
+            // would otherwise allow nothing, so the default allow is assumed for them
+            layersByTarget.forEach(layer => {
+                const hasAllow = layer.documents.some(scpDocument =>
+                    [].concat(scpDocument.Statement).some(statement => statement && (statement.Effect || 'Allow') === 'Allow'));
+                if (hasAllow) return;
+                layer.documents.push({ Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: '*', Resource: '*' }] });
+                layer.policyNames.push('FullAWSAccess (assumed)');
+            });
+
+            layers.push(...layersByTarget.values());
+        }
+
+        return {
+            success: true,
+            data: layers
+        };
+    }
+
+    /**
+     * Merge policy sources into one document for effective-permission analysis
+     * statementSources[i] is the label of the policy that statement i came from
+     */
+    buildEffectivePolicyInfo(principalName, sources, errors = []) {
+        const statements = [];
+        const statementSources = [];
+
+        sources.forEach(source => {
+            if (!source.document || !source.document.Statement) return;
+
+            const sourceStatements = Array.isArray(source.document.Statement)
+                ? source.document.Statement
+                : [source.document.Statement];
+
+            sourceStatements.forEach(statement => {
+                statements.push(statement);
+                statementSources.push(source.label);
+            });
+        });
+
+        return {
+            success: true,
+            data: {
+                policy: {
+                    PolicyName: `Effective permissions: ${principalName}`,
+                    Arn: `effective:${principalName}`,
+                    isEffective: true
+                },
+                currentVersion: {
+                    Document: {
+                        Version: '2012-10-17',
+                        Statement: statements
+                    },
+                    VersionId: 'effective',
+                    IsDefaultVersion: true
+                },
+                allVersions: [],
+                sources,
+                sourceErrors: errors,
+                statementSources
+            }
+        };
+    }
+
+    /**
+     * Analyze an inline policy document (for user inline policies)
+     */
+    getInlinePolicyInfo(inlinePolicy) {
+        return {
+            success: true,
+            data: {
+                policy: {
+                    PolicyName: inlinePolicy.PolicyName,
+                    Arn: PolicyVisualizer.getInlinePolicyId(inlinePolicy),
+                    isInline: !inlinePolicy.isTrustPolicy,
+                    isTrustPolicy: !!inlinePolicy.isTrustPolicy,
+                    roleName: inlinePolicy.roleName,
+                    userName: inlinePolicy.userName,
+                    roleArn: inlinePolicy.roleArn,
+                    CreateDate: inlinePolicy.CreateDate
+                },
+                currentVersion: {
+                    Document: inlinePolicy.PolicyDocument,
+                    VersionId: 'inline',
+                    IsDefaultVersion: true
+                },
+                allVersions: [{
+                    VersionId: 'inline',
+                    IsDefaultVersion: true,
+                    CreateDate: new Date().toISOString()
+                }]
+            }
+        };
+    }
+
+    /**
+     * Build policy info from a pasted or uploaded policy document (offline mode)
+     * Accepts a raw policy document or the output of get-policy-version / get-*-policy
+     */
+    getPastedPolicyInfo(policyText, policyName = 'Pasted Policy') {
+        let parsed;
+        try {
+            parsed = JSON.parse(policyText);
+        } catch (error) {
+            return {
+                success: false,
+                error: `Invalid JSON: ${error.message}`
+            };
+        }
+
+        // Unwrap common AWS CLI output shapes
+        let policyDocument = parsed;
+        if (parsed && parsed.PolicyVersion && parsed.PolicyVersion.Document) {
+            policyDocument = parsed.PolicyVersion.Document;
+        } else if (parsed && parsed.PolicyDocument) {
+            policyDocument = parsed.PolicyDocument;
+        }
+
+        if (typeof policyDocument === 'string') {
+            try {
+                policyDocument = JSON.parse(decodeURIComponent(policyDocument));
+            } catch (error) {
+                return {
+                    success: false,
+                    error: 'Policy document is not valid JSON'
+                };
+            }
+        }
+
+        if (!policyDocument || typeof policyDocument !== 'object' || !policyDocument.Statement) {
+            return {
+                success: false,
+                error: 'Policy document must contain a Statement field'
+            };
+        }
+
+        return {
+            success: true,
+            data: {
+                policy: {
+                    PolicyName: policyName,
+                    Arn: `pasted:${policyName}`,
+                    isPasted: true
+                },
+                currentVersion: {
+                    Document: policyDocument,
+                    VersionId: 'pasted',
+                    IsDefaultVersion: true
+                },
+                allVersions: []
+            }
+        };
+    }
+}
+
+// Global singleton instance
+const awsHandler = new AWSHandler();
+
+/**
+ * Shadow Admin Detection - Privilege Escalation Methods
+ * Keyed by method name and filled from JSON rule packs by RulePackRegistry (rule-packs.js);
+ * the built-in pack is data/rule-packs/builtin-escalation.json
+ */
+
+const ESCALATION_METHODS = {};
+
+/**
+ * Finding kinds a rule can report; escalation methods lead to admin, the others
+ * describe the data and damage impact of the permissions
+ */
+const FINDING_KINDS = {
+    'escalation': { label: 'Privilege Escalation', issueType: 'PRIVILEGE_ESCALATION', sectionTitle: 'Detected Privilege Escalation Methods' },
+    'exfiltration': { label: 'Data Exfiltration', issueType: 'DATA_EXFILTRATION', sectionTitle: 'Sensitive Data Access' },
+    'destructive': { label: 'Destructive Action', issueType: 'DESTRUCTIVE_ACTION', sectionTitle: 'Destructive Actions' },
+    'defense-evasion': { label: 'Defense Evasion', issueType: 'DEFENSE_EVASION', sectionTitle: 'Defense Evasion' }
+};
+
+/**
+ * Condition keys that constrain a grant, and how strongly they mitigate abuse of leaked credentials
+ * strong = attacker usually cannot satisfy it, partial = narrows but does not prevent abuse
+ */
+const CONDITION_KEY_MITIGATIONS = {
+    'aws:multifactorauthpresent': { label: 'MFA required', strength: 'strong' },
+    'aws:multifactorauthage': { label: 'MFA age limit', strength: 'strong' },
+    'aws:sourceip': { label: 'Source IP restriction', strength: 'strong' },
+    'aws:sourcevpc': { label: 'Source VPC restriction', strength: 'strong' },
+    'aws:sourcevpce': { label: 'VPC endpoint restriction', strength: 'strong' },
+    'iam:passedtoservice': { label: 'PassRole limited to service', strength: 'strong' },
+    'iam:policyarn': { label: 'Attachable policies restricted', strength: 'strong' },
+    'iam:permissionsboundary': { label: 'Permissions boundary required', strength: 'strong' },
+    'sts:externalid': { label: 'External ID required', strength: 'strong' },
+    'aws:principalorgid': { label: 'Organization restriction', strength: 'partial' },
+    'aws:principalorgpaths': { label: 'Organization path restriction', strength: 'partial' },
+    'aws:principalarn': { label: 'Principal restriction', strength: 'partial' },
+    'aws:principalaccount': { label: 'Principal account restriction', strength: 'partial' },
+    'aws:sourcearn': { label: 'Source ARN restriction', strength: 'partial' },
+    'aws:sourceaccount': { label: 'Source account restriction', strength: 'partial' },
+    'aws:requestedregion': { label: 'Region restriction', strength: 'partial' },
+    'aws:currenttime': { label: 'Time window', strength: 'partial' },
+    'aws:epochtime': { label: 'Time window', strength: 'partial' },
+    'aws:calledvia': { label: 'Must be called via service', strength: 'partial' },
+    'aws:calledviafirst': { label: 'Must be called via service', strength: 'partial' },
+    'aws:calledvialast': { label: 'Must be called via service', strength: 'partial' },
+    'aws:viaawsservice': { label: 'Must be called via service', strength: 'partial' },
+    'aws:tagkeys': { label: 'Tag key restriction', strength: 'partial' },
+    'iam:associatedresourcearn': { label: 'Associated resource restriction', strength: 'partial' },
+    'iam:awsservicename': { label: 'Service-linked role restriction', strength: 'partial' }
+};
+
+const CONDITION_KEY_PREFIX_MITIGATIONS = {
+    'aws:resourcetag/': { label: 'Resource tag restriction', strength: 'partial' },
+    'aws:requesttag/': { label: 'Request tag restriction', strength: 'partial' },
+    'aws:principaltag/': { label: 'Principal tag restriction', strength: 'partial' },
+    'iam:resourcetag/': { label: 'Resource tag restriction', strength: 'partial' }
+};
+
+const MITIGATION_RANK = { none: 0, partial: 1, strong: 2 };
+
+/**
+ * Look up how strongly a condition key can mitigate abuse, or null for unknown keys
+ */
+const conditionKeyMitigation = (normalizedKey) => {
+    if (CONDITION_KEY_MITIGATIONS[normalizedKey]) return CONDITION_KEY_MITIGATIONS[normalizedKey];
+    const prefix = Object.keys(CONDITION_KEY_PREFIX_MITIGATIONS).find(p => normalizedKey.startsWith(p));
+    return prefix ? CONDITION_KEY_PREFIX_MITIGATIONS[prefix] : null;
+};
+
+/**
+ * How reliably one condition of a Deny statement fires for an abusive request: leaked
+ * credentials used without MFA, from outside the allowed network, passing a role to the
+ * abused service. strong = it always fires, partial = for some such requests, none = it
+ * only denies requests an attacker would not make (e.g. Bool aws:MultiFactorAuthPresent "true")
+ * Negated operators also match when the key is absent from the request
+ */
+const assessDenyCondition = (operator, normalizedKey, values, mitigation, methodInfo) => {
+    const baseOperator = operator.replace(/^For(Any|All)Value:/i, '').replace(/IfExists$/i, '');
+    const isIfExists = /IfExists$/i.test(operator);
+    const isNegated = /Not/.test(baseOperator);
+
+    if (normalizedKey === 'aws:multifactorauthpresent') {
+        // Long-term access keys carry no MFA key: Null only catches them, Bool only
+        // catches MFA-less sessions unless IfExists
+        if (/^Null$/i.test(baseOperator)) return values.includes('true') ? 'partial' : 'none';
+        if (!/^Bool$/i.test(baseOperator) || !values.includes('false')) return 'none';
+        return isIfExists ? 'strong' : 'partial';
+    }
+    if (normalizedKey === 'aws:multifactorauthage') {
+        if (!/^NumericGreaterThan/i.test(baseOperator)) return 'none';
+        return isIfExists ? 'strong' : 'partial';
+    }
+    if (normalizedKey === 'iam:passedtoservice') {
+        if (!methodInfo || !methodInfo.passRoleService) return 'partial';
+        const passesToMethodService = values.some(v => PolicyExpansion.actionPatternToRegex(v).test(methodInfo.passRoleService));
+        return (isNegated ? !passesToMethodService : passesToMethodService) ? 'strong' : 'none';
+    }
+    if (/^Null$/i.test(baseOperator)) {
+        // Denying requests that lack a required key (boundary, external ID)
+        return values.includes('true') ? mitigation.strength : 'none';
+    }
+
+    // Denying everything outside an allowed set (NotIpAddress, StringNotEquals aws:SourceVpce)
+    // covers the abusive request; denying listed values or a time window covers only some
+    if (isNegated) return mitigation.strength;
+    if (/^(Date|Numeric)/i.test(baseOperator)) return 'partial';
+    return 'none';
+};
+
+/**
+ * Assess how much a statement's Condition block constrains a grant
+ * A Deny fires only when all of its conditions match, so it mitigates as much as its
+ * weakest condition (see assessDenyCondition); unknown keys cap it at partial
+ * Returns { level: 'none' | 'partial' | 'strong', conditions: [descriptions] }
+ */
+const assessConditions = (condition, effect = 'Allow', methodInfo = null) => {
+    const assessment = { level: 'none', conditions: [] };
+    if (!condition || typeof condition !== 'object') return assessment;
+
+    if (effect === 'Deny') {
+        let level = 'strong';
+        const conditions = [];
+        for (const [operator, keys] of Object.entries(condition)) {
+            if (!keys || typeof keys !== 'object') continue;
+
+            for (const [key, value] of Object.entries(keys)) {
+                const normalizedKey = key.toLowerCase();
+                const values = (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+                const mitigation = conditionKeyMitigation(normalizedKey);
+                const entryLevel = mitigation ? assessDenyCondition(operator, normalizedKey, values, mitigation, methodInfo) : 'partial';
+
+                if (mitigation) conditions.push(`${mitigation.label} (${key} ${operator})`);
+                if (MITIGATION_RANK[entryLevel] < MITIGATION_RANK[level]) level = entryLevel;
+            }
+        }
+
+        return conditions.length > 0 && level !== 'none' ? { level, conditions } : assessment;
+    }
+
+    for (const [operator, keys] of Object.entries(condition)) {
+        if (!keys || typeof keys !== 'object') continue;
+
+        const baseOperator = operator.replace(/^For(Any|All)Value:/i, '');
+        const isIfExists = /IfExists$/i.test(baseOperator);
+        const isNegated = /Not/.test(baseOperator.replace(/IfExists$/i, ''));
+
+        for (const [key, value] of Object.entries(keys)) {
+            const normalizedKey = key.toLowerCase();
+            const values = (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+
+            const mitigation = conditionKeyMitigation(normalizedKey);
+            if (!mitigation) continue;
+
+            let strength = mitigation.strength;
+
+            // An Allow that requires MFA to be absent is not a mitigation
+            if (normalizedKey === 'aws:multifactorauthpresent' && /^bool/i.test(baseOperator) && !values.includes('true')) {
+                continue;
+            }
+
+            // PassRole to the service this method abuses is not constrained
+            if (normalizedKey === 'iam:passedtoservice' && methodInfo && methodInfo.passRoleService) {
+                const passesToMethodService = values.some(v =>
+                    PolicyExpansion.actionPatternToRegex(v).test(methodInfo.passRoleService)
+                );
+                if (isNegated ? !passesToMethodService : passesToMethodService) continue;
+            }
+
+            // IfExists passes when the key is absent, negated operators only block listed values
+            if ((isIfExists || isNegated) && strength === 'strong') {
+                strength = 'partial';
+            }
+
+            assessment.conditions.push(`${mitigation.label} (${key} ${operator})`);
+            if (MITIGATION_RANK[strength] > MITIGATION_RANK[assessment.level]) {
+                assessment.level = strength;
+            }
+        }
+    }
+
+    return assessment;
+};
+
+/**
+ * Map a condition assessment level to a finding mitigation status
+ */
+const MITIGATION_STATUS = { none: 'unconditional', partial: 'partial', strong: 'mitigated' };
+
+/**
+ * Lower a risk level according to how well conditions mitigate it
+ */
+const adjustRiskForMitigation = (riskLevel, mitigation) => {
+    if (mitigation === 'mitigated') return Math.max(1, riskLevel - 4);
+    if (mitigation === 'partial') return Math.max(1, riskLevel - 2);
+    return riskLevel;
+};
+
+/**
+ * Map a 0-10 risk level to an issue severity
+ */
+const severityForRisk = (riskLevel) => {
+    if (riskLevel >= 9) return 'critical';
+    if (riskLevel >= 7) return 'high';
+    if (riskLevel >= 5) return 'medium';
+    return 'low';
+};
+
+/**
+ * Resource scope of a grant, from narrowest to widest
+ */
+const RESOURCE_SCOPE_RANK = { narrow: 0, broad: 1, all: 2 };
+
+/**
+ * Check whether a resource ARN names specific resources rather than a whole resource type
+ * "*", "role/*" and "function:*" cover every resource of a type; "role/app-*" is a narrow prefix
+ */
+const isNarrowResource = (arn) => {
+    const parts = arn.split(':');
+    const resourcePart = parts.length >= 6 ? parts.slice(5).join(':') : arn;
+    return !/^(\*|[^*]*[/:]\*)$/.test(resourcePart);
+};
+
+/**
+ * Classify the resources a statement applies to as 'narrow', 'broad' or 'all'
+ */
+const classifyResourceScope = (resources, notResources) => {
+    if (notResources.length > 0 || resources.length === 0 || resources.includes('*')) return 'all';
+    return resources.every(isNarrowResource) ? 'narrow' : 'broad';
+};
+
+/**
+ * Lower a risk level when the escalation is limited to specific resources
+ */
+const adjustRiskForScope = (riskLevel, resourceScope) => {
+    if (resourceScope === 'narrow') return Math.max(1, riskLevel - 3);
+    return riskLevel;
+};
+
+/**
+ * Compile a statement's action patterns into matchers using the same wildcard semantics as PolicyExpansion
+ */
+const buildActionMatchers = (patterns, statement = {}, statementIndex = -1) => {
+    return Array.from(patterns).map(pattern => {
+        const regex = PolicyExpansion.actionPatternToRegex(pattern);
+        return {
+            pattern,
+            test: (action) => regex.test(action),
+            ...getStatementContext(statement, statementIndex)
+        };
+    });
+};
+
+/**
+ * Build a matcher for a NotAction list - it matches every action NOT covered by the list
+ */
+const buildNotActionMatcher = (notActions, statement = {}, statementIndex = -1) => {
+    const regexes = notActions.map(pattern => PolicyExpansion.actionPatternToRegex(pattern));
+    return {
+        pattern: `NotAction: ${notActions.join(', ')}`,
+        test: (action) => !regexes.some(regex => regex.test(action)),
+        ...getStatementContext(statement, statementIndex)
+    };
+};
+
+/**
+ * Statement details carried by each matcher: where it came from, its conditions and resources
+ */
+const getStatementContext = (statement, statementIndex) => {
+    const resources = statement.Resource ? (Array.isArray(statement.Resource) ? statement.Resource : [statement.Resource]) : [];
+    const notResources = statement.NotResource ? (Array.isArray(statement.NotResource) ? statement.NotResource : [statement.NotResource]) : [];
+    return {
+        statementIndex,
+        effect: statement.Effect || 'Allow',
+        condition: statement.Condition || null,
+        resources,
+        notResources,
+        resourceScope: classifyResourceScope(resources, notResources)
+    };
+};
+
+/**
+ * Return the matchers (statement grants) that cover the given action
+ */
+const findMatchingGrants = (action, matchers) => {
+    return matchers.filter(matcher => matcher.test(action));
+};
+
+/**
+ * Return the distinct patterns from a matcher list that grant the given action
+ */
+const findMatchingPatterns = (action, matchers) => {
+    return [...new Set(findMatchingGrants(action, matchers).map(matcher => matcher.pattern))];
+};
+
+/**
+ * Analyze policy document for shadow admin and privilege escalation issues
+ */
+const analyzePolicyForShadowAdmin = (policyDocument) => {
+    const issues = [];
+    const detectedMethods = [];
+    const impactFindings = [];
+    let maxRiskLevel = 0;
+    
+    if (!policyDocument || !policyDocument.Statement) {
+        return { issues, riskLevel: 0, detectedMethods, impactFindings, summary: 'No policy statements found' };
+    }
+    
+    const statements = Array.isArray(policyDocument.Statement) 
+        ? policyDocument.Statement 
+        : [policyDocument.Statement];
+    
+    // Collect action matchers by effect (wildcards are kept as patterns and matched later)
+    const allowedMatchers = [];
+    const deniedMatchers = [];
+    let hasWildcardAction = false;
+    let hasWildcardResource = false;
+    
+    statements.forEach((statement, idx) => {
+        const effect = statement.Effect || 'Allow';
+        const actions = statement.Action ? (Array.isArray(statement.Action) ? statement.Action : [statement.Action]) : [];
+        const notActions = statement.NotAction ? (Array.isArray(statement.NotAction) ? statement.NotAction : [statement.NotAction]) : [];
+        const resources = statement.Resource ? (Array.isArray(statement.Resource) ? statement.Resource : [statement.Resource]) : [];
+        const notResources = statement.NotResource ? (Array.isArray(statement.NotResource) ? statement.NotResource : [statement.NotResource]) : [];
+        
+        // NotResource applies to every resource except the listed ones
+        const appliesToAllResources = resources.includes('*') || notResources.length > 0;
+        
+        // Conditions on this statement constrain every finding it produces
+        const conditionAssessment = assessConditions(statement.Condition, effect);
+        const mitigation = MITIGATION_STATUS[conditionAssessment.level];
+        const conditionFields = {
+            mitigation,
+            conditions: conditionAssessment.conditions
+        };
+        
+        // Check for wildcards (a wildcard in a Deny only narrows what is granted)
+        if (actions.includes('*')) {
+            hasWildcardAction = hasWildcardAction || effect === 'Allow';
+            if (appliesToAllResources && effect === 'Allow') {
+                const riskLevel = adjustRiskForMitigation(10, mitigation);
+                issues.push({
+                    type: 'FULL_ADMIN',
+                    severity: severityForRisk(riskLevel),
+                    statementIndex: idx,
+                    title: 'Full Administrator Access',
+                    description: notResources.length > 0
+                        ? `This statement grants Action: "*" on every resource except ${notResources.join(', ')} - effectively full admin permissions`
+                        : 'This statement grants Action: "*" on Resource: "*" - full admin permissions',
+                    remediation: 'Restrict to specific actions and resources required for the task',
+                    ...conditionFields
+                });
+                maxRiskLevel = Math.max(maxRiskLevel, riskLevel);
             }
         }
         
-        if (resources.includes('*')) {
+        if (resources.includes('*') && effect === 'Allow') {
             hasWildcardResource = true;
         }
         
-        // Collect permissions
-        actions.forEach(action => {
-            const normalizedAction = action.toLowerCase().replace(/\s/g, '');
+        // NotAction inverts the action match: "everything except" the listed patterns
+        if (notActions.length > 0) {
+            const normalizedNotActions = notActions.map(action => action.toLowerCase().replace(/\s/g, ''));
+            const matcher = buildNotActionMatcher(normalizedNotActions, statement, idx);
+            
             if (effect === 'Allow') {
-                allowedPermissions.add(normalizedAction);
+                allowedMatchers.push(matcher);
                 
-                // Handle wildcards in actions
-                if (action.includes('*')) {
-                    // iam:* grants all IAM permissions
-                    if (normalizedAction === 'iam:*') {
-                        Object.keys(ESCALATION_METHODS).forEach(method => {
-                            ESCALATION_METHODS[method].permissions.forEach(perm => {
-                                if (perm.startsWith('iam:')) {
-                                    allowedPermissions.add(perm);
-                                }
-                            });
-                        });
-                    }
-                    // Handle service-level wildcards
-                    const servicePart = normalizedAction.split(':')[0];
-                    if (servicePart && normalizedAction.endsWith(':*')) {
-                        Object.keys(ESCALATION_METHODS).forEach(method => {
-                            ESCALATION_METHODS[method].permissions.forEach(perm => {
-                                if (perm.startsWith(servicePart + ':')) {
-                                    allowedPermissions.add(perm);
-                                }
-                            });
-                        });
-                    }
-                }
+                const riskLevel = adjustRiskForMitigation(appliesToAllResources ? 9 : 7, mitigation);
+                issues.push({
+                    type: 'NOT_ACTION_ALLOW',
+                    severity: severityForRisk(riskLevel),
+                    statementIndex: idx,
+                    title: 'Allow with NotAction (Everything Except)',
+                    description: `This statement allows every action except ${notActions.join(', ')}${appliesToAllResources ? ' on all resources' : ' on the listed resources'} - including services added by AWS in the future`,
+                    remediation: 'Replace NotAction with an explicit Action list of the permissions actually required',
+                    ...conditionFields
+                });
+                maxRiskLevel = Math.max(maxRiskLevel, riskLevel);
             } else if (effect === 'Deny') {
-                deniedPermissions.add(normalizedAction);
+                deniedMatchers.push(matcher);
+                
+                issues.push({
+                    type: 'NOT_ACTION_DENY',
+                    severity: 'low',
+                    statementIndex: idx,
+                    title: 'Broad Deny with NotAction',
+                    description: `This statement denies every action except ${notActions.join(', ')}. Only the excluded actions can be granted by other statements`,
+                    remediation: 'Verify the excluded actions are the only ones intended to remain available'
+                });
             }
-        });
+        }
+        
+        // Allow with NotResource grants access to nearly every resource
+        if (notResources.length > 0 && effect === 'Allow') {
+            const riskLevel = adjustRiskForMitigation(6, mitigation);
+            issues.push({
+                type: 'NOT_RESOURCE_ALLOW',
+                severity: severityForRisk(riskLevel),
+                statementIndex: idx,
+                title: 'Allow with NotResource (All Resources Except)',
+                description: `This statement applies to every resource except ${notResources.join(', ')}, including resources created in the future`,
+                remediation: 'Replace NotResource with an explicit Resource list',
+                ...conditionFields
+            });
+            maxRiskLevel = Math.max(maxRiskLevel, riskLevel);
+        }
+        
+        // Collect permissions
+        const normalizedActions = new Set(actions.map(action => action.toLowerCase().replace(/\s/g, '')));
+        if (effect === 'Allow') {
+            allowedMatchers.push(...buildActionMatchers(normalizedActions, statement, idx));
+        } else if (effect === 'Deny') {
+            deniedMatchers.push(...buildActionMatchers(normalizedActions, statement, idx));
+        }
     });
     
     // Check for wildcard issues
@@ -804,39 +1951,112 @@ const analyzePolicyForShadowAdmin = (policyDocument) => {
     // Check for privilege escalation methods
     Object.entries(ESCALATION_METHODS).forEach(([methodName, methodInfo]) => {
         const requiredPerms = methodInfo.permissions.map(p => p.toLowerCase());
+        
+        // Match each required permission against the policy's real action patterns
+        const grantedBy = {};
+        const grantStatements = {};
+        const grants = {};
         const hasAllRequired = requiredPerms.every(perm => {
-            // Check if permission is explicitly allowed
-            if (allowedPermissions.has(perm)) return true;
-            
-            // Check if wildcard grants it
-            if (allowedPermissions.has('*')) return true;
-            
-            // Check if service wildcard grants it
-            const service = perm.split(':')[0];
-            if (allowedPermissions.has(service + ':*')) return true;
-            
-            return false;
+            const matchingGrants = findMatchingGrants(perm, allowedMatchers);
+            if (matchingGrants.length === 0) return false;
+            grants[perm] = matchingGrants;
+            grantedBy[perm] = [...new Set(matchingGrants.map(grant => grant.pattern))];
+            grantStatements[perm] = [...new Set(matchingGrants.map(grant => grant.statementIndex))];
+            return true;
         });
         
-        const hasAnyDenied = requiredPerms.some(perm => deniedPermissions.has(perm));
+        // Unconditional denies on all resources block the method, others only constrain it
+        const denyingGrants = requiredPerms.flatMap(perm => findMatchingGrants(perm, deniedMatchers));
+        const hasAnyDenied = denyingGrants.some(grant =>
+            !grant.condition && grant.resources.includes('*') && grant.notResources.length === 0
+        );
         
         if (hasAllRequired && !hasAnyDenied) {
-            detectedMethods.push({
+            // A permission is only as constrained as its least-conditioned grant,
+            // and the method is gated by its most-constrained required permission
+            let level = 'none';
+            const conditions = new Set();
+            requiredPerms.forEach(perm => {
+                const assessments = grants[perm].map(grant => assessConditions(grant.condition, 'Allow', methodInfo));
+                const weakest = assessments.reduce((min, a) =>
+                    MITIGATION_RANK[a.level] < MITIGATION_RANK[min.level] ? a : min
+                );
+                weakest.conditions.forEach(c => conditions.add(c));
+                if (MITIGATION_RANK[weakest.level] > MITIGATION_RANK[level]) {
+                    level = weakest.level;
+                }
+            });
+            denyingGrants.forEach(grant => {
+                const assessment = assessConditions(grant.condition, 'Deny', methodInfo);
+                assessment.conditions.forEach(c => conditions.add(`Denied unless: ${c}`));
+                if (MITIGATION_RANK[assessment.level] > MITIGATION_RANK[level]) {
+                    level = assessment.level;
+                }
+            });
+            
+            // Each permission reaches the resources of all its grants; the method is
+            // limited by its most narrowly scoped required permission
+            const resources = {};
+            let resourceScope = 'all';
+            requiredPerms.forEach(perm => {
+                const arns = new Set();
+                let permScope = 'narrow';
+                grants[perm].forEach(grant => {
+                    grant.resources.forEach(arn => arns.add(arn));
+                    grant.notResources.forEach(arn => arns.add(`NOT ${arn}`));
+                    if (RESOURCE_SCOPE_RANK[grant.resourceScope] > RESOURCE_SCOPE_RANK[permScope]) {
+                        permScope = grant.resourceScope;
+                    }
+                });
+                resources[perm] = Array.from(arns);
+                if (RESOURCE_SCOPE_RANK[permScope] < RESOURCE_SCOPE_RANK[resourceScope]) {
+                    resourceScope = permScope;
+                }
+            });
+            
+            // Resource-scoped denies narrow what remains reachable
+            denyingGrants.filter(grant => !grant.condition).forEach(grant => {
+                conditions.add(`Denied on: ${[...grant.resources, ...grant.notResources.map(arn => `NOT ${arn}`)].join(', ')}`);
+            });
+            
+            const mitigation = MITIGATION_STATUS[level];
+            const riskLevel = adjustRiskForScope(adjustRiskForMitigation(methodInfo.riskLevel, mitigation), resourceScope);
+            const kind = FINDING_KINDS[methodInfo.kind] ? methodInfo.kind : 'escalation';
+            
+            // Only escalation methods lead to admin, the other kinds are impact findings
+            (kind === 'escalation' ? detectedMethods : impactFindings).push({
                 method: methodName,
-                ...methodInfo
+                ...methodInfo,
+                grantedBy,
+                grantStatements,
+                resources,
+                resourceScope,
+                mitigation,
+                conditions: Array.from(conditions),
+                effectiveRiskLevel: riskLevel
+            });
+            
+            const restrictList = requiredPerms.map(perm => {
+                const viaWildcard = grantedBy[perm].filter(pattern => pattern !== perm);
+                return viaWildcard.length > 0 ? `${perm} (granted by ${viaWildcard.join(', ')})` : perm;
             });
             
             issues.push({
-                type: 'PRIVILEGE_ESCALATION',
-                severity: methodInfo.riskLevel >= 9 ? 'critical' : 'high',
+                type: FINDING_KINDS[kind].issueType,
+                severity: severityForRisk(riskLevel),
                 statementIndex: -1,
-                title: `Privilege Escalation: ${methodName}`,
+                title: `${FINDING_KINDS[kind].label}: ${methodName}`,
+                method: methodName,
                 description: methodInfo.description,
                 category: methodInfo.category,
-                remediation: `Remove or restrict: ${requiredPerms.join(', ')}`
+                remediation: `Remove or restrict: ${restrictList.join(', ')}`,
+                resources,
+                resourceScope,
+                mitigation,
+                conditions: Array.from(conditions)
             });
             
-            maxRiskLevel = Math.max(maxRiskLevel, methodInfo.riskLevel);
+            maxRiskLevel = Math.max(maxRiskLevel, riskLevel);
         }
     });
     
@@ -844,8 +2064,13 @@ const analyzePolicyForShadowAdmin = (policyDocument) => {
     let summary = '';
     if (maxRiskLevel === 10) {
         summary = 'CRITICAL: Full admin or direct privilege escalation possible';
-    } else if (maxRiskLevel >= 8) {
+    } else if (maxRiskLevel >= 8 && detectedMethods.length > 0) {
         summary = `HIGH RISK: ${detectedMethods.length} privilege escalation method(s) detected`;
+    } else if (maxRiskLevel >= 8 && impactFindings.length > 0) {
+        summary = `HIGH RISK: ${impactFindings.length} data access, destructive or defense evasion finding(s)`;
+    } else if (maxRiskLevel >= 8) {
+        const causes = new Set(issues.filter(i => ['critical', 'high'].includes(i.severity)).map(i => i.title));
+        summary = `HIGH RISK: ${[...causes].join(', ')}`;
     } else if (maxRiskLevel >= 5) {
         summary = 'MEDIUM RISK: Some dangerous permissions present';
     } else if (issues.length > 0) {
@@ -854,18 +2079,462 @@ const analyzePolicyForShadowAdmin = (policyDocument) => {
         summary = 'No significant security issues detected';
     }
     
+    const conditionalIssues = issues.filter(i => i.mitigation);
+    
     return {
         issues,
         riskLevel: maxRiskLevel,
         detectedMethods,
+        impactFindings,
+        categoryScores: scoreFindingKinds(detectedMethods, impactFindings),
+        summary,
+        conditionSummary: {
+            mitigated: conditionalIssues.filter(i => i.mitigation === 'mitigated').length,
+            partial: conditionalIssues.filter(i => i.mitigation === 'partial').length,
+            unconditional: conditionalIssues.filter(i => i.mitigation === 'unconditional').length,
+            conditions: [...new Set(conditionalIssues.flatMap(i => i.conditions))]
+        },
+        stats: {
+            totalIssues: issues.length,
+            criticalIssues: issues.filter(i => i.severity === 'critical').length,
+            highIssues: issues.filter(i => i.severity === 'high').length,
+            mediumIssues: issues.filter(i => i.severity === 'medium').length,
+            escalationMethods: detectedMethods.length,
+            impactFindings: impactFindings.length
+        }
+    };
+};
+
+/**
+ * Score each finding kind by its riskiest finding: { kind: { riskLevel, count } }
+ */
+const scoreFindingKinds = (detectedMethods, impactFindings) => {
+    const scores = {};
+    Object.keys(FINDING_KINDS).forEach(kind => {
+        scores[kind] = { riskLevel: 0, count: 0 };
+    });
+
+    [...detectedMethods, ...impactFindings].forEach(finding => {
+        const score = scores[finding.kind || 'escalation'];
+        score.count += 1;
+        score.riskLevel = Math.max(score.riskLevel, finding.effectiveRiskLevel);
+    });
+
+    return scores;
+};
+
+/**
+ * Compare two analyses of the same policy (before and after a change):
+ * { riskBefore, riskAfter, added, resolved, changed } where added and resolved list findings
+ * present on one side only and changed lists findings whose effective risk moved
+ */
+const compareSecurityAnalyses = (before, after) => {
+    const findingsByMethod = (analysis) => new Map(
+        [...(analysis.detectedMethods || []), ...(analysis.impactFindings || [])].map(finding => [finding.method, finding])
+    );
+    const beforeFindings = findingsByMethod(before);
+    const afterFindings = findingsByMethod(after);
+
+    return {
+        riskBefore: before.riskLevel,
+        riskAfter: after.riskLevel,
+        added: [...afterFindings.values()].filter(finding => !beforeFindings.has(finding.method)),
+        resolved: [...beforeFindings.values()].filter(finding => !afterFindings.has(finding.method)),
+        changed: [...afterFindings.values()]
+            .filter(finding => beforeFindings.has(finding.method) &&
+                beforeFindings.get(finding.method).effectiveRiskLevel !== finding.effectiveRiskLevel)
+            .map(finding => ({
+                method: finding.method,
+                kind: finding.kind,
+                riskBefore: beforeFindings.get(finding.method).effectiveRiskLevel,
+                riskAfter: finding.effectiveRiskLevel
+            }))
+    };
+};
+
+/**
+ * Analyze every version of a policy (oldest first) and what changed at each one:
+ * [{ versionId, createDate, isDefault, analysis, expandedActionCount, delta }]
+ * expandedActionCount is null without an initialized PolicyExpansion, delta is null for
+ * the first version
+ */
+const buildRiskTimeline = (versions, policyExpansion = null) => {
+    let previous = null;
+
+    return versions.map(version => {
+        const analysis = analyzePolicyForShadowAdmin(version.Document);
+        const expandedActionCount = policyExpansion && policyExpansion.isInitialized ?
+            policyExpansion.analyzePolicy(version.Document).summary.totalExpandedActions : null;
+
+        const entry = {
+            versionId: version.VersionId,
+            createDate: version.CreateDate,
+            isDefault: Boolean(version.IsDefaultVersion),
+            analysis,
+            expandedActionCount,
+            delta: previous ? compareSecurityAnalyses(previous, analysis) : null
+        };
+        previous = analysis;
+        return entry;
+    });
+};
+
+/**
+ * Check if a policy document is a role trust policy (every statement names a Principal)
+ */
+const isTrustPolicyDocument = (policyDocument) => {
+    if (!policyDocument || !policyDocument.Statement) return false;
+    const statements = Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement];
+    return statements.length > 0 &&
+        statements.every(statement => statement.Principal || statement.NotPrincipal) &&
+        statements.some(statement => [].concat(statement.Action || []).some(action => /^sts:/i.test(action)));
+};
+
+/**
+ * Split a Principal element into { aws, service, federated } lists ("*" means anyone)
+ */
+const normalizePrincipal = (principal) => {
+    if (principal === '*') {
+        return { aws: ['*'], service: [], federated: [] };
+    }
+    return {
+        aws: principal && principal.AWS ? [].concat(principal.AWS) : [],
+        service: principal && principal.Service ? [].concat(principal.Service) : [],
+        federated: principal && principal.Federated ? [].concat(principal.Federated) : []
+    };
+};
+
+/**
+ * Condition keys of a statement mapped to their values, lowercased
+ */
+const getConditionValues = (condition) => {
+    const values = {};
+    if (!condition || typeof condition !== 'object') return values;
+
+    Object.values(condition).forEach(keys => {
+        if (!keys || typeof keys !== 'object') return;
+        Object.entries(keys).forEach(([key, value]) => {
+            const normalizedKey = key.toLowerCase();
+            values[normalizedKey] = [...(values[normalizedKey] || []), ...[].concat(value).map(v => String(v))];
+        });
+    });
+
+    return values;
+};
+
+/**
+ * Analyze a role trust policy (AssumeRolePolicyDocument) for who can assume the role
+ * The role's own account (from context.roleArn, else context.accountId) identifies
+ * cross-account principals; without it every account principal is flagged as in an
+ * unknown account. context.rolePermissions is the role's merged permissions document
+ * for pairing service principals with dangerous access
+ */
+const analyzeTrustPolicy = (trustDocument, context = {}) => {
+    const issues = [];
+    let maxRiskLevel = 0;
+    const accountId = (context.roleArn && context.roleArn.split(':')[4]) || context.accountId || null;
+
+    const statements = trustDocument && trustDocument.Statement ?
+        (Array.isArray(trustDocument.Statement) ? trustDocument.Statement : [trustDocument.Statement]) : [];
+
+    // Permissions a trusted service would receive, analyzed once
+    const roleAnalysis = context.rolePermissions ? analyzePolicyForShadowAdmin(context.rolePermissions) : null;
+
+    const addIssue = (issue, baseRisk, assessment = null) => {
+        const mitigation = assessment ? MITIGATION_STATUS[assessment.level] : null;
+        const riskLevel = mitigation ? adjustRiskForMitigation(baseRisk, mitigation) : baseRisk;
+        issues.push({
+            ...issue,
+            severity: severityForRisk(riskLevel),
+            ...(mitigation && { mitigation, conditions: assessment.conditions })
+        });
+        maxRiskLevel = Math.max(maxRiskLevel, riskLevel);
+    };
+
+    statements.forEach((statement, idx) => {
+        if ((statement.Effect || 'Allow') !== 'Allow') return;
+
+        const assessment = assessConditions(statement.Condition, 'Allow');
+        const conditionValues = getConditionValues(statement.Condition);
+        // Allow with NotPrincipal trusts everyone except the listed principals
+        const principals = statement.NotPrincipal ? normalizePrincipal('*') : normalizePrincipal(statement.Principal);
+
+        // Anyone can assume the role
+        if (principals.aws.includes('*')) {
+            addIssue({
+                type: 'TRUST_ANY_PRINCIPAL',
+                statementIndex: idx,
+                title: 'Role can be assumed by any AWS principal',
+                description: `Statement ${idx + 1} trusts Principal "*", so any AWS account can assume this role unless conditions prevent it`,
+                remediation: 'Name the specific accounts or roles that need access, or restrict with aws:PrincipalOrgID'
+            }, 10, assessment);
+        }
+
+        principals.aws.filter(entry => entry !== '*').forEach(entry => {
+            const principalAccount = /^\d{12}$/.test(entry) ? entry : entry.split(':')[4];
+            const isWholeAccount = /^\d{12}$/.test(entry) || entry.endsWith(':root');
+            const isCrossAccount = accountId && principalAccount && principalAccount !== accountId;
+
+            if (!accountId && principalAccount) {
+                if (conditionValues['sts:externalid']) return;
+                addIssue({
+                    type: 'TRUST_UNKNOWN_ACCOUNT',
+                    statementIndex: idx,
+                    title: `Trust of account ${principalAccount} (unknown account): ${entry}`,
+                    description: `The role's own account is unknown, so ${isWholeAccount ? `any principal in account ${principalAccount}` : entry} may be outside it and can assume this role with no sts:ExternalId check`,
+                    remediation: 'Check that the account is yours; for third-party access require an sts:ExternalId condition and trust specific roles rather than the account root'
+                }, isWholeAccount ? 6 : 5, assessment);
+            } else if (isCrossAccount) {
+                if (conditionValues['sts:externalid']) return;
+                addIssue({
+                    type: 'TRUST_CROSS_ACCOUNT',
+                    statementIndex: idx,
+                    title: `Cross-account trust without external ID: ${entry}`,
+                    description: isWholeAccount ?
+                        `Any principal in account ${principalAccount} that is allowed sts:AssumeRole can assume this role, with no sts:ExternalId check` :
+                        `${entry} in account ${principalAccount} can assume this role with no sts:ExternalId check`,
+                    remediation: 'Require an sts:ExternalId condition for third-party access and trust specific roles rather than the account root'
+                }, isWholeAccount ? 8 : 7, assessment);
+            } else if (isWholeAccount) {
+                addIssue({
+                    type: 'TRUST_ACCOUNT_ROOT',
+                    statementIndex: idx,
+                    title: `Whole-account trust: ${entry}`,
+                    description: `Any principal in account ${principalAccount} whose identity policy allows sts:AssumeRole can assume this role`,
+                    remediation: 'Trust the specific roles or users that need access instead of the account root'
+                }, 5, assessment);
+            }
+        });
+
+        // Federated / OIDC / SAML trust must pin the audience and subject
+        principals.federated.forEach(provider => {
+            const isSaml = provider.includes(':saml-provider/');
+            const providerHost = provider.includes(':oidc-provider/') ? provider.split(':oidc-provider/')[1] : provider;
+            const hasKey = (key) => (conditionValues[key.toLowerCase()] || []).some(value => value !== '*');
+
+            const missing = isSaml ?
+                (hasKey('SAML:aud') ? [] : ['SAML:aud']) :
+                [`${providerHost}:sub`, `${providerHost}:aud`].filter(key => !hasKey(key));
+            if (missing.length === 0) return;
+
+            const missingSubject = missing.some(key => key.endsWith(':sub'));
+            addIssue({
+                type: 'TRUST_FEDERATED_UNCONSTRAINED',
+                statementIndex: idx,
+                title: `Federated trust without ${missing.join(' / ')} condition: ${providerHost}`,
+                description: missingSubject ?
+                    `Any identity issued by ${providerHost} can assume this role because the token subject is not restricted` :
+                    `Tokens issued by ${providerHost} for any audience are accepted`,
+                remediation: `Add StringEquals/StringLike conditions on ${missing.join(' and ')}`
+            }, missingSubject ? (missing.length > 1 ? 9 : 8) : 5);
+        });
+
+        // Service principals receive the role's permissions
+        if (principals.service.length > 0 && roleAnalysis && roleAnalysis.riskLevel >= 7) {
+            addIssue({
+                type: 'TRUST_SERVICE_DANGEROUS',
+                statementIndex: idx,
+                title: `Service trust on a privileged role: ${principals.service.join(', ')}`,
+                description: `This role can be used by ${principals.service.join(', ')} and its permissions are rated ${roleAnalysis.riskLevel}/10 (${roleAnalysis.summary}). Anyone who can pass this role to, or change code running in, these services gains them`,
+                remediation: 'Reduce the role permissions and restrict who can iam:PassRole it (iam:PassedToService, resource-scoped PassRole)'
+            }, Math.min(roleAnalysis.riskLevel, 8));
+        }
+    });
+
+    let summary = '';
+    if (maxRiskLevel >= 9) {
+        summary = 'CRITICAL: Role can be assumed by principals outside your control';
+    } else if (maxRiskLevel >= 7) {
+        summary = `HIGH RISK: ${issues.length} trust issue(s) detected`;
+    } else if (maxRiskLevel >= 5) {
+        summary = 'MEDIUM RISK: Trust policy is broader than necessary';
+    } else if (issues.length > 0) {
+        summary = 'LOW RISK: Minor trust concerns detected';
+    } else {
+        summary = 'No significant trust issues detected';
+    }
+
+    const conditionalIssues = issues.filter(i => i.mitigation);
+
+    return {
+        issues,
+        riskLevel: maxRiskLevel,
+        detectedMethods: [],
+        impactFindings: [],
         summary,
+        isTrustPolicy: true,
+        conditionSummary: {
+            mitigated: conditionalIssues.filter(i => i.mitigation === 'mitigated').length,
+            partial: conditionalIssues.filter(i => i.mitigation === 'partial').length,
+            unconditional: conditionalIssues.filter(i => i.mitigation === 'unconditional').length,
+            conditions: [...new Set(conditionalIssues.flatMap(i => i.conditions))]
+        },
         stats: {
             totalIssues: issues.length,
             criticalIssues: issues.filter(i => i.severity === 'critical').length,
             highIssues: issues.filter(i => i.severity === 'high').length,
             mediumIssues: issues.filter(i => i.severity === 'medium').length,
-            escalationMethods: detectedMethods.length
+            escalationMethods: 0
+        }
+    };
+};
+
+/**
+ * Compile a guardrail layer (permissions boundary or SCPs at one level) into an action check
+ * An action passes a layer if some statement allows it and no unconditional statement denies it
+ * Guardrails are evaluated per action; their Resource elements are not considered
+ */
+const compileGuardrailLayer = (layer) => {
+    const statements = layer.documents.flatMap(guardrailDocument =>
+        Array.isArray(guardrailDocument.Statement) ? guardrailDocument.Statement : [guardrailDocument.Statement]
+    );
+
+    const compiled = statements.map(statement => {
+        const actions = [].concat(statement.Action || []).map(pattern => PolicyExpansion.actionPatternToRegex(pattern));
+        const notActions = [].concat(statement.NotAction || []).map(pattern => PolicyExpansion.actionPatternToRegex(pattern));
+        const resources = [].concat(statement.Resource || []).map(pattern => PolicyEvaluator.wildcardToRegex(pattern));
+        return {
+            effect: statement.Effect || 'Allow',
+            conditional: !!statement.Condition,
+            allowsEverything: !statement.Condition && [].concat(statement.Action || []).includes('*'),
+            test: (action) => statement.NotAction ?
+                !notActions.some(regex => regex.test(action)) :
+                actions.some(regex => regex.test(action)),
+            // A Deny only blocks when its Resource matches every granted resource
+            // (NotResource is treated like a scoped Deny: it may leave the grant open)
+            coversResources: (grantedResources) => !statement.NotResource &&
+                grantedResources.every(resource => resources.some(regex => regex.test(resource)))
+        };
+    });
+
+    return {
+        name: layer.name,
+        allowsEverything: compiled.every(statement => statement.effect === 'Allow') &&
+            compiled.some(statement => statement.effect === 'Allow' && statement.allowsEverything),
+        // resources: what the grant covers ("*" for all). Conditional or resource-scoped Deny
+        // statements do not block, so findings they might not stop are kept
+        allows: (action, resources = ['*']) => {
+            let allowed = false;
+            for (const statement of compiled) {
+                if (!statement.test(action)) continue;
+                if (statement.effect === 'Deny') {
+                    if (!statement.conditional && statement.coversResources(resources)) return false;
+                } else {
+                    allowed = true;
+                }
+            }
+            return allowed;
         }
     };
 };
 
+/**
+ * Analyze a policy under guardrails: the effective permissions are the intersection of the
+ * policy with every guardrail layer. Allowed actions are expanded with the action catalog,
+ * filtered through the guardrails and the resulting document is analyzed again
+ * Returns the effective analysis with a guardrails summary of neutralized and surviving methods
+ */
+const analyzePolicyWithGuardrails = (policyDocument, guardrailLayers, catalogActions = []) => {
+    const baseline = analyzePolicyForShadowAdmin(policyDocument);
+    const layers = guardrailLayers.map(compileGuardrailLayer);
+    const passesGuardrails = (action, resources) => layers.every(layer => layer.allows(action, resources));
+
+    let effective = baseline;
+    // Allow + NotAction statements cannot be intersected without the catalog, they are kept
+    // as they are and reported as not evaluated
+    const unevaluated = [];
+    if (!layers.every(layer => layer.allowsEverything)) {
+        const statements = Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement];
+
+        // Keep statement positions so findings still point at the original statements
+        const intersected = {
+            ...policyDocument,
+            Statement: statements.map((statement, statementIndex) => {
+                if ((statement.Effect || 'Allow') !== 'Allow') return statement;
+
+                if (statement.NotAction && catalogActions.length === 0) {
+                    unevaluated.push(statementIndex);
+                    return statement;
+                }
+
+                let candidates;
+                if (statement.NotAction) {
+                    const excluded = [].concat(statement.NotAction).map(pattern => PolicyExpansion.actionPatternToRegex(pattern));
+                    candidates = catalogActions.filter(action => !excluded.some(regex => regex.test(action)));
+                } else {
+                    candidates = [...new Set([].concat(statement.Action || []).flatMap(pattern => {
+                        if (!PolicyExpansion.hasWildcard(pattern)) return [pattern];
+                        const regex = PolicyExpansion.actionPatternToRegex(pattern);
+                        const expanded = catalogActions.filter(action => regex.test(action));
+                        return expanded.length > 0 ? expanded : [pattern];
+                    }))];
+                }
+
+                const resources = statement.NotResource ? ['*'] : [].concat(statement.Resource || '*');
+                const allowedActions = candidates.filter(action => passesGuardrails(action, resources));
+                if (!statement.NotAction && allowedActions.length === candidates.length) return statement;
+
+                const { NotAction, ...rest } = statement;
+                return { ...rest, Action: allowedActions };
+            })
+        };
+
+        effective = analyzePolicyForShadowAdmin(intersected);
+    }
+
+    const findings = (analysis) => [...analysis.detectedMethods, ...(analysis.impactFindings || [])];
+    const grantedResources = (method, permission) => {
+        const arns = method.resources && method.resources[permission];
+        return arns && arns.length > 0 ? arns : ['*'];
+    };
+    const survivingMethods = new Set(findings(effective).map(method => method.method));
+
+    effective.guardrails = {
+        applied: guardrailLayers.map(layer => layer.policyNames ? `${layer.name} (${layer.policyNames.join(', ')})` : layer.name),
+        baselineRiskLevel: baseline.riskLevel,
+        baselineSummary: baseline.summary,
+        neutralized: findings(baseline)
+            .filter(method => !survivingMethods.has(method.method))
+            .map(method => ({
+                method: method.method,
+                category: method.category,
+                riskLevel: method.effectiveRiskLevel,
+                blockedBy: method.permissions.flatMap(permission =>
+                    layers.filter(layer => !layer.allows(permission, grantedResources(method, permission)))
+                        .map(layer => ({ permission, guardrail: layer.name }))
+                )
+            })),
+        surviving: findings(effective).map(method => method.method),
+        unevaluated
+    };
+
+    return effective;
+};
+
+/**
+ * Attribute findings of a merged (effective permissions) analysis back to the policies
+ * their statements came from. statementSources[i] labels statement i of the merged document
+ */
+const attributeAnalysisToSources = (analysis, statementSources) => {
+    if (!analysis || !statementSources) return analysis;
+
+    const sourcesByMethod = {};
+    [...(analysis.detectedMethods || []), ...(analysis.impactFindings || [])].forEach(method => {
+        if (!method.grantStatements) return;
+        method.sourcesByPermission = {};
+        Object.entries(method.grantStatements).forEach(([perm, statementIndexes]) => {
+            method.sourcesByPermission[perm] = [...new Set(statementIndexes.map(idx => statementSources[idx]))];
+        });
+        sourcesByMethod[method.method] = method.sourcesByPermission;
+    });
+
+    (analysis.issues || []).forEach(issue => {
+        if (issue.statementIndex >= 0) {
+            issue.source = statementSources[issue.statementIndex];
+        } else if (issue.method) {
+            issue.sourcesByPermission = sourcesByMethod[issue.method];
+        }
+    });
+
+    return analysis;
+};
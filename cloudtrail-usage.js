@@ -0,0 +1,269 @@
+/**
+ * CloudTrail Usage Module
+ * Reads CloudTrail log files (as delivered to S3: { "Records": [...] }, optionally gzipped)
+ * and works out which actions and resources a principal actually used, to generate a
+ * least-privilege policy and spot granted permissions that were never used.
+ */
+
+class CloudTrailUsage {
+    /**
+     * Event sources whose IAM service prefix differs from the host name
+     */
+    static get SERVICE_PREFIXES() {
+        return {
+            'monitoring': 'cloudwatch',
+            'email': 'ses',
+            'streams.dynamodb': 'dynamodb',
+            'api.ecr': 'ecr',
+            'api.sagemaker': 'sagemaker',
+            'runtime.sagemaker': 'sagemaker',
+            'bedrock-runtime': 'bedrock',
+            'lambda-url': 'lambda'
+        };
+    }
+
+    /**
+     * Events whose IAM action is not service:eventName (keyed by service:eventName with
+     * any version suffix removed)
+     */
+    static get EVENT_ACTIONS() {
+        return {
+            'lambda:Invoke': 'lambda:InvokeFunction',
+            'lambda:InvokeWithResponseStream': 'lambda:InvokeFunction',
+            's3:ListBuckets': 's3:ListAllMyBuckets',
+            's3:ListObjects': 's3:ListBucket',
+            's3:ListObjectsV2': 's3:ListBucket',
+            's3:HeadBucket': 's3:ListBucket',
+            's3:ListObjectVersions': 's3:ListBucketVersions',
+            's3:ListMultipartUploads': 's3:ListBucketMultipartUploads',
+            's3:ListParts': 's3:ListMultipartUploadParts',
+            's3:HeadObject': 's3:GetObject',
+            's3:SelectObjectContent': 's3:GetObject',
+            's3:CopyObject': 's3:PutObject',
+            's3:CreateMultipartUpload': 's3:PutObject',
+            's3:UploadPart': 's3:PutObject',
+            's3:UploadPartCopy': 's3:PutObject',
+            's3:CompleteMultipartUpload': 's3:PutObject',
+            's3:DeleteObjects': 's3:DeleteObject',
+            's3:GetBucketEncryption': 's3:GetEncryptionConfiguration',
+            's3:PutBucketEncryption': 's3:PutEncryptionConfiguration',
+            's3:DeleteBucketEncryption': 's3:PutEncryptionConfiguration',
+            's3:GetBucketLifecycleConfiguration': 's3:GetLifecycleConfiguration',
+            's3:PutBucketLifecycleConfiguration': 's3:PutLifecycleConfiguration',
+            's3:DeleteBucketLifecycle': 's3:PutLifecycleConfiguration',
+            's3:GetBucketReplication': 's3:GetReplicationConfiguration',
+            's3:PutBucketReplication': 's3:PutReplicationConfiguration',
+            's3:DeleteBucketReplication': 's3:PutReplicationConfiguration',
+            's3:DeleteBucketCors': 's3:PutBucketCORS',
+            's3:DeleteBucketTagging': 's3:PutBucketTagging'
+        };
+    }
+
+    /**
+     * Error codes meaning the call was refused, so the permission was not used
+     */
+    static get DENIED_ERRORS() {
+        return ['AccessDenied', 'AccessDeniedException', 'UnauthorizedOperation', 'UnauthorizedAccess', 'Client.UnauthorizedOperation'];
+    }
+
+    /**
+     * Parse a log file: { Records: [...] }, a single event, an array of events or JSON lines
+     */
+    static parseLogText(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            return {
+                success: false,
+                error: 'File is empty'
+            };
+        }
+
+        try {
+            const parsed = JSON.parse(trimmed);
+            const records = Array.isArray(parsed) ? parsed : parsed.Records || [parsed];
+            return CloudTrailUsage.checkRecords(records);
+        } catch (error) {
+            // Not a single JSON document, try one event per line
+            try {
+                const records = trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+                return CloudTrailUsage.checkRecords(records);
+            } catch (lineError) {
+                return {
+                    success: false,
+                    error: `Invalid JSON: ${error.message}`
+                };
+            }
+        }
+    }
+
+    /**
+     * Keep only objects that look like CloudTrail events
+     */
+    static checkRecords(records) {
+        const events = records.filter(record => record && record.eventSource && record.eventName);
+        if (events.length === 0) {
+            return {
+                success: false,
+                error: 'No CloudTrail events found (expected records with eventSource and eventName)'
+            };
+        }
+
+        return {
+            success: true,
+            data: events
+        };
+    }
+
+    /**
+     * ARN of the principal that made a call (assumed role sessions map to their role)
+     */
+    static getPrincipalArn(record) {
+        const identity = record.userIdentity || {};
+        if (identity.type === 'AssumedRole' && identity.sessionContext && identity.sessionContext.sessionIssuer) {
+            return identity.sessionContext.sessionIssuer.arn || identity.arn || null;
+        }
+        return identity.arn || null;
+    }
+
+    /**
+     * Principals seen in the events, most active first: [{ arn, eventCount }]
+     */
+    static getPrincipals(records) {
+        const counts = new Map();
+        records.forEach(record => {
+            const arn = CloudTrailUsage.getPrincipalArn(record);
+            if (arn) counts.set(arn, (counts.get(arn) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .map(([arn, eventCount]) => ({ arn, eventCount }))
+            .sort((a, b) => b.eventCount - a.eventCount);
+    }
+
+    /**
+     * IAM action for an event (s3.amazonaws.com + GetObject -> s3:GetObject,
+     * lambda.amazonaws.com + Invoke20150331 -> lambda:InvokeFunction)
+     */
+    static getAction(record) {
+        const host = record.eventSource.replace(/\.amazonaws\.com$/, '');
+        const prefix = CloudTrailUsage.SERVICE_PREFIXES[host] || host;
+        // Some services log versioned operation names (Invoke20150331, GetFunction20150331v2)
+        const eventName = record.eventName.replace(/\d{8}(v\d+)?$/, '');
+        const action = `${prefix}:${eventName}`;
+        return CloudTrailUsage.EVENT_ACTIONS[action] || action;
+    }
+
+    /**
+     * Resource ARNs an event touched, '*' when CloudTrail does not record them
+     */
+    static getResources(record) {
+        const arns = (record.resources || []).map(resource => resource.ARN).filter(Boolean);
+        if (arns.length > 0) return arns;
+
+        const params = record.requestParameters || {};
+        if (record.eventSource === 's3.amazonaws.com' && params.bucketName) {
+            return [params.key ? `arn:aws:s3:::${params.bucketName}/${params.key}` : `arn:aws:s3:::${params.bucketName}`];
+        }
+
+        return ['*'];
+    }
+
+    /**
+     * Actions and resources a principal used: { actions: Map(action -> Set(resource)),
+     * eventCount, deniedCount, firstEvent, lastEvent }
+     */
+    static collectUsage(records, principalArn) {
+        const usage = {
+            actions: new Map(),
+            eventCount: 0,
+            deniedCount: 0,
+            firstEvent: null,
+            lastEvent: null
+        };
+
+        records
+            .filter(record => !principalArn || CloudTrailUsage.getPrincipalArn(record) === principalArn)
+            .filter(record => record.eventType !== 'AwsConsoleSignIn')
+            .forEach(record => {
+                if (CloudTrailUsage.DENIED_ERRORS.includes(record.errorCode)) {
+                    usage.deniedCount++;
+                    return;
+                }
+
+                usage.eventCount++;
+                if (record.eventTime) {
+                    if (!usage.firstEvent || record.eventTime < usage.firstEvent) usage.firstEvent = record.eventTime;
+                    if (!usage.lastEvent || record.eventTime > usage.lastEvent) usage.lastEvent = record.eventTime;
+                }
+
+                const action = CloudTrailUsage.getAction(record);
+                if (!usage.actions.has(action)) usage.actions.set(action, new Set());
+                CloudTrailUsage.getResources(record).forEach(resource => usage.actions.get(action).add(resource));
+            });
+
+        return usage;
+    }
+
+    /**
+     * Build a least-privilege policy from usage: one statement per service and resource set
+     */
+    static generatePolicy(usage) {
+        const groups = new Map();
+
+        [...usage.actions.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([action, resources]) => {
+            // A call recorded without resources needs '*', which covers the specific ARNs too
+            const resourceList = resources.has('*') ? ['*'] : [...resources].sort();
+            const service = action.split(':')[0];
+            const key = `${service}|${resourceList.join(',')}`;
+
+            if (!groups.has(key)) groups.set(key, { service, actions: [], resources: resourceList });
+            groups.get(key).actions.push(action);
+        });
+
+        const sidCounts = {};
+        const statements = [...groups.values()].map(group => {
+            const service = group.service.replace(/[^A-Za-z0-9]/g, '');
+            const base = `Used${service.charAt(0).toUpperCase()}${service.slice(1)}`;
+            sidCounts[base] = (sidCounts[base] || 0) + 1;
+
+            return {
+                Sid: sidCounts[base] > 1 ? `${base}${sidCounts[base]}` : base,
+                Effect: 'Allow',
+                Action: group.actions.length === 1 ? group.actions[0] : group.actions,
+                Resource: group.resources.length === 1 ? group.resources[0] : group.resources
+            };
+        });
+
+        return {
+            Version: '2012-10-17',
+            Statement: statements
+        };
+    }
+
+    /**
+     * Granted action patterns in Allow statements that no recorded call used, plus wildcards
+     * only partly used: [{ statementIndex, action, grantedCount, usedCount }]
+     * (grantedCount comes from the catalog for wildcards)
+     */
+    static findUnusedPermissions(policyDocument, usage, catalogActions = []) {
+        const usedActions = [...usage.actions.keys()];
+        const statements = Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement];
+        const unused = [];
+
+        statements.forEach((statement, statementIndex) => {
+            if ((statement.Effect || 'Allow') !== 'Allow' || !statement.Action) return;
+
+            [].concat(statement.Action).forEach(action => {
+                const regex = PolicyExpansion.actionPatternToRegex(action);
+                const usedCount = usedActions.filter(used => regex.test(used)).length;
+                const grantedCount = PolicyExpansion.hasWildcard(action) ?
+                    catalogActions.filter(catalogAction => regex.test(catalogAction)).length : 1;
+                if (usedCount > 0 && usedCount >= grantedCount) return;
+
+                unused.push({ statementIndex, action, grantedCount, usedCount });
+            });
+        });
+
+        return unused;
+    }
+}
@@ -0,0 +1,300 @@
+/**
+ * Custom Rules Module
+ * Team-defined detection rules evaluated next to the shadow admin analysis,
+ * kept in browser storage (localStorage)
+ *
+ * A rule is { id, name, description, severity, type, effect, actions, resources,
+ * conditionKeys, remediation }:
+ * - type "forbid": flag every statement with the effect that covers one of the actions
+ *   (and one of the resources) unless its Condition uses all conditionKeys
+ * - type "require": flag the policy when no such statement exists
+ */
+
+class CustomRuleSet {
+    constructor(storageKey = 'aws-policy-explorer.custom-rules') {
+        this.storageKey = storageKey;
+        this.rules = [];
+    }
+
+    /**
+     * Severities a rule can report
+     */
+    static get SEVERITIES() {
+        return ['critical', 'high', 'medium', 'low'];
+    }
+
+    /**
+     * Example rules shown in the editor
+     */
+    static get EXAMPLE_RULES() {
+        return [
+            {
+                id: 'no-s3-deletebucket-without-mfa',
+                name: 'No s3:DeleteBucket without MFA',
+                description: 'Bucket deletion must require MFA',
+                severity: 'high',
+                type: 'forbid',
+                effect: 'Allow',
+                actions: ['s3:DeleteBucket'],
+                conditionKeys: ['aws:MultiFactorAuthPresent'],
+                remediation: 'Add a Bool aws:MultiFactorAuthPresent condition to statements that allow s3:DeleteBucket'
+            },
+            {
+                id: 'no-kms-wildcard-on-all-resources',
+                name: 'No kms:* on *',
+                description: 'KMS access must be scoped to specific keys',
+                severity: 'critical',
+                type: 'forbid',
+                effect: 'Allow',
+                actions: ['kms:*'],
+                resources: ['*'],
+                remediation: 'List the KMS actions needed and restrict Resource to key ARNs'
+            }
+        ];
+    }
+
+    /**
+     * Load rules from browser storage
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const parsed = stored ? JSON.parse(stored) : [];
+            this.rules = CustomRuleSet.validateRules(parsed).success ? parsed : [];
+        } catch (error) {
+            console.error('Failed to load custom rules:', error);
+            this.rules = [];
+        }
+        return this.rules;
+    }
+
+    /**
+     * Validate and store rules (replaces all stored rules)
+     */
+    save(rules) {
+        const result = CustomRuleSet.validateRules(rules);
+        if (!result.success) return result;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(rules));
+        } catch (error) {
+            return {
+                success: false,
+                error: `Failed to store custom rules: ${error.message}`
+            };
+        }
+
+        this.rules = rules;
+        return {
+            success: true,
+            data: rules
+        };
+    }
+
+    /**
+     * Currently stored rules
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Parse editor text into rules
+     */
+    static parseRules(rulesText) {
+        let rules;
+        try {
+            rules = rulesText.trim() ? JSON.parse(rulesText) : [];
+        } catch (error) {
+            return {
+                success: false,
+                error: `Invalid JSON: ${error.message}`,
+                errors: [`Invalid JSON: ${error.message}`]
+            };
+        }
+
+        const result = CustomRuleSet.validateRules(rules);
+        return result.success ? { success: true, data: rules } : result;
+    }
+
+    /**
+     * Validate a list of rules, collecting every problem for the editor
+     */
+    static validateRules(rules) {
+        if (!Array.isArray(rules)) {
+            return {
+                success: false,
+                error: 'Custom rules must be a JSON array',
+                errors: ['Custom rules must be a JSON array']
+            };
+        }
+
+        const errors = [];
+        const ids = new Set();
+
+        rules.forEach((rule, index) => {
+            const label = rule && rule.id ? `Rule ${rule.id}` : `Rule ${index + 1}`;
+
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            ['id', 'name'].forEach(field => {
+                if (typeof rule[field] !== 'string' || !rule[field]) errors.push(`${label} needs a ${field}`);
+            });
+            if (ids.has(rule.id)) errors.push(`${label} is defined twice`);
+            ids.add(rule.id);
+
+            if (!['forbid', 'require'].includes(rule.type)) errors.push(`${label}: type must be "forbid" or "require"`);
+            if (!CustomRuleSet.SEVERITIES.includes(rule.severity)) {
+                errors.push(`${label}: severity must be one of ${CustomRuleSet.SEVERITIES.join(', ')}`);
+            }
+            if (rule.effect !== undefined && !['Allow', 'Deny'].includes(rule.effect)) {
+                errors.push(`${label}: effect must be "Allow" or "Deny"`);
+            }
+
+            if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+                errors.push(`${label} needs at least one action`);
+            } else {
+                rule.actions
+                    .filter(action => typeof action !== 'string' || !/^(\*|[\w-]+:[\w*?]+)$/.test(action))
+                    .forEach(action => errors.push(`${label}: invalid action ${action}`));
+            }
+
+            ['resources', 'conditionKeys'].forEach(field => {
+                if (rule[field] !== undefined &&
+                    (!Array.isArray(rule[field]) || rule[field].some(value => typeof value !== 'string' || !value))) {
+                    errors.push(`${label}: ${field} must be an array of strings`);
+                }
+            });
+        });
+
+        if (errors.length > 0) {
+            return {
+                success: false,
+                error: errors[0],
+                errors
+            };
+        }
+
+        return {
+            success: true,
+            data: rules
+        };
+    }
+
+    /**
+     * Check whether a statement covers everything a rule pattern names
+     * ("s3:*" covers s3:DeleteBucket, "kms:Decrypt" does not cover kms:*)
+     */
+    static statementCovers(patterns, notPatterns, rulePatterns, toRegex) {
+        if (notPatterns) {
+            return rulePatterns.some(rulePattern => !notPatterns.some(pattern => toRegex(pattern).test(rulePattern)));
+        }
+        return rulePatterns.some(rulePattern => patterns.some(pattern => toRegex(pattern).test(rulePattern)));
+    }
+
+    /**
+     * Check whether a statement matches a rule's effect, actions and resources
+     */
+    static statementMatches(statement, rule) {
+        if ((statement.Effect || 'Allow') !== (rule.effect || 'Allow')) return false;
+
+        const actionsCovered = CustomRuleSet.statementCovers(
+            [].concat(statement.Action || []),
+            statement.NotAction ? [].concat(statement.NotAction) : null,
+            rule.actions,
+            (pattern) => PolicyExpansion.actionPatternToRegex(pattern)
+        );
+        if (!actionsCovered) return false;
+
+        if (!rule.resources || rule.resources.length === 0) return true;
+        if (!statement.Resource && !statement.NotResource) return true;
+
+        return CustomRuleSet.statementCovers(
+            [].concat(statement.Resource || []),
+            statement.NotResource ? [].concat(statement.NotResource) : null,
+            rule.resources,
+            (pattern) => PolicyEvaluator.wildcardToRegex(pattern)
+        );
+    }
+
+    /**
+     * Check whether a statement's Condition uses every key the rule asks for
+     */
+    static hasConditionKeys(statement, rule) {
+        if (!rule.conditionKeys || rule.conditionKeys.length === 0) return true;
+        const keys = Object.keys(getConditionValues(statement.Condition));
+        return rule.conditionKeys.every(key => keys.includes(key.toLowerCase()));
+    }
+
+    /**
+     * Evaluate rules against a policy document, returning issues in the analyzer's shape
+     */
+    static evaluate(policyDocument, rules) {
+        if (!policyDocument || !policyDocument.Statement || rules.length === 0) return [];
+        const statements = Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement];
+        const issues = [];
+
+        const createIssue = (rule, statementIndex, description) => ({
+            type: 'CUSTOM_RULE',
+            severity: rule.severity,
+            statementIndex,
+            title: `Custom Rule: ${rule.name}`,
+            ruleId: rule.id,
+            category: 'Custom Rules',
+            description,
+            remediation: rule.remediation || 'Update the policy to satisfy the rule'
+        });
+
+        rules.forEach(rule => {
+            const conditionKeys = rule.conditionKeys && rule.conditionKeys.length > 0 ? rule.conditionKeys.join(', ') : null;
+
+            if (rule.type === 'forbid') {
+                statements.forEach((statement, index) => {
+                    // Without conditionKeys every matching statement is a violation
+                    const exempt = conditionKeys && CustomRuleSet.hasConditionKeys(statement, rule);
+                    if (CustomRuleSet.statementMatches(statement, rule) && !exempt) {
+                        issues.push(createIssue(rule, index,
+                            `${rule.description || rule.name} (statement ${index + 1}${statement.Sid ? ` "${statement.Sid}"` : ''} ${rule.effect === 'Deny' ? 'denies' : 'allows'} ${rule.actions.join(', ')}${conditionKeys ? ` without ${conditionKeys} in its Condition` : ''})`
+                        ));
+                    }
+                });
+            } else {
+                const satisfied = statements.some(statement =>
+                    CustomRuleSet.statementMatches(statement, rule) && CustomRuleSet.hasConditionKeys(statement, rule)
+                );
+                if (!satisfied) {
+                    issues.push(createIssue(rule, -1,
+                        `${rule.description || rule.name} (no ${rule.effect || 'Allow'} statement covers ${rule.actions.join(', ')}${conditionKeys ? ` with ${conditionKeys} in its Condition` : ''})`
+                    ));
+                }
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Add custom rule issues to an analysis (the risk score stays the escalation score)
+     */
+    static addToAnalysis(analysis, issues) {
+        if (issues.length === 0) return analysis;
+
+        analysis.issues = [...analysis.issues, ...issues];
+        if (analysis.stats) {
+            analysis.stats = {
+                ...analysis.stats,
+                totalIssues: analysis.stats.totalIssues + issues.length,
+                criticalIssues: analysis.stats.criticalIssues + issues.filter(i => i.severity === 'critical').length,
+                highIssues: analysis.stats.highIssues + issues.filter(i => i.severity === 'high').length,
+                mediumIssues: analysis.stats.mediumIssues + issues.filter(i => i.severity === 'medium').length,
+                customRuleIssues: issues.length
+            };
+        }
+        return analysis;
+    }
+}
+
+// Global singleton instance
+const customRules = new CustomRuleSet();
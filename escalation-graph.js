@@ -0,0 +1,322 @@
+/**
+ * Escalation Graph Module
+ * Models principals, roles, trust relationships and escalation edges of an account
+ * and finds multi-hop paths from any principal to admin-equivalent access
+ *
+ * Edges come from the ESCALATION_METHODS table (see each method's graphTarget)
+ * and from role trust policies (sts:AssumeRole). Depends on aws-handler.js.
+ */
+
+class EscalationGraph {
+    constructor() {
+        this.nodes = new Map();
+        this.edges = [];
+        this.accountId = null;
+    }
+
+    /**
+     * Id of the sink node that stands for admin-equivalent access
+     */
+    static get ADMIN_NODE() {
+        return 'admin';
+    }
+
+    /**
+     * Build the graph from principals of imported account data
+     * principals: [{ type: 'user'|'role', name, arn, sources: [{ label, document }], trustPolicy }]
+     */
+    static fromPrincipals(principals, accountId = null) {
+        const graph = new EscalationGraph();
+        graph.accountId = accountId;
+
+        graph.nodes.set(EscalationGraph.ADMIN_NODE, {
+            id: EscalationGraph.ADMIN_NODE,
+            type: 'admin',
+            name: 'Administrator access'
+        });
+
+        principals.forEach(principal => graph.addPrincipal(principal));
+        graph.nodes.forEach(node => {
+            if (node.type !== 'admin') graph.addEdgesFrom(node);
+        });
+
+        return graph;
+    }
+
+    /**
+     * Add a user or role node with its merged permissions analysis
+     */
+    addPrincipal(principal) {
+        const policyInfo = awsHandler.buildEffectivePolicyInfo(principal.name, principal.sources).data;
+        const policyDocument = policyInfo.currentVersion.Document;
+        const analysis = attributeAnalysisToSources(analyzePolicyForShadowAdmin(policyDocument), policyInfo.statementSources);
+
+        this.nodes.set(principal.arn, {
+            id: principal.arn,
+            type: principal.type,
+            name: principal.name,
+            policyDocument,
+            analysis,
+            trustPolicy: principal.trustPolicy || null,
+            isAdmin: analysis.issues.some(issue => issue.type === 'FULL_ADMIN')
+        });
+    }
+
+    /**
+     * Create every edge leaving a principal node
+     */
+    addEdgesFrom(node) {
+        if (node.isAdmin) {
+            this.addEdge(node.id, EscalationGraph.ADMIN_NODE, {
+                relationship: 'admin',
+                detail: `${node.name} already has administrator access`
+            });
+            return;
+        }
+
+        const principalNodes = Array.from(this.nodes.values()).filter(other => other.type !== 'admin' && other.id !== node.id);
+
+        // Escalation methods detected in the node's own permissions
+        node.analysis.detectedMethods.forEach(method => {
+            const methodInfo = ESCALATION_METHODS[method.method];
+            if (!methodInfo || !methodInfo.graphTarget) return;
+
+            const step = {
+                relationship: 'method',
+                method: method.method,
+                riskLevel: method.effectiveRiskLevel,
+                mitigation: method.mitigation
+            };
+
+            if (methodInfo.graphTarget === 'admin') {
+                this.addEdge(node.id, EscalationGraph.ADMIN_NODE, {
+                    ...step,
+                    detail: methodInfo.description
+                });
+            } else if (methodInfo.graphTarget === 'user' || methodInfo.graphTarget === 'role') {
+                const targetPermission = methodInfo.permissions[0];
+                principalNodes
+                    .filter(target => target.type === methodInfo.graphTarget)
+                    .filter(target => EscalationGraph.resourcesCover(method.resources[targetPermission], target.id))
+                    .forEach(target => {
+                        this.addEdge(node.id, target.id, {
+                            ...step,
+                            detail: `${targetPermission} on ${target.name}`
+                        });
+                    });
+            } else if (methodInfo.graphTarget === 'service-role') {
+                const service = methodInfo.passRoleService || methodInfo.targetService;
+                principalNodes
+                    .filter(target => target.type === 'role' && EscalationGraph.trustedServices(target.trustPolicy).includes(service))
+                    .filter(target => !method.resources['iam:passrole'] || EscalationGraph.resourcesCover(method.resources['iam:passrole'], target.id))
+                    .forEach(target => {
+                        this.addEdge(node.id, target.id, {
+                            ...step,
+                            detail: `${target.name} runs as ${service}`
+                        });
+                    });
+            }
+        });
+
+        // Roles whose trust policy lets this principal assume them
+        principalNodes
+            .filter(target => target.type === 'role')
+            .forEach(target => {
+                const trust = EscalationGraph.trustAllows(target.trustPolicy, node.id, this.accountId);
+                if (trust === 'explicit' ||
+                    (trust === 'account' && EscalationGraph.policyAllows(node.policyDocument, 'sts:assumerole', target.id))) {
+                    this.addEdge(node.id, target.id, {
+                        relationship: 'trust',
+                        detail: trust === 'explicit' ?
+                            `Trust policy of ${target.name} names ${node.name}` :
+                            `Trust policy of ${target.name} trusts the account and ${node.name} is allowed sts:AssumeRole`
+                    });
+                }
+            });
+    }
+
+    /**
+     * Add a directed edge (one step of an escalation path)
+     */
+    addEdge(from, to, step) {
+        this.edges.push({ from, to, ...step });
+    }
+
+    /**
+     * Shortest path (fewest steps) from a principal to admin-equivalent access
+     * Returns the ordered steps, or null when admin cannot be reached
+     */
+    findPathToAdmin(fromId) {
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === EscalationGraph.ADMIN_NODE) break;
+
+            this.edges
+                .filter(edge => edge.from === current && !previous.has(edge.to))
+                .forEach(edge => {
+                    previous.set(edge.to, edge);
+                    queue.push(edge.to);
+                });
+        }
+
+        if (!previous.has(EscalationGraph.ADMIN_NODE)) {
+            return null;
+        }
+
+        const steps = [];
+        let edge = previous.get(EscalationGraph.ADMIN_NODE);
+        while (edge) {
+            steps.unshift({
+                ...edge,
+                fromName: this.nodes.get(edge.from).name,
+                toName: this.nodes.get(edge.to).name,
+                methodInfo: edge.method ? ESCALATION_METHODS[edge.method] : null
+            });
+            edge = previous.get(edge.from);
+        }
+        return steps;
+    }
+
+    /**
+     * Shortest path to admin for every principal, direct admins first, then by path length
+     */
+    findAllPaths() {
+        const paths = [];
+
+        this.nodes.forEach(node => {
+            if (node.type === 'admin') return;
+            const steps = this.findPathToAdmin(node.id);
+            if (steps) {
+                paths.push({
+                    principal: { id: node.id, type: node.type, name: node.name },
+                    isAdmin: node.isAdmin,
+                    steps
+                });
+            }
+        });
+
+        return paths.sort((a, b) => a.steps.length - b.steps.length || a.principal.name.localeCompare(b.principal.name));
+    }
+
+    /**
+     * Summary counts for display
+     */
+    getStats() {
+        const principals = Array.from(this.nodes.values()).filter(node => node.type !== 'admin');
+        return {
+            users: principals.filter(node => node.type === 'user').length,
+            roles: principals.filter(node => node.type === 'role').length,
+            edges: this.edges.length
+        };
+    }
+
+    /**
+     * Convert a resource ARN pattern to a regex (* and ? wildcards)
+     */
+    static resourcePatternToRegex(pattern) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    /**
+     * Check if a method's resource list (as reported by the analyzer) covers an ARN
+     * Entries prefixed with "NOT " come from NotResource
+     */
+    static resourcesCover(resources, arn) {
+        if (!resources || resources.length === 0) return false;
+
+        const negated = resources.filter(resource => resource.startsWith('NOT '));
+        const positive = resources.filter(resource => !resource.startsWith('NOT '));
+
+        if (positive.some(resource => EscalationGraph.resourcePatternToRegex(resource).test(arn))) {
+            return true;
+        }
+        return negated.length > 0 &&
+            !negated.some(resource => EscalationGraph.resourcePatternToRegex(resource.substring(4)).test(arn));
+    }
+
+    /**
+     * Check if a policy document allows an action on a resource
+     * Conditions are not evaluated; only unconditional denies override allows
+     */
+    static policyAllows(policyDocument, action, resourceArn) {
+        const statements = Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement];
+        let allowed = false;
+
+        for (const statement of statements) {
+            const actions = [].concat(statement.Action || []);
+            const notActions = [].concat(statement.NotAction || []);
+            const actionMatches = statement.NotAction ?
+                !notActions.some(pattern => PolicyExpansion.actionPatternToRegex(pattern).test(action)) :
+                actions.some(pattern => PolicyExpansion.actionPatternToRegex(pattern).test(action));
+            if (!actionMatches) continue;
+
+            const resources = [].concat(statement.Resource || []);
+            const notResources = [].concat(statement.NotResource || []);
+            const resourceMatches = statement.NotResource ?
+                !notResources.some(pattern => EscalationGraph.resourcePatternToRegex(pattern).test(resourceArn)) :
+                resources.some(pattern => EscalationGraph.resourcePatternToRegex(pattern).test(resourceArn));
+            if (!resourceMatches) continue;
+
+            if (statement.Effect === 'Deny') {
+                if (!statement.Condition) return false;
+            } else {
+                allowed = true;
+            }
+        }
+
+        return allowed;
+    }
+
+    /**
+     * AWS principals of the Allow sts:AssumeRole statements in a trust policy
+     */
+    static trustStatements(trustPolicy) {
+        if (!trustPolicy || !trustPolicy.Statement) return [];
+        const statements = Array.isArray(trustPolicy.Statement) ? trustPolicy.Statement : [trustPolicy.Statement];
+
+        return statements.filter(statement => {
+            const actions = [].concat(statement.Action || []);
+            return statement.Effect === 'Allow' &&
+                actions.some(pattern => PolicyExpansion.actionPatternToRegex(pattern).test('sts:assumerole'));
+        });
+    }
+
+    /**
+     * Service principals a role trusts (e.g. lambda.amazonaws.com)
+     */
+    static trustedServices(trustPolicy) {
+        return EscalationGraph.trustStatements(trustPolicy)
+            .flatMap(statement => statement.Principal && statement.Principal.Service ? [].concat(statement.Principal.Service) : []);
+    }
+
+    /**
+     * How a trust policy lets a principal assume the role:
+     * 'explicit' (principal ARN or anyone), 'account' (account root, identity policy must also allow), or null
+     */
+    static trustAllows(trustPolicy, principalArn, accountId) {
+        let result = null;
+
+        EscalationGraph.trustStatements(trustPolicy).forEach(statement => {
+            const principal = statement.Principal;
+            const awsPrincipals = principal === '*' ? ['*'] :
+                (principal && principal.AWS ? [].concat(principal.AWS) : []);
+
+            awsPrincipals.forEach(entry => {
+                if (entry === principalArn || entry === '*') {
+                    result = 'explicit';
+                } else if (!result && accountId &&
+                    (entry === accountId || entry === `arn:aws:iam::${accountId}:root`)) {
+                    result = 'account';
+                }
+            });
+        });
+
+        return result;
+    }
+}
@@ -0,0 +1,378 @@
+/**
+ * Policy Evaluator Module
+ * Evaluates a request (action, resource, context keys) against a single policy document
+ * following the AWS evaluation logic: an explicit Deny wins, then any Allow, otherwise
+ * the request is implicitly denied. Runs fully client-side.
+ *
+ * Supports Action/NotAction, Resource/NotResource, Principal/NotPrincipal, policy variables
+ * and the condition operators (with IfExists and ForAnyValue/ForAllValues qualifiers).
+ */
+
+class PolicyEvaluator {
+    /**
+     * Evaluation outcomes
+     */
+    static get DECISIONS() {
+        return {
+            ALLOW: 'Allow',
+            EXPLICIT_DENY: 'ExplicitDeny',
+            IMPLICIT_DENY: 'ImplicitDeny'
+        };
+    }
+
+    /**
+     * Negated operators are satisfied when the key is missing from the request
+     */
+    static get NEGATED_OPERATORS() {
+        return new Set([
+            'StringNotEquals', 'StringNotEqualsIgnoreCase', 'StringNotLike',
+            'NumericNotEquals', 'DateNotEquals', 'NotIpAddress', 'ArnNotEquals', 'ArnNotLike'
+        ]);
+    }
+
+    /**
+     * Evaluate a request against a policy document
+     * request: { action, resource, context: { 'aws:SourceIp': '10.0.0.1', 'aws:TagKeys': ['a', 'b'] } }
+     * Returns { decision, decidingStatement, statements } where statements traces every statement
+     * (a document without statements is an implicit deny)
+     */
+    static evaluate(policyDocument, request) {
+        const context = PolicyEvaluator.normalizeContext(request.context || {});
+        const statements = [].concat((policyDocument && policyDocument.Statement) || [])
+            .filter(statement => statement && typeof statement === 'object');
+
+        const trace = statements.map((statement, index) => PolicyEvaluator.evaluateStatement(statement, index, request, context));
+
+        const deny = trace.find(entry => entry.applies && entry.effect === 'Deny');
+        const allow = trace.find(entry => entry.applies && entry.effect === 'Allow');
+
+        let decision = PolicyEvaluator.DECISIONS.IMPLICIT_DENY;
+        let decidingStatement = null;
+        if (deny) {
+            decision = PolicyEvaluator.DECISIONS.EXPLICIT_DENY;
+            decidingStatement = deny;
+        } else if (allow) {
+            decision = PolicyEvaluator.DECISIONS.ALLOW;
+            decidingStatement = allow;
+        }
+
+        return {
+            decision,
+            decidingStatement,
+            statements: trace
+        };
+    }
+
+    /**
+     * Check whether one statement applies to the request and record why (or why not)
+     */
+    static evaluateStatement(statement, index, request, context) {
+        const entry = {
+            index,
+            sid: statement.Sid || null,
+            effect: statement.Effect || 'Allow',
+            actionMatch: PolicyEvaluator.matchesAction(statement, request.action),
+            resourceMatch: PolicyEvaluator.matchesResource(statement, request.resource, context),
+            principalMatch: PolicyEvaluator.matchesPrincipal(statement, context),
+            conditions: [],
+            conditionMatch: true
+        };
+
+        if (statement.Condition) {
+            entry.conditions = PolicyEvaluator.evaluateConditions(statement.Condition, context);
+            entry.conditionMatch = entry.conditions.every(condition => condition.result);
+        }
+
+        entry.applies = entry.actionMatch && entry.resourceMatch && entry.principalMatch && entry.conditionMatch;
+        return entry;
+    }
+
+    /**
+     * Parse "key=value" lines (comma-separated values make a multivalued key)
+     */
+    static parseContextText(text) {
+        const context = {};
+        const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+        for (const line of lines) {
+            const separator = line.indexOf('=');
+            if (separator <= 0) {
+                return {
+                    success: false,
+                    error: `Invalid context line "${line}", expected key=value`
+                };
+            }
+
+            const key = line.substring(0, separator).trim();
+            const values = line.substring(separator + 1).split(',').map(value => value.trim()).filter(Boolean);
+            context[key] = values.length === 1 ? values[0] : values;
+        }
+
+        return {
+            success: true,
+            data: context
+        };
+    }
+
+    /**
+     * Context keys are case-insensitive, values are always kept as arrays
+     */
+    static normalizeContext(context) {
+        const normalized = {};
+        Object.entries(context).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            normalized[key.toLowerCase()] = [].concat(value).map(String);
+        });
+        return normalized;
+    }
+
+    /**
+     * Convert a wildcard pattern to a regex (* any sequence, ? one character)
+     */
+    static wildcardToRegex(pattern, ignoreCase = false) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${escaped}$`, ignoreCase ? 'i' : '');
+    }
+
+    /**
+     * Replace policy variables like ${aws:username} with request context values
+     * Unresolved variables never match (AWS treats them as a literal that cannot match)
+     */
+    static substituteVariables(value, context) {
+        return value.replace(/\$\{([^}]+)\}/g, (match, variable) => {
+            if (variable === '*' || variable === '?' || variable === '$') return variable;
+
+            const [key, defaultValue] = variable.split(',').map(part => part.trim());
+            const contextValues = context[key.toLowerCase()];
+            if (contextValues && contextValues.length > 0) return contextValues[0];
+            if (defaultValue !== undefined) return defaultValue.replace(/^'|'$/g, '');
+            return '\u0000unresolved\u0000';
+        });
+    }
+
+    /**
+     * Action / NotAction match (case-insensitive)
+     */
+    static matchesAction(statement, action) {
+        if (!statement.Action && !statement.NotAction) return false;
+
+        const patterns = [].concat(statement.NotAction || statement.Action);
+        const matched = patterns.some(pattern => PolicyExpansion.actionPatternToRegex(pattern).test(action));
+        return statement.NotAction ? !matched : matched;
+    }
+
+    /**
+     * Resource / NotResource match (case-sensitive, policy variables resolved)
+     * Statements without either element (trust policies) apply to the role itself
+     */
+    static matchesResource(statement, resource, context) {
+        if (!statement.Resource && !statement.NotResource) return true;
+
+        const patterns = [].concat(statement.NotResource || statement.Resource);
+        const matched = patterns.some(pattern =>
+            PolicyEvaluator.wildcardToRegex(PolicyEvaluator.substituteVariables(pattern, context)).test(resource || '')
+        );
+        return statement.NotResource ? !matched : matched;
+    }
+
+    /**
+     * Principal / NotPrincipal match against aws:PrincipalArn (resource-based and trust policies)
+     */
+    static matchesPrincipal(statement, context) {
+        if (!statement.Principal && !statement.NotPrincipal) return true;
+
+        const principalArn = (context['aws:principalarn'] || [])[0] || null;
+        const principalElement = statement.NotPrincipal || statement.Principal;
+        const entries = principalElement === '*' ? ['*'] :
+            Object.values(principalElement).flatMap(value => [].concat(value));
+
+        const matched = entries.some(entry => {
+            if (entry === '*') return true;
+            if (!principalArn) return false;
+
+            // An account id or account root trusts every principal of that account
+            const accountMatch = entry.match(/^(?:arn:aws[\w-]*:iam::)?(\d{12})(?::root)?$/);
+            if (accountMatch) return principalArn.split(':')[4] === accountMatch[1];
+
+            return entry === principalArn || PolicyEvaluator.wildcardToRegex(entry).test(principalArn);
+        });
+
+        return statement.NotPrincipal ? !matched : matched;
+    }
+
+    /**
+     * Evaluate a Condition block: every operator and every key must be satisfied
+     * Returns one entry per operator/key pair: { operator, key, values, requestValues, result }
+     */
+    static evaluateConditions(conditionBlock, context) {
+        const results = [];
+
+        Object.entries(conditionBlock).forEach(([operator, keys]) => {
+            Object.entries(keys).forEach(([key, values]) => {
+                const policyValues = [].concat(values).map(value =>
+                    typeof value === 'string' ? PolicyEvaluator.substituteVariables(value, context) : String(value)
+                );
+                const requestValues = context[key.toLowerCase()] || null;
+
+                results.push({
+                    operator,
+                    key,
+                    values: policyValues,
+                    requestValues,
+                    result: PolicyEvaluator.evaluateCondition(operator, policyValues, requestValues)
+                });
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Evaluate one condition operator for one key
+     */
+    static evaluateCondition(fullOperator, policyValues, requestValues) {
+        let operator = fullOperator;
+        let setQualifier = null;
+
+        const qualifierMatch = operator.match(/^(ForAnyValue|ForAllValues):(.+)$/);
+        if (qualifierMatch) {
+            setQualifier = qualifierMatch[1];
+            operator = qualifierMatch[2];
+        }
+
+        const ifExists = operator.endsWith('IfExists');
+        if (ifExists) {
+            operator = operator.slice(0, -'IfExists'.length);
+        }
+
+        if (operator === 'Null') {
+            const expectMissing = policyValues.some(value => value.toLowerCase() === 'true');
+            return expectMissing ? !requestValues : !!requestValues;
+        }
+
+        const matcher = PolicyEvaluator.getOperatorMatcher(operator);
+        if (!matcher) return false;
+
+        const negated = PolicyEvaluator.NEGATED_OPERATORS.has(operator);
+
+        if (!requestValues || requestValues.length === 0) {
+            if (setQualifier === 'ForAllValues') return true;
+            if (setQualifier === 'ForAnyValue') return false;
+            return ifExists || negated;
+        }
+
+        // A request value satisfies the operator if it matches any policy value
+        // (for negated operators: if it matches none of them)
+        const satisfies = (requestValue) => {
+            const matched = policyValues.some(policyValue => matcher(requestValue, policyValue));
+            return negated ? !matched : matched;
+        };
+
+        if (setQualifier === 'ForAllValues') return requestValues.every(satisfies);
+        if (setQualifier === 'ForAnyValue') return requestValues.some(satisfies);
+        return negated ? requestValues.every(satisfies) : requestValues.some(satisfies);
+    }
+
+    /**
+     * Positive matcher (requestValue, policyValue) => boolean for an operator,
+     * negated operators share the matcher of their positive form
+     */
+    static getOperatorMatcher(operator) {
+        const numeric = (compare) => (requestValue, policyValue) => {
+            const a = Number(requestValue);
+            const b = Number(policyValue);
+            return !isNaN(a) && !isNaN(b) && compare(a, b);
+        };
+        const date = (compare) => (requestValue, policyValue) => {
+            const a = PolicyEvaluator.parseDate(requestValue);
+            const b = PolicyEvaluator.parseDate(policyValue);
+            return a !== null && b !== null && compare(a, b);
+        };
+        const stringLike = (requestValue, policyValue) => PolicyEvaluator.wildcardToRegex(policyValue).test(requestValue);
+
+        const matchers = {
+            StringEquals: (requestValue, policyValue) => requestValue === policyValue,
+            StringNotEquals: (requestValue, policyValue) => requestValue === policyValue,
+            StringEqualsIgnoreCase: (requestValue, policyValue) => requestValue.toLowerCase() === policyValue.toLowerCase(),
+            StringNotEqualsIgnoreCase: (requestValue, policyValue) => requestValue.toLowerCase() === policyValue.toLowerCase(),
+            StringLike: stringLike,
+            StringNotLike: stringLike,
+            NumericEquals: numeric((a, b) => a === b),
+            NumericNotEquals: numeric((a, b) => a === b),
+            NumericLessThan: numeric((a, b) => a < b),
+            NumericLessThanEquals: numeric((a, b) => a <= b),
+            NumericGreaterThan: numeric((a, b) => a > b),
+            NumericGreaterThanEquals: numeric((a, b) => a >= b),
+            DateEquals: date((a, b) => a === b),
+            DateNotEquals: date((a, b) => a === b),
+            DateLessThan: date((a, b) => a < b),
+            DateLessThanEquals: date((a, b) => a <= b),
+            DateGreaterThan: date((a, b) => a > b),
+            DateGreaterThanEquals: date((a, b) => a >= b),
+            Bool: (requestValue, policyValue) => requestValue.toLowerCase() === policyValue.toLowerCase(),
+            BinaryEquals: (requestValue, policyValue) => requestValue === policyValue,
+            IpAddress: (requestValue, policyValue) => PolicyEvaluator.ipInCidr(requestValue, policyValue),
+            NotIpAddress: (requestValue, policyValue) => PolicyEvaluator.ipInCidr(requestValue, policyValue),
+            ArnEquals: stringLike,
+            ArnNotEquals: stringLike,
+            ArnLike: stringLike,
+            ArnNotLike: stringLike
+        };
+
+        return matchers[operator] || null;
+    }
+
+    /**
+     * Parse an ISO 8601 date or epoch seconds to milliseconds
+     */
+    static parseDate(value) {
+        if (/^\d+$/.test(value)) return Number(value) * 1000;
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Parse an IPv4 or IPv6 address to { bits, value } (value as BigInt), or null
+     */
+    static parseIp(address) {
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+            const octets = address.split('.').map(Number);
+            if (octets.some(octet => octet > 255)) return null;
+            return { bits: 32, value: octets.reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n) };
+        }
+
+        if (address.includes(':')) {
+            const [head, tail = null] = address.split('::');
+            const headGroups = head ? head.split(':') : [];
+            const tailGroups = tail ? tail.split(':') : [];
+            const missing = 8 - headGroups.length - tailGroups.length;
+            if (tail === null ? missing !== 0 : missing < 0) return null;
+
+            const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+            if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+            return { bits: 128, value: groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if an IP address is inside a CIDR block (a plain address is a /32 or /128)
+     */
+    static ipInCidr(address, cidr) {
+        const [network, prefix, ...extra] = cidr.split('/');
+        const ip = PolicyEvaluator.parseIp(address);
+        const net = PolicyEvaluator.parseIp(network);
+        if (!ip || !net || ip.bits !== net.bits || extra.length > 0) return false;
+
+        // Malformed prefixes (10.0.0.0/x, /33) match nothing
+        if (prefix !== undefined && !/^\d+$/.test(prefix)) return false;
+        const prefixLength = prefix === undefined ? net.bits : Number(prefix);
+        if (prefixLength > net.bits) return false;
+
+        const shift = BigInt(net.bits - prefixLength);
+        return (ip.value >> shift) === (net.value >> shift);
+    }
+}
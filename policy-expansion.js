@@ -1,14 +1,17 @@
 /**
  * Policy Expansion Module
- * Analyzes IAM policy wildcards and shows their real impact using official AWS data
+ * Analyzes IAM policy wildcards and shows their real impact using the bundled AWS action catalog
+ *
+ * The catalog (data/aws-action-catalog.json) is generated from the AWS Service Authorization
+ * Reference data (or the Policy Generator service map) by update-action-catalog.sh, so no
+ * third-party script runs in the app.
  */
 
-// Create global app object for AWS policies script compatibility
-window.app = window.app || {};
-
 class PolicyExpansion {
-    constructor() {
+    constructor(catalogUrl = 'data/aws-action-catalog.json') {
+        this.catalogUrl = catalogUrl;
         this.awsData = null;
+        this.catalogInfo = null;
         this.allActions = [];
         this.isInitialized = false;
     }
@@ -23,7 +26,7 @@ class PolicyExpansion {
             await this.loadAWSData();
             this.buildActionsIndex();
             this.isInitialized = true;
-            console.log(`✅ Policy Expansion initialized: ${Object.keys(this.awsData.serviceMap).length} services, ${this.allActions.length} actions`);
+            console.log(`✅ Policy Expansion initialized: catalog ${this.catalogInfo.version}, ${Object.keys(this.awsData.serviceMap).length} services, ${this.allActions.length} actions`);
         } catch (error) {
             console.error('❌ Failed to initialize Policy Expansion:', error);
             throw error;
@@ -31,34 +34,32 @@ class PolicyExpansion {
     }
 
     /**
-     * Load AWS IAM policies data from official source
+     * Load the bundled AWS action catalog
      */
     async loadAWSData() {
-        return new Promise((resolve, reject) => {
-            // Check if already loaded
-            if (window.app && window.app.PolicyEditorConfig) {
-                this.awsData = window.app.PolicyEditorConfig;
-                resolve();
-                return;
-            }
+        const response = await fetch(this.catalogUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load AWS action catalog (HTTP ${response.status})`);
+        }
 
-            // Load the AWS policies script
-            const script = document.createElement('script');
-            script.src = 'https://awspolicygen.s3.amazonaws.com/js/policies.js';
-            script.onload = () => {
-                if (window.app && window.app.PolicyEditorConfig) {
-                    this.awsData = window.app.PolicyEditorConfig;
-                    resolve();
-                } else {
-                    reject(new Error('AWS policies script loaded but data not available'));
-                }
-            };
-            script.onerror = () => {
-                reject(new Error('Failed to load AWS policies script'));
-            };
-
-            document.head.appendChild(script);
-        });
+        const catalog = await response.json();
+        if (!catalog || !catalog.serviceMap) {
+            throw new Error('AWS action catalog is missing serviceMap');
+        }
+
+        this.awsData = catalog;
+        this.catalogInfo = {
+            version: catalog.version || 'unknown',
+            generatedAt: catalog.generatedAt || null,
+            source: catalog.source || null
+        };
+    }
+
+    /**
+     * Get version information for the loaded action catalog
+     */
+    getCatalogInfo() {
+        return this.catalogInfo;
     }
 
     /**
@@ -85,6 +86,7 @@ class PolicyExpansion {
         const result = {
             isValid: true,
             errors: [],
+            catalog: this.catalogInfo,
             summary: {
                 totalStatements: 0,
                 totalPatterns: 0,
@@ -189,7 +191,7 @@ class PolicyExpansion {
     expandPattern(actionPattern) {
         const expansion = {
             originalPattern: actionPattern,
-            hasWildcard: actionPattern.includes('*'),
+            hasWildcard: PolicyExpansion.hasWildcard(actionPattern),
             expandedActions: [],
             expandedCount: 0,
             sampleActions: [],
@@ -200,9 +202,7 @@ class PolicyExpansion {
         let cleanPattern = expansion.isNotAction ? actionPattern.substring(4) : actionPattern;
 
         if (expansion.hasWildcard) {
-            // Convert wildcard to regex (same as Vue.js app)
-            const pattern = cleanPattern.replace(/\*/g, '.*');
-            const regex = new RegExp(`^${pattern}$`, 'i');
+            const regex = PolicyExpansion.actionPatternToRegex(cleanPattern);
 
             // Find all matching actions
             const matchedActions = this.allActions.filter(action => regex.test(action));
@@ -223,6 +223,140 @@ class PolicyExpansion {
         return expansion;
     }
 
+    /**
+     * Concrete actions a policy allows after wildcard expansion: Allow statements (NotAction
+     * grants every catalog action it does not match) minus unconditional Deny statements on
+     * all resources. Resource scoping and conditions of Allow statements are not considered
+     */
+    getAllowedActions(policyDocument) {
+        const allowed = new Set();
+        if (!policyDocument || !policyDocument.Statement) return allowed;
+
+        const statements = Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement];
+        const matching = (patterns) => {
+            const regexes = [].concat(patterns).map(pattern => PolicyExpansion.actionPatternToRegex(pattern));
+            const matched = this.allActions.filter(action => regexes.some(regex => regex.test(action)));
+            // Exact actions missing from the catalog are kept as written
+            const unknown = [].concat(patterns).filter(pattern =>
+                !PolicyExpansion.hasWildcard(pattern) && !matched.some(action => action.toLowerCase() === pattern.toLowerCase()));
+            return [...matched, ...unknown];
+        };
+        const statementActions = (statement) => {
+            if (!statement.NotAction) return matching(statement.Action || []);
+            const excluded = new Set(matching(statement.NotAction));
+            return this.allActions.filter(action => !excluded.has(action));
+        };
+
+        statements
+            .filter(statement => (statement.Effect || 'Allow') === 'Allow')
+            .forEach(statement => statementActions(statement).forEach(action => allowed.add(action)));
+
+        statements
+            .filter(statement => statement.Effect === 'Deny' && !statement.Condition && !statement.NotResource &&
+                [].concat(statement.Resource || []).includes('*'))
+            .forEach(statement => statementActions(statement).forEach(action => allowed.delete(action)));
+
+        return allowed;
+    }
+
+    /**
+     * Actions gained and lost between two policy documents: { gained, lost, oldCount, newCount }
+     */
+    compareAllowedActions(oldDocument, newDocument) {
+        const oldActions = this.getAllowedActions(oldDocument);
+        const newActions = this.getAllowedActions(newDocument);
+
+        return {
+            gained: [...newActions].filter(action => !oldActions.has(action)).sort(),
+            lost: [...oldActions].filter(action => !newActions.has(action)).sort(),
+            oldCount: oldActions.size,
+            newCount: newActions.size
+        };
+    }
+
+    /**
+     * Check whether an action pattern contains IAM wildcards (* or ?)
+     */
+    static hasWildcard(actionPattern) {
+        return /[*?]/.test(actionPattern);
+    }
+
+    /**
+     * Convert an IAM action pattern into a case-insensitive regex
+     * (* matches any sequence, ? matches a single character)
+     * Shared with the shadow admin analyzer so both match wildcards identically
+     */
+    static actionPatternToRegex(actionPattern) {
+        const escaped = actionPattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        const pattern = escaped.replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp(`^${pattern}$`, 'i');
+    }
+
+    /**
+     * Overlay Access Advisor data (AWSHandler.getServiceLastAccessed) on an expansion analysis:
+     * each expansion gets lastAccessed.services with the service's last use and, for services
+     * that track actions, which of the granted actions were used and which never were
+     */
+    static applyLastAccessed(analysisResult, lastAccessed) {
+        const servicesByNamespace = new Map(lastAccessed.services.map(service => [service.namespace.toLowerCase(), service]));
+        const usedServices = new Set();
+        const neverUsedServices = new Set();
+        const neverUsedActions = new Set();
+
+        analysisResult.statements.forEach(statement => {
+            statement.expansions.filter(expansion => !expansion.isNotAction).forEach(expansion => {
+                const services = new Map();
+
+                expansion.expandedActions.forEach(action => {
+                    const [prefix, actionName] = action.split(':');
+                    const service = servicesByNamespace.get(prefix.toLowerCase());
+
+                    if (!services.has(prefix)) {
+                        services.set(prefix, {
+                            namespace: prefix,
+                            reported: !!service,
+                            lastAuthenticated: service ? service.lastAuthenticated : null,
+                            usedActions: [],
+                            neverUsedActions: [],
+                            untrackedActions: 0
+                        });
+                    }
+                    const entry = services.get(prefix);
+
+                    if (!service || !service.actions || !actionName || !(actionName.toLowerCase() in service.actions)) {
+                        entry.untrackedActions++;
+                    } else if (service.actions[actionName.toLowerCase()]) {
+                        entry.usedActions.push({ action, lastAccessed: service.actions[actionName.toLowerCase()] });
+                    } else {
+                        entry.neverUsedActions.push(action);
+                        neverUsedActions.add(action);
+                    }
+                });
+
+                // Services not in the report are not granted by the analyzed entity
+                const reported = [...services.values()].filter(service => service.reported);
+                reported.forEach(service => {
+                    (service.lastAuthenticated ? usedServices : neverUsedServices).add(service.namespace);
+                });
+
+                expansion.lastAccessed = {
+                    services: reported.sort((a, b) => (b.lastAuthenticated || '').localeCompare(a.lastAuthenticated || '')),
+                    unreportedServices: services.size - reported.length
+                };
+            });
+        });
+
+        analysisResult.lastAccessed = {
+            entityArn: lastAccessed.entityArn,
+            completedAt: lastAccessed.completedAt,
+            usedServices: [...usedServices].sort(),
+            neverUsedServices: [...neverUsedServices].sort(),
+            neverUsedActions: neverUsedActions.size
+        };
+
+        return analysisResult;
+    }
+
     /**
      * Get service name from action string
      */
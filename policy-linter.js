@@ -0,0 +1,289 @@
+/**
+ * Policy Linter Module
+ * Checks IAM policy documents against the policy grammar: Version, allowed keys,
+ * Action/NotAction, Resource ARNs, condition operators, Sids and Principal usage.
+ * Actions are checked against the bundled action catalog when one is passed in.
+ *
+ * Usable without the UI:
+ *   PolicyLinter.lint(policyDocument, { policyType: 'identity', actions: policyExpansion.allActions })
+ * Every finding is { severity, code, statementIndex, field, message } where
+ * statementIndex is -1 for document-level findings.
+ */
+
+class PolicyLinter {
+    /**
+     * Policy language versions accepted by IAM
+     */
+    static get VERSIONS() {
+        return ['2012-10-17', '2008-10-17'];
+    }
+
+    /**
+     * Keys allowed at the top level of a policy document
+     */
+    static get DOCUMENT_KEYS() {
+        return ['Version', 'Id', 'Statement'];
+    }
+
+    /**
+     * Keys allowed in a statement
+     */
+    static get STATEMENT_KEYS() {
+        return ['Sid', 'Effect', 'Principal', 'NotPrincipal', 'Action', 'NotAction', 'Resource', 'NotResource', 'Condition'];
+    }
+
+    /**
+     * Lint a policy document
+     * options.policyType: 'identity' (default), 'trust' or 'resource'
+     * options.actions: catalog actions ("service:Action"), skips the action checks when empty
+     * Returns { valid, findings, errorCount, warningCount }
+     */
+    static lint(policyDocument, options = {}) {
+        const policyType = options.policyType || 'identity';
+        const catalog = PolicyLinter.buildCatalogIndex(options.actions || []);
+        const findings = [];
+
+        const report = (severity, code, statementIndex, field, message) => {
+            findings.push({ severity, code, statementIndex, field, message });
+        };
+
+        if (!policyDocument || typeof policyDocument !== 'object' || Array.isArray(policyDocument)) {
+            report('error', 'INVALID_DOCUMENT', -1, null, 'Policy document must be a JSON object');
+            return PolicyLinter.toResult(findings);
+        }
+
+        PolicyLinter.lintDocument(policyDocument, report);
+
+        const statements = policyDocument.Statement === undefined ? [] :
+            Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement];
+        const sids = new Map();
+
+        statements.forEach((statement, index) => {
+            if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+                report('error', 'INVALID_STATEMENT', index, null, 'Statement must be a JSON object');
+                return;
+            }
+
+            if (statement.Sid !== undefined) {
+                if (sids.has(statement.Sid)) {
+                    report('error', 'DUPLICATE_SID', index, 'Sid', `Sid "${statement.Sid}" is already used by statement ${sids.get(statement.Sid) + 1}`);
+                } else {
+                    sids.set(statement.Sid, index);
+                }
+            }
+
+            PolicyLinter.lintStatement(statement, index, policyType, catalog, report);
+        });
+
+        return PolicyLinter.toResult(findings);
+    }
+
+    /**
+     * Document-level checks: Version, top-level keys and the Statement element
+     */
+    static lintDocument(policyDocument, report) {
+        Object.keys(policyDocument)
+            .filter(key => !PolicyLinter.DOCUMENT_KEYS.includes(key))
+            .forEach(key => report('error', 'UNKNOWN_KEY', -1, key, `Unknown top-level key "${key}"`));
+
+        if (policyDocument.Version === undefined) {
+            report('warning', 'MISSING_VERSION', -1, 'Version', 'Version is missing, IAM falls back to 2008-10-17 which disables policy variables');
+        } else if (!PolicyLinter.VERSIONS.includes(policyDocument.Version)) {
+            report('error', 'INVALID_VERSION', -1, 'Version', `Version must be one of ${PolicyLinter.VERSIONS.join(', ')}`);
+        } else if (policyDocument.Version !== '2012-10-17') {
+            report('warning', 'OLD_VERSION', -1, 'Version', 'Version 2008-10-17 does not support policy variables, use 2012-10-17');
+        }
+
+        const statement = policyDocument.Statement;
+        if (statement === undefined) {
+            report('error', 'MISSING_STATEMENT', -1, 'Statement', 'Policy has no Statement');
+        } else if (Array.isArray(statement) && statement.length === 0) {
+            report('error', 'MISSING_STATEMENT', -1, 'Statement', 'Statement array is empty');
+        }
+    }
+
+    /**
+     * Statement-level checks
+     */
+    static lintStatement(statement, index, policyType, catalog, report) {
+        Object.keys(statement)
+            .filter(key => !PolicyLinter.STATEMENT_KEYS.includes(key))
+            .forEach(key => report('error', 'UNKNOWN_KEY', index, key, `Unknown statement key "${key}"`));
+
+        if (statement.Sid !== undefined && (typeof statement.Sid !== 'string' || !/^[A-Za-z0-9]*$/.test(statement.Sid))) {
+            report('warning', 'INVALID_SID', index, 'Sid', 'Sid should only contain letters and digits (required for identity policies)');
+        }
+
+        if (!['Allow', 'Deny'].includes(statement.Effect)) {
+            report('error', 'INVALID_EFFECT', index, 'Effect', statement.Effect === undefined ?
+                'Effect is missing' : `Effect must be "Allow" or "Deny", not "${statement.Effect}"`);
+        }
+
+        // Action / NotAction
+        if (statement.Action !== undefined && statement.NotAction !== undefined) {
+            report('error', 'ACTION_AND_NOTACTION', index, 'NotAction', 'Action and NotAction cannot be used in the same statement');
+        } else if (statement.Action === undefined && statement.NotAction === undefined) {
+            report('error', 'MISSING_ACTION', index, 'Action', 'Statement needs an Action or NotAction');
+        }
+        ['Action', 'NotAction'].filter(field => statement[field] !== undefined).forEach(field => {
+            PolicyLinter.lintActions(statement[field], index, field, catalog, report);
+        });
+
+        // Resource / NotResource
+        if (statement.Resource !== undefined && statement.NotResource !== undefined) {
+            report('error', 'RESOURCE_AND_NOTRESOURCE', index, 'NotResource', 'Resource and NotResource cannot be used in the same statement');
+        } else if (statement.Resource === undefined && statement.NotResource === undefined && policyType === 'identity') {
+            report('error', 'MISSING_RESOURCE', index, 'Resource', 'Identity policy statements need a Resource or NotResource');
+        }
+        ['Resource', 'NotResource'].filter(field => statement[field] !== undefined).forEach(field => {
+            PolicyLinter.toValueList(statement[field], index, field, report).forEach(resource => {
+                const problem = PolicyLinter.checkArn(resource);
+                if (problem) report('error', 'MALFORMED_ARN', index, field, `${resource}: ${problem}`);
+            });
+        });
+
+        // Principal / NotPrincipal
+        const principalField = statement.Principal !== undefined ? 'Principal' : statement.NotPrincipal !== undefined ? 'NotPrincipal' : null;
+        if (policyType === 'identity' && principalField) {
+            report('error', 'PRINCIPAL_IN_IDENTITY_POLICY', index, principalField, `${principalField} is not allowed in identity policies, the principal is whoever the policy is attached to`);
+        } else if (policyType !== 'identity' && !principalField) {
+            report('error', 'MISSING_PRINCIPAL', index, 'Principal', `${policyType === 'trust' ? 'Trust' : 'Resource'} policy statements need a Principal or NotPrincipal`);
+        }
+        if (statement.Principal !== undefined && statement.NotPrincipal !== undefined) {
+            report('error', 'PRINCIPAL_AND_NOTPRINCIPAL', index, 'NotPrincipal', 'Principal and NotPrincipal cannot be used in the same statement');
+        }
+
+        if (statement.Condition !== undefined) {
+            PolicyLinter.lintCondition(statement.Condition, index, report);
+        }
+    }
+
+    /**
+     * Check action patterns for syntax and against the catalog
+     */
+    static lintActions(value, index, field, catalog, report) {
+        PolicyLinter.toValueList(value, index, field, report).forEach(action => {
+            if (action === '*') return;
+
+            const match = action.match(/^([A-Za-z0-9-]+):([A-Za-z0-9*?]+)$/);
+            if (!match) {
+                report('error', 'INVALID_ACTION', index, field, `${action} is not a valid action (expected service:Action)`);
+                return;
+            }
+            if (catalog.size === 0) return;
+
+            const serviceActions = catalog.get(match[1].toLowerCase());
+            if (!serviceActions) {
+                report('warning', 'UNKNOWN_SERVICE', index, field, `${action}: service prefix "${match[1]}" is not in the action catalog (a service newer than the catalog or a typo)`);
+                return;
+            }
+
+            const known = PolicyExpansion.hasWildcard(action) ?
+                serviceActions.some(name => PolicyExpansion.actionPatternToRegex(match[2]).test(name)) :
+                serviceActions.some(name => name.toLowerCase() === match[2].toLowerCase());
+            if (!known) {
+                report('warning', 'UNKNOWN_ACTION', index, field, PolicyExpansion.hasWildcard(action) ?
+                    `${action} does not match any ${match[1]} action in the catalog` :
+                    `${action} is not a known ${match[1]} action`);
+            }
+        });
+    }
+
+    /**
+     * Check a Condition block: operators must be known and map to key/value objects
+     */
+    static lintCondition(condition, index, report) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            report('error', 'INVALID_CONDITION', index, 'Condition', 'Condition must be an object of operators');
+            return;
+        }
+
+        Object.entries(condition).forEach(([operator, keys]) => {
+            if (!PolicyLinter.isValidOperator(operator)) {
+                report('error', 'INVALID_OPERATOR', index, 'Condition', `Unknown condition operator "${operator}"`);
+            }
+            if (!keys || typeof keys !== 'object' || Array.isArray(keys) || Object.keys(keys).length === 0) {
+                report('error', 'INVALID_CONDITION', index, 'Condition', `${operator} must map condition keys to values`);
+            }
+        });
+    }
+
+    /**
+     * Check a condition operator, including IfExists and ForAnyValue/ForAllValues qualifiers
+     */
+    static isValidOperator(fullOperator) {
+        let operator = fullOperator.replace(/^(ForAnyValue|ForAllValues):/, '');
+        if (operator === 'Null') return true;
+        if (operator.endsWith('IfExists')) {
+            operator = operator.slice(0, -'IfExists'.length);
+        }
+        return PolicyEvaluator.getOperatorMatcher(operator) !== null;
+    }
+
+    /**
+     * Describe what is wrong with a resource ARN, or null if it is well formed
+     */
+    static checkArn(resource) {
+        if (resource === '*') return null;
+        if (!resource.startsWith('arn:')) return 'resources must be "*" or an ARN starting with arn:';
+
+        // Policy variables such as ${aws:username} may contain colons
+        const parts = resource.replace(/\$\{[^}]*\}/g, 'VAR').split(':');
+        if (parts.length < 6) return 'an ARN needs arn:partition:service:region:account:resource';
+
+        const [, partition, service, region, account] = parts;
+        const resourcePart = parts.slice(5).join(':');
+        if (!/^(aws(-[a-z]+)*|[*?]+|VAR)$/.test(partition)) return `unknown partition "${partition}"`;
+        if (!/^([a-z0-9-]+|[*?]+|VAR)$/.test(service)) return 'service is missing or invalid';
+        if (!/^([a-z0-9-*?]*|VAR)$/.test(region)) return `invalid region "${region}"`;
+        if (!/^(\d{12}|aws|\d*[*?][\d*?]*|VAR)?$/.test(account)) return `account "${account}" must be a 12-digit account id`;
+        if (!resourcePart) return 'resource part is missing';
+
+        return null;
+    }
+
+    /**
+     * Read a string-or-array element, reporting values that are not strings
+     */
+    static toValueList(value, index, field, report) {
+        const values = [].concat(value);
+        if (values.length === 0) {
+            report('error', 'EMPTY_ELEMENT', index, field, `${field} is empty`);
+        }
+        values.filter(item => typeof item !== 'string').forEach(item => {
+            report('error', 'INVALID_VALUE', index, field, `${field} values must be strings, found ${JSON.stringify(item)}`);
+        });
+        return values.filter(item => typeof item === 'string');
+    }
+
+    /**
+     * Index catalog actions by lowercased service prefix
+     */
+    static buildCatalogIndex(actions) {
+        const catalog = new Map();
+        actions.forEach(action => {
+            const [prefix, name] = action.split(':');
+            const key = prefix.toLowerCase();
+            if (!catalog.has(key)) catalog.set(key, []);
+            catalog.get(key).push(name);
+        });
+        return catalog;
+    }
+
+    /**
+     * Summarize findings (errors first, then by statement)
+     */
+    static toResult(findings) {
+        const sorted = [...findings].sort((a, b) =>
+            (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) || a.statementIndex - b.statementIndex
+        );
+        const errorCount = findings.filter(finding => finding.severity === 'error').length;
+
+        return {
+            valid: errorCount === 0,
+            findings: sorted,
+            errorCount,
+            warningCount: findings.length - errorCount
+        };
+    }
+}
@@ -0,0 +1,390 @@
+/**
+ * Policy Remediation Module
+ * Rewrites a policy document so the findings of analyzePolicyForShadowAdmin go away,
+ * producing a patched document instead of advice:
+ * - Allow "*" and Allow + NotAction statements are split into one wildcard per service,
+ *   only for the services the principal used when CloudTrail or Access Advisor usage is given
+ * - exact grants of a finding's permission are removed from their statement
+ * - wildcards covering a finding's permission are split by verb (iam:* becomes iam:Get*,
+ *   iam:List*, ... with only the verbs holding removed permissions spelled out), and are
+ *   answered with an explicit Deny statement when the catalog cannot split them
+ * - iam:PassRole escalations get a Deny on iam:PassedToService for the abused services
+ *
+ * Findings need all their permissions, so removing one breaks them; the permissions removed
+ * are picked to break the most findings with exact grants preferred. The patched document is
+ * analyzed again (up to MAX_PASSES times) and the result lists what remains. A document over
+ * IAM's size limit is refused. Findings already mitigated by conditions are left alone.
+ */
+
+class PolicyRemediation {
+    /**
+     * Sids of the statements added by the rewrite
+     */
+    static get DENY_SID() {
+        return 'DenyHighRiskActions';
+    }
+
+    static get PASS_ROLE_DENY_SID() {
+        return 'DenyPassRoleToEscalationServices';
+    }
+
+    /**
+     * IAM limit for managed policy documents (characters, whitespace not counted)
+     */
+    static get MAX_POLICY_SIZE() {
+        return 6144;
+    }
+
+    /**
+     * Analyze and patch at most this many times
+     */
+    static get MAX_PASSES() {
+        return 3;
+    }
+
+    /**
+     * Issue types that flag a statement as a whole rather than a finding's permissions
+     */
+    static get BROAD_GRANT_ISSUES() {
+        return ['FULL_ADMIN', 'NOT_ACTION_ALLOW'];
+    }
+
+    /**
+     * Build a patched policy document
+     * catalogActions: "service:Action" list used to split wildcards (without it they are denied instead)
+     * usage: { source, services: [prefix] } the principal used, to narrow "*" and NotAction to
+     * Returns { success, data: { document, changes: [{ finding, statementIndex, description }],
+     *   analysis, remaining: [names], size, warnings } } where statementIndex points into the
+     * original document (-1 for added statements) and analysis is the patched document's
+     */
+    static remediate(policyDocument, catalogActions = [], usage = null) {
+        if (!policyDocument || !policyDocument.Statement) {
+            return {
+                success: false,
+                error: 'Policy has no statements to remediate'
+            };
+        }
+
+        const entries = (Array.isArray(policyDocument.Statement) ? policyDocument.Statement : [policyDocument.Statement])
+            .map((statement, origin) => ({ statement: JSON.parse(JSON.stringify(statement)), origin }));
+        const context = {
+            catalogActions,
+            usage,
+            actionNames: new Map(catalogActions.map(action => [action.toLowerCase(), action])),
+            changes: [],
+            removed: new Set(),
+            denied: new Set(),
+            passRoleServices: new Set(),
+            splitBroadGrants: false
+        };
+        const buildDocument = () => PolicyRemediation.buildDocument(policyDocument, entries, context);
+
+        const initial = analyzePolicyForShadowAdmin(policyDocument);
+        PolicyRemediation.splitBroadGrants(entries, initial, context);
+
+        let analysis = analyzePolicyForShadowAdmin(buildDocument());
+        for (let pass = 0; pass < PolicyRemediation.MAX_PASSES; pass++) {
+            const findings = PolicyRemediation.getOpenFindings(analysis);
+            if (findings.length === 0) break;
+
+            const passRoleFindings = findings.filter(finding =>
+                finding.passRoleService && finding.permissions.includes('iam:passrole') &&
+                !context.passRoleServices.has(finding.passRoleService));
+            passRoleFindings.forEach(finding => {
+                context.passRoleServices.add(finding.passRoleService);
+                context.changes.push({
+                    finding: finding.method,
+                    statementIndex: -1,
+                    description: `Deny iam:PassRole when iam:PassedToService is ${finding.passRoleService}`
+                });
+            });
+
+            const removals = PolicyRemediation.chooseRemovals(findings.filter(finding => !passRoleFindings.includes(finding)));
+            removals.forEach(removal => context.removed.add(removal.permission));
+            removals.forEach(removal => PolicyRemediation.removePermission(entries, removal, context));
+
+            if (passRoleFindings.length === 0 && removals.length === 0) break;
+            analysis = analyzePolicyForShadowAdmin(buildDocument());
+        }
+
+        const document = buildDocument();
+        const remaining = [
+            ...analysis.issues.filter(issue => PolicyRemediation.BROAD_GRANT_ISSUES.includes(issue.type)).map(issue => issue.title),
+            ...PolicyRemediation.getOpenFindings(analysis).map(finding => finding.method)
+        ];
+        const size = JSON.stringify(document).length;
+
+        if (size > PolicyRemediation.MAX_POLICY_SIZE) {
+            return {
+                success: false,
+                error: `The hardened policy would be ${size} characters, over the IAM limit of ${PolicyRemediation.MAX_POLICY_SIZE} for managed policies` +
+                    (context.splitBroadGrants && !usage ? '. Load CloudTrail logs or Access Advisor data so broad grants are narrowed to the services used' : '')
+            };
+        }
+
+        const warnings = [];
+        if (remaining.length > 0) {
+            warnings.push(`${remaining.length} finding(s) remain after the rewrite: ${remaining.join(', ')}`);
+        }
+
+        return {
+            success: true,
+            data: {
+                document,
+                changes: context.changes,
+                analysis,
+                remaining,
+                size,
+                warnings
+            }
+        };
+    }
+
+    /**
+     * Findings not mitigated by conditions
+     */
+    static getOpenFindings(analysis) {
+        return [...(analysis.detectedMethods || []), ...(analysis.impactFindings || [])]
+            .filter(finding => finding.mitigation !== 'mitigated');
+    }
+
+    /**
+     * Split Allow "*" and Allow + NotAction statements into one wildcard per catalog service,
+     * or per service used when usage is given (services a NotAction excludes in part are left
+     * out rather than denied)
+     */
+    static splitBroadGrants(entries, analysis, context) {
+        if (context.catalogActions.length === 0) return;
+
+        const flagged = new Map(analysis.issues
+            .filter(issue => PolicyRemediation.BROAD_GRANT_ISSUES.includes(issue.type))
+            .map(issue => [issue.statementIndex, issue.title]));
+        const usedServices = context.usage && new Set(context.usage.services.map(service => service.toLowerCase()));
+        const services = [...new Set(context.catalogActions.map(action => action.split(':')[0]))]
+            .filter(service => !usedServices || usedServices.has(service.toLowerCase()))
+            .sort();
+        const scope = context.usage ? ` (the services used according to ${context.usage.source})` : '';
+
+        entries.forEach(entry => {
+            const { statement, origin } = entry;
+            if (!flagged.has(origin) || (statement.Effect || 'Allow') !== 'Allow') return;
+
+            if (statement.NotAction) {
+                const excluded = [].concat(statement.NotAction).map(pattern => PolicyExpansion.actionPatternToRegex(pattern));
+                const partial = [];
+                const kept = services.filter(service => {
+                    const serviceActions = context.catalogActions.filter(action => action.startsWith(`${service}:`));
+                    const excludedCount = serviceActions.filter(action => excluded.some(regex => regex.test(action))).length;
+                    if (excludedCount > 0 && excludedCount < serviceActions.length) partial.push(service);
+                    return excludedCount === 0;
+                });
+
+                const { NotAction, ...rest } = statement;
+                context.splitBroadGrants = true;
+                entry.statement = { ...rest, Action: kept.map(service => `${service}:*`) };
+                context.changes.push({
+                    finding: flagged.get(origin),
+                    statementIndex: origin,
+                    description: `Replace NotAction with ${kept.length} service wildcards${scope}` +
+                        (partial.length > 0 ? ` (${partial.join(', ')} left out because NotAction excluded part of them, add the actions needed back)` : '')
+                });
+                return;
+            }
+
+            const actions = [].concat(statement.Action || []);
+            if (!actions.includes('*')) return;
+
+            statement.Action = [...new Set([...actions.filter(action => action !== '*'), ...services.map(service => `${service}:*`)])];
+            context.splitBroadGrants = true;
+            context.changes.push({
+                finding: flagged.get(origin),
+                statementIndex: origin,
+                description: `Split "*" into ${services.length} service wildcards${scope}`
+            });
+        });
+    }
+
+    /**
+     * Pick permissions to remove so every finding loses one: the permission shared by the
+     * most findings first, then permissions granted only by exact actions (nothing else is lost)
+     * Returns [{ permission, findings }]
+     */
+    static chooseRemovals(findings) {
+        const removals = [];
+        let open = [...findings];
+
+        const grantedExactly = (permission) => open.every(finding =>
+            !finding.grantedBy || !finding.grantedBy[permission] ||
+            finding.grantedBy[permission].every(pattern => !PolicyExpansion.hasWildcard(pattern)));
+
+        while (open.length > 0) {
+            const counts = new Map();
+            open.forEach(finding => finding.permissions.forEach(permission => {
+                counts.set(permission, (counts.get(permission) || 0) + 1);
+            }));
+
+            const [permission] = [...counts.keys()].sort((a, b) =>
+                counts.get(b) - counts.get(a) || Number(grantedExactly(b)) - Number(grantedExactly(a)));
+            removals.push({ permission, findings: open.filter(finding => finding.permissions.includes(permission)) });
+            open = open.filter(finding => !finding.permissions.includes(permission));
+        }
+
+        return removals;
+    }
+
+    /**
+     * Remove a permission from every Allow statement that grants it
+     */
+    static removePermission(entries, removal, context) {
+        const { permission } = removal;
+        const name = context.actionNames.get(permission) || permission;
+        const finding = removal.findings.map(f => f.method).join(', ');
+
+        entries.forEach(entry => {
+            const { statement, origin } = entry;
+            if ((statement.Effect || 'Allow') !== 'Allow') return;
+
+            // Only left when there is no catalog to split it with
+            if (statement.NotAction) {
+                const notActions = [].concat(statement.NotAction);
+                if (!notActions.some(pattern => PolicyExpansion.actionPatternToRegex(pattern).test(permission))) {
+                    statement.NotAction = [...notActions, name];
+                    context.changes.push({ finding, statementIndex: origin, description: `Add ${name} to NotAction` });
+                }
+                return;
+            }
+
+            const actions = [].concat(statement.Action || []);
+            const patterns = actions.filter(pattern => PolicyExpansion.actionPatternToRegex(pattern).test(permission));
+            if (patterns.length === 0) return;
+
+            let remaining = actions.filter(pattern => !patterns.includes(pattern));
+            patterns.forEach(pattern => {
+                if (!PolicyExpansion.hasWildcard(pattern)) {
+                    context.changes.push({ finding, statementIndex: origin, description: `Remove ${pattern}` });
+                    return;
+                }
+
+                const split = PolicyRemediation.splitWildcard(pattern, context.removed, context.catalogActions);
+                if (!split) {
+                    // Nothing in the catalog to split it with: keep the grant and deny the permission
+                    remaining.push(pattern);
+                    context.denied.add(name);
+                    context.changes.push({
+                        finding,
+                        statementIndex: origin,
+                        description: `Explicitly deny ${name} (granted by ${pattern})`
+                    });
+                    return;
+                }
+
+                remaining = [...remaining, ...split];
+                context.changes.push({
+                    finding,
+                    statementIndex: origin,
+                    description: `Split ${pattern} into ${split.length} patterns without ${name}`
+                });
+            });
+
+            statement.Action = [...new Set(remaining)];
+        });
+    }
+
+    /**
+     * Split a wildcard into patterns that leave out the removed permissions: verbs without
+     * removed permissions stay wildcards (iam:Get*), the others are split one CamelCase word
+     * further (ec2:DeleteVpc*) down to exact actions.
+     * Returns null when the pattern matches no catalog action or is "*"
+     */
+    static splitWildcard(pattern, removed, catalogActions) {
+        if (pattern === '*') return null;
+
+        const regex = PolicyExpansion.actionPatternToRegex(pattern);
+        const matched = catalogActions.filter(action => regex.test(action));
+        if (matched.length === 0) return null;
+
+        const matchedSet = new Set(matched);
+        return [...PolicyRemediation.groupByNextWord(matched, '').entries()].flatMap(([service, serviceActions]) =>
+            PolicyRemediation.coverGroup(service, serviceActions, removed, catalogActions, matchedSet));
+    }
+
+    /**
+     * Patterns granting the kept actions of a group sharing a name prefix: the prefix wildcard
+     * when it reaches only kept actions of the original pattern, otherwise its subgroups
+     */
+    static coverGroup(prefix, groupActions, removed, catalogActions, matchedSet) {
+        const kept = groupActions.filter(action => !removed.has(action.toLowerCase()));
+        if (kept.length <= 1 && kept.length === groupActions.length) return kept;
+        if (kept.length === 0) return [];
+
+        if (kept.length === groupActions.length) {
+            // The wildcard must not reach actions outside the original pattern
+            const prefixRegex = PolicyExpansion.actionPatternToRegex(`${prefix}*`);
+            const reach = catalogActions.filter(action => prefixRegex.test(action));
+            if (reach.every(action => matchedSet.has(action) && !removed.has(action.toLowerCase()))) {
+                return [`${prefix}*`];
+            }
+        }
+
+        return [...PolicyRemediation.groupByNextWord(groupActions, prefix).entries()].flatMap(([subPrefix, subActions]) =>
+            subPrefix === prefix || subActions.length === 1 ?
+                subActions.filter(action => !removed.has(action.toLowerCase())) :
+                PolicyRemediation.coverGroup(subPrefix, subActions, removed, catalogActions, matchedSet));
+    }
+
+    /**
+     * Group actions by their prefix one word longer ("" groups by service, "ec2:" by verb)
+     */
+    static groupByNextWord(actions, prefix) {
+        const groups = new Map();
+        actions.forEach(action => {
+            let key;
+            if (!prefix) {
+                key = `${action.split(':')[0]}:`;
+            } else {
+                const rest = action.substring(prefix.length);
+                key = prefix + ((rest.match(/^[A-Z]?[a-z0-9]*/) || [''])[0] || rest.charAt(0));
+            }
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(action);
+        });
+        return groups;
+    }
+
+    /**
+     * Patched document: statements left without actions are dropped, single actions are
+     * collapsed to a string and the Deny statements are appended
+     */
+    static buildDocument(policyDocument, entries, context) {
+        const statements = entries
+            .map(entry => ({ ...entry.statement }))
+            .filter(statement => !statement.Action || [].concat(statement.Action).length > 0);
+        statements.forEach(statement => {
+            if (Array.isArray(statement.Action) && statement.Action.length === 1) statement.Action = statement.Action[0];
+        });
+
+        if (context.denied.size > 0) {
+            statements.push({
+                Sid: PolicyRemediation.DENY_SID,
+                Effect: 'Deny',
+                Action: [...context.denied].sort(),
+                Resource: '*'
+            });
+        }
+        if (context.passRoleServices.size > 0) {
+            statements.push({
+                Sid: PolicyRemediation.PASS_ROLE_DENY_SID,
+                Effect: 'Deny',
+                Action: 'iam:PassRole',
+                Resource: '*',
+                Condition: {
+                    StringEquals: {
+                        'iam:PassedToService': [...context.passRoleServices].sort()
+                    }
+                }
+            });
+        }
+
+        return { ...policyDocument, Statement: statements };
+    }
+}
@@ -28,15 +28,18 @@ class PolicyVisualizer {
         const item = document.createElement('div');
         item.className = 'policy-item';
         
-        // Handle inline policies differently
-        if (policy.isInline) {
-            item.dataset.policyArn = `inline:${policy.userName}/${policy.PolicyName}`;
+        // Handle inline and trust policies differently
+        if (policy.isInline || policy.isTrustPolicy) {
+            item.dataset.policyArn = this.getInlinePolicyId(policy);
         } else {
             item.dataset.policyArn = policy.Arn;
         }
 
         let badgeClass, badgeText;
-        if (policy.isInline) {
+        if (policy.isTrustPolicy) {
+            badgeClass = 'badge-trust';
+            badgeText = 'Trust Policy';
+        } else if (policy.isInline) {
             badgeClass = 'badge-inline';
             badgeText = 'Inline Policy';
         } else if (policy.Arn && policy.Arn.includes(':aws:policy/')) {
@@ -47,13 +50,24 @@ class PolicyVisualizer {
             badgeText = 'Customer Managed';
         }
 
-        // Add attached badge if policy is attached to user
-        const attachedBadge = policy.isAttachedToUser ? 
+        // Add attached badge if policy is attached to the current user or role
+        const attachedBadge = policy.isAttachedToUser || policy.isAttachedToRole ? 
             '<div class="policy-badge badge-attached">Attached</div>' : '';
 
-        const arnDisplay = policy.isInline ? 
-            `Inline on user: ${policy.userName}` : 
-            this.escapeHtml(policy.Arn || 'Unknown ARN');
+        let arnDisplay;
+        if (policy.isTrustPolicy) {
+            arnDisplay = `Trust policy of role: ${this.escapeHtml(policy.roleArn || policy.roleName)}`;
+        } else if (policy.isInline) {
+            if (policy.roleName) {
+                arnDisplay = `Inline on role: ${this.escapeHtml(policy.roleName)}`;
+            } else if (policy.groupName) {
+                arnDisplay = `Inline on group: ${this.escapeHtml(policy.groupName)}`;
+            } else {
+                arnDisplay = `Inline on user: ${this.escapeHtml(policy.userName)}`;
+            }
+        } else {
+            arnDisplay = this.escapeHtml(policy.Arn || 'Unknown ARN');
+        }
 
         item.innerHTML = `
             <div class="policy-item-header">
@@ -70,10 +84,27 @@ class PolicyVisualizer {
         return item;
     }
 
+    /**
+     * Identifier for policies that have no ARN of their own (inline and trust policies)
+     */
+    static getInlinePolicyId(policy) {
+        if (policy.isTrustPolicy) {
+            return `trust:role/${policy.roleName}`;
+        }
+        if (policy.roleName) {
+            return `inline:role/${policy.roleName}/${policy.PolicyName}`;
+        }
+        if (policy.groupName) {
+            return `inline:group/${policy.groupName}/${policy.PolicyName}`;
+        }
+        return `inline:${policy.userName}/${policy.PolicyName}`;
+    }
+
     /**
      * Render policy details in visual format
+     * statementSources optionally labels each statement with the policy it came from
      */
-    static renderPolicyVisual(policyDocument, containerElement) {
+    static renderPolicyVisual(policyDocument, containerElement, statementSources = null) {
         containerElement.innerHTML = '';
 
         if (!policyDocument || !policyDocument.Statement) {
@@ -89,7 +120,7 @@ class PolicyVisualizer {
             : [policyDocument.Statement];
 
         statements.forEach((statement, index) => {
-            const statementCard = this.createStatementCard(statement, index);
+            const statementCard = this.createStatementCard(statement, index, statementSources ? statementSources[index] : null);
             statementList.appendChild(statementCard);
         });
 
@@ -99,7 +130,7 @@ class PolicyVisualizer {
     /**
      * Create a visual card for a policy statement
      */
-    static createStatementCard(statement, index) {
+    static createStatementCard(statement, index, source = null) {
         const card = document.createElement('div');
         const effect = statement.Effect || 'Allow';
         card.className = `statement-card ${effect.toLowerCase()}`;
@@ -111,6 +142,16 @@ class PolicyVisualizer {
             </div>
         `;
 
+        // Source policy (effective permissions view)
+        if (source) {
+            html += `
+                <div class="statement-section">
+                    <div class="statement-section-title">Source Policy:</div>
+                    <div class="statement-section-content">${this.escapeHtml(source)}</div>
+                </div>
+            `;
+        }
+
         // Sid (Statement ID)
         if (statement.Sid) {
             html += `
@@ -193,13 +234,13 @@ class PolicyVisualizer {
             `;
         }
 
-        // Principal (for resource-based policies, not common in IAM policies)
-        if (statement.Principal) {
+        // Principal (trust policies and resource-based policies)
+        if (statement.Principal || statement.NotPrincipal) {
             html += `
                 <div class="statement-section">
-                    <div class="statement-section-title">Principal:</div>
+                    <div class="statement-section-title">${statement.NotPrincipal ? 'NotPrincipal' : 'Principal'}:</div>
                     <div class="statement-section-content">
-                        <pre>${JSON.stringify(statement.Principal, null, 2)}</pre>
+                        ${this.renderPrincipals(statement.NotPrincipal || statement.Principal)}
                     </div>
                 </div>
             `;
@@ -230,6 +271,28 @@ class PolicyVisualizer {
         return html;
     }
 
+    /**
+     * Render a Principal element grouped by principal type
+     */
+    static renderPrincipals(principal) {
+        if (principal === '*') {
+            return '<ul><li><strong>Everyone</strong> (*)</li></ul>';
+        }
+
+        const typeLabels = {
+            AWS: 'AWS',
+            Service: 'Service',
+            Federated: 'Federated',
+            CanonicalUser: 'Canonical User'
+        };
+
+        const rows = Object.entries(principal).flatMap(([type, values]) =>
+            [].concat(values).map(value => `<li><strong>${this.escapeHtml(typeLabels[type] || type)}:</strong> ${this.escapeHtml(value)}</li>`)
+        );
+
+        return `<ul>${rows.join('')}</ul>`;
+    }
+
     /**
      * Render policy in JSON format
      */
@@ -245,7 +308,7 @@ class PolicyVisualizer {
     /**
      * Render policy versions list
      */
-    static renderVersionsList(versions, defaultVersionId, containerElement, onSetDefault) {
+    static renderVersionsList(versions, defaultVersionId, containerElement, onSetDefault, onDelete = null) {
         containerElement.innerHTML = '';
 
         if (!versions || versions.length === 0) {
@@ -254,7 +317,7 @@ class PolicyVisualizer {
         }
 
         versions.forEach(version => {
-            const versionItem = this.createVersionItem(version, defaultVersionId, onSetDefault);
+            const versionItem = this.createVersionItem(version, defaultVersionId, onSetDefault, onDelete);
             containerElement.appendChild(versionItem);
         });
     }
@@ -262,7 +325,7 @@ class PolicyVisualizer {
     /**
      * Create a version list item
      */
-    static createVersionItem(version, defaultVersionId, onSetDefault) {
+    static createVersionItem(version, defaultVersionId, onSetDefault, onDelete = null) {
         const item = document.createElement('div');
         const isDefault = version.VersionId === defaultVersionId;
         item.className = `version-item ${isDefault ? 'default' : ''}`;
@@ -270,17 +333,23 @@ class PolicyVisualizer {
 
         const createDate = new Date(version.CreateDate).toLocaleString();
 
+        // Version IDs can come from an imported file, so they are set through the DOM
         item.innerHTML = `
-            <input type="checkbox" class="version-checkbox" data-version-id="${version.VersionId}">
+            <input type="checkbox" class="version-checkbox">
             <div class="version-info">
-                <span class="version-id">${version.VersionId}</span>
+                <span class="version-id"></span>
                 ${isDefault ? '<span class="version-default-badge">Default</span>' : ''}
-                <span class="version-date">${createDate}</span>
+                <span class="version-date">${this.escapeHtml(createDate)}</span>
             </div>
             <div class="version-actions">
-                ${!isDefault ? `<button class="btn btn-warning set-default-btn" data-version-id="${version.VersionId}">Set as Default</button>` : ''}
+                ${!isDefault && onSetDefault ? '<button class="btn btn-warning set-default-btn">Set as Default</button>' : ''}
+                ${!isDefault && onDelete ? '<button class="btn btn-danger delete-version-btn">Delete</button>' : ''}
             </div>
         `;
+        item.querySelector('.version-id').textContent = version.VersionId;
+        item.querySelectorAll('.version-checkbox, .set-default-btn, .delete-version-btn').forEach(element => {
+            element.dataset.versionId = version.VersionId;
+        });
 
         // Add event listener for set default button
         if (!isDefault) {
@@ -293,11 +362,287 @@ class PolicyVisualizer {
                     }
                 });
             }
+
+            const deleteBtn = item.querySelector('.delete-version-btn');
+            if (deleteBtn) {
+                deleteBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    onDelete(version.VersionId);
+                });
+            }
         }
 
         return item;
     }
 
+    /**
+     * Render the policies merged into an effective permissions view
+     */
+    static renderPolicySources(sources, errors, containerElement) {
+        containerElement.innerHTML = '';
+
+        const typeLabels = {
+            managed: 'Managed',
+            inline: 'Inline'
+        };
+
+        sources.forEach(source => {
+            const item = document.createElement('div');
+            item.className = 'version-item';
+
+            const statementCount = source.document && source.document.Statement ?
+                (Array.isArray(source.document.Statement) ? source.document.Statement.length : 1) : 0;
+            const via = source.attachedVia === 'user' ? 'Attached to user' : `Via group ${source.attachedVia.substring(6)}`;
+
+            item.innerHTML = `
+                <div class="version-info">
+                    <span class="version-id">${this.escapeHtml(source.name)}</span>
+                    <span class="version-default-badge">${typeLabels[source.type] || source.type}</span>
+                    <span class="version-date">${this.escapeHtml(via)} · ${statementCount} statement(s)</span>
+                </div>
+            `;
+
+            containerElement.appendChild(item);
+        });
+
+        if (errors && errors.length > 0) {
+            const errorList = document.createElement('div');
+            errorList.className = 'policy-source-errors';
+            errorList.innerHTML = `
+                <strong>Could not read:</strong>
+                <ul>${errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>
+            `;
+            containerElement.appendChild(errorList);
+        }
+    }
+
+    /**
+     * Render the loaded escalation rule packs (runtime packs can be removed)
+     */
+    static renderRulePacks(packs, containerElement, onRemove) {
+        containerElement.innerHTML = '';
+
+        packs.forEach(pack => {
+            const item = document.createElement('div');
+            item.className = 'version-item';
+
+            item.innerHTML = `
+                <div class="version-info">
+                    <span class="version-id">${this.escapeHtml(pack.name)}</span>
+                    <span class="version-default-badge">${pack.source === 'builtin' ? 'Built-in' : 'Loaded'}</span>
+                    <span class="version-date">${this.escapeHtml(pack.id)} ${this.escapeHtml(pack.version)} · ${pack.ruleCount} rule(s)</span>
+                </div>
+            `;
+
+            if (pack.source !== 'builtin') {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn btn-sm btn-secondary';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => onRemove(pack.id));
+                item.appendChild(removeBtn);
+            }
+
+            containerElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Render the outcome of a simulated request with the statement that decided it
+     * and why every other statement did or did not apply
+     */
+    static renderSimulationResult(result, containerElement) {
+        const decisionLabels = {
+            Allow: { label: 'Allowed', className: 'risk-safe' },
+            ExplicitDeny: { label: 'Explicitly denied', className: 'risk-critical' },
+            ImplicitDeny: { label: 'Implicitly denied', className: 'risk-medium' }
+        };
+        const decision = decisionLabels[result.decision];
+        const statementLabel = (entry) => `Statement ${entry.index + 1}${entry.sid ? ` (${entry.sid})` : ''}`;
+
+        const reason = result.decidingStatement ?
+            `Decided by ${statementLabel(result.decidingStatement)}` :
+            'No statement allows this request';
+
+        const check = (matched) => matched ? '<span class="sim-check sim-pass">✓</span>' : '<span class="sim-check sim-fail">✗</span>';
+
+        const rows = result.statements.map(entry => {
+            const conditions = entry.conditions.map(condition => `
+                <li>
+                    ${check(condition.result)}
+                    <code>${this.escapeHtml(condition.operator)}</code>
+                    <code>${this.escapeHtml(condition.key)}</code>
+                    = ${condition.values.map(value => `<code>${this.escapeHtml(value)}</code>`).join(', ')}
+                    <span class="caption">(request: ${condition.requestValues ? condition.requestValues.map(value => this.escapeHtml(value)).join(', ') : 'not present'})</span>
+                </li>
+            `).join('');
+
+            const isDeciding = result.decidingStatement && result.decidingStatement.index === entry.index;
+
+            return `
+                <div class="sim-statement ${entry.applies ? 'sim-statement-applies' : ''} ${isDeciding ? 'sim-statement-deciding' : ''}">
+                    <div class="sim-statement-header">
+                        <strong>${this.escapeHtml(statementLabel(entry))}</strong>
+                        <span class="statement-effect effect-${entry.effect.toLowerCase()}">${this.escapeHtml(entry.effect)}</span>
+                        <span class="caption">${entry.applies ? 'Applies' : 'Does not apply'}</span>
+                    </div>
+                    <div class="sim-statement-checks">
+                        ${check(entry.actionMatch)} Action
+                        ${check(entry.resourceMatch)} Resource
+                        ${check(entry.principalMatch)} Principal
+                        ${check(entry.conditionMatch)} Condition
+                    </div>
+                    ${conditions ? `<ul class="sim-conditions">${conditions}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        containerElement.innerHTML = `
+            <div class="security-banner ${decision.className}">
+                <div class="security-banner-content">
+                    <div class="risk-info">
+                        <div class="risk-label">${decision.label}</div>
+                        <div class="risk-summary">${this.escapeHtml(reason)}</div>
+                    </div>
+                </div>
+            </div>
+            ${rows}
+        `;
+    }
+
+    /**
+     * Render policy linter findings, each pointing to a statement and field
+     */
+    static renderLintResults(result, containerElement) {
+        if (!containerElement) return;
+
+        const summary = result.findings.length === 0 ?
+            'The policy follows the IAM policy grammar' :
+            `${result.errorCount} error${result.errorCount === 1 ? '' : 's'}, ${result.warningCount} warning${result.warningCount === 1 ? '' : 's'}`;
+
+        const rows = result.findings.map(finding => {
+            const location = [
+                finding.statementIndex >= 0 ? `Statement ${finding.statementIndex + 1}` : 'Policy',
+                finding.field
+            ].filter(Boolean).join(' › ');
+
+            return `
+                <li class="lint-finding lint-${finding.severity}">
+                    <span class="lint-severity">${finding.severity === 'error' ? '✗' : '!'} ${this.escapeHtml(finding.severity)}</span>
+                    <span class="lint-location">${this.escapeHtml(location)}</span>
+                    <span class="lint-message">${this.escapeHtml(finding.message)}</span>
+                    <code class="lint-code">${this.escapeHtml(finding.code)}</code>
+                </li>
+            `;
+        }).join('');
+
+        containerElement.innerHTML = `
+            <div class="security-banner ${result.errorCount > 0 ? 'risk-high' : result.warningCount > 0 ? 'risk-medium' : 'risk-safe'}">
+                <div class="security-banner-content">
+                    <div class="risk-info">
+                        <div class="risk-label">${result.valid ? 'Valid policy' : 'Invalid policy'}</div>
+                        <div class="risk-summary">${this.escapeHtml(summary)}</div>
+                    </div>
+                </div>
+            </div>
+            ${rows ? `<ul class="lint-findings">${rows}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Render a hardened policy rewrite: warnings about what it could not fix, the changes
+     * per finding, the risk before and after, a diff against the original and the patched JSON
+     */
+    static renderRemediationResult(result, containerElement) {
+        if (!containerElement) return;
+
+        const changes = result.changes.map(change => `
+            <li>
+                <strong>${this.escapeHtml(change.finding)}</strong>:
+                ${this.escapeHtml(change.description)}
+                ${change.statementIndex >= 0 ? `<span class="caption">(statement ${change.statementIndex + 1})</span>` : '<span class="caption">(new statement)</span>'}
+            </li>
+        `).join('');
+
+        const warnings = (result.warnings || []).map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('');
+
+        containerElement.innerHTML = `
+            ${warnings ? `
+                <div class="remediation-warnings">
+                    <div class="notice-title">Review before applying</div>
+                    <ul>${warnings}</ul>
+                </div>
+            ` : ''}
+            <p class="caption">
+                Risk ${result.before.riskLevel}/10 → ${result.after.riskLevel}/10 (${this.escapeHtml(result.after.summary)})
+            </p>
+            <div class="diff-section">
+                <div class="diff-section-title">Changes (${result.changes.length})</div>
+                <ul class="remediation-changes">${changes}</ul>
+            </div>
+            <div class="remediation-comparison"></div>
+            <div class="diff-section">
+                <div class="diff-section-title">Hardened policy</div>
+                <pre><code>${this.escapeHtml(JSON.stringify(result.patched, null, 2))}</code></pre>
+            </div>
+        `;
+
+        this.renderVersionComparison(
+            { ...result.original, VersionId: result.original.VersionId || 'current' },
+            { VersionId: 'hardened', CreateDate: new Date().toISOString(), Document: result.patched },
+            containerElement.querySelector('.remediation-comparison'),
+            {
+                old: 'original',
+                new: 'hardened',
+                added: 'Added by the fix',
+                removed: 'Removed by the fix'
+            }
+        );
+    }
+
+    /**
+     * Render a least-privilege policy generated from CloudTrail next to the current one,
+     * listing the granted permissions no recorded call used
+     */
+    static renderLeastPrivilegeResult(result, containerElement) {
+        if (!containerElement) return;
+
+        const { usage, unused } = result;
+        const period = usage.firstEvent ? ` between ${this.formatDate(usage.firstEvent)} and ${this.formatDate(usage.lastEvent)}` : '';
+        const unusedItems = unused.map(item => `
+            <li class="diff-item diff-removed">
+                <code>${this.escapeHtml(item.action)}</code>
+                <span class="caption">statement ${item.statementIndex + 1}${item.usedCount > 0 ? `, ${item.usedCount} of ${item.grantedCount} actions used` : item.grantedCount > 1 ? `, ${item.grantedCount} actions` : ''}</span>
+            </li>
+        `).join('');
+
+        containerElement.innerHTML = `
+            <p class="caption">
+                ${usage.eventCount} allowed call(s) to ${usage.actions.size} action(s) by ${this.escapeHtml(result.principalArn)}${this.escapeHtml(period)}${usage.deniedCount > 0 ? `, ${usage.deniedCount} denied call(s) left out` : ''}
+            </p>
+            <div class="diff-section">
+                <div class="diff-section-title">Granted but not used (${unused.length})</div>
+                ${unused.length > 0 ? `<ul class="least-privilege-unused">${unusedItems}</ul>` : '<p class="caption">Every granted action was used</p>'}
+            </div>
+            <div class="least-privilege-comparison"></div>
+            <div class="diff-section">
+                <div class="diff-section-title">Generated policy</div>
+                <pre><code>${this.escapeHtml(JSON.stringify(result.generated, null, 2))}</code></pre>
+            </div>
+        `;
+
+        this.renderVersionComparison(
+            { ...result.current, VersionId: result.current.VersionId || 'current' },
+            { VersionId: 'least privilege', CreateDate: new Date().toISOString(), Document: result.generated },
+            containerElement.querySelector('.least-privilege-comparison'),
+            {
+                old: 'current policy',
+                new: 'generated from CloudTrail',
+                added: 'Used but not in the current policy',
+                removed: 'Granted but not used'
+            }
+        );
+    }
+
     /**
      * Update statistics display
      */
@@ -330,8 +675,9 @@ class PolicyVisualizer {
 
     /**
      * Compare two policy versions and render differences
+     * labels (optional) replaces the older/newer wording: { old, new, added, removed }
      */
-    static renderVersionComparison(version1, version2, containerElement) {
+    static renderVersionComparison(version1, version2, containerElement, labels = {}) {
         if (!containerElement || !version1 || !version2) return;
 
         const diff = this.calculatePolicyDiff(version1.Document, version2.Document);
@@ -349,11 +695,11 @@ class PolicyVisualizer {
         legend.innerHTML = `
             <div class="legend-item">
                 <div class="legend-color added"></div>
-                <span>Added in ${newerVersion.VersionId} (newer)</span>
+                <span>${this.escapeHtml(labels.added || `Added in ${newerVersion.VersionId} (newer)`)}</span>
             </div>
             <div class="legend-item">
                 <div class="legend-color removed"></div>
-                <span>Removed from ${olderVersion.VersionId} (older)</span>
+                <span>${this.escapeHtml(labels.removed || `Removed from ${olderVersion.VersionId} (older)`)}</span>
             </div>
             <div class="legend-item">
                 <div class="legend-color modified"></div>
@@ -368,15 +714,15 @@ class PolicyVisualizer {
         summary.innerHTML = `
             <div class="diff-summary-item">
                 <span class="diff-summary-value added">${diff.addedCount}</span>
-                <span class="diff-summary-label">Items Added</span>
+                <span class="diff-summary-label">Statements Added</span>
             </div>
             <div class="diff-summary-item">
                 <span class="diff-summary-value removed">${diff.removedCount}</span>
-                <span class="diff-summary-label">Items Removed</span>
+                <span class="diff-summary-label">Statements Removed</span>
             </div>
             <div class="diff-summary-item">
                 <span class="diff-summary-value modified">${diff.modifiedCount}</span>
-                <span class="diff-summary-label">Items Modified</span>
+                <span class="diff-summary-label">Statements Modified</span>
             </div>
         `;
         containerElement.appendChild(summary);
@@ -390,7 +736,7 @@ class PolicyVisualizer {
         column1.className = 'comparison-column';
         column1.innerHTML = `
             <div class="comparison-header">
-                <div class="version-id">${version1.VersionId} <span style="font-size: 12px; color: var(--text-secondary);">(older)</span></div>
+                <div class="version-id">${this.escapeHtml(version1.VersionId)} <span style="font-size: 12px; color: var(--text-secondary);">(${this.escapeHtml(labels.old || 'older')})</span></div>
                 <div class="version-date">${this.formatDate(version1.CreateDate)}</div>
             </div>
         `;
@@ -402,7 +748,7 @@ class PolicyVisualizer {
         column2.className = 'comparison-column';
         column2.innerHTML = `
             <div class="comparison-header">
-                <div class="version-id">${version2.VersionId} <span style="font-size: 12px; color: var(--text-secondary);">(newer)</span></div>
+                <div class="version-id">${this.escapeHtml(version2.VersionId)} <span style="font-size: 12px; color: var(--text-secondary);">(${this.escapeHtml(labels.new || 'newer')})</span></div>
                 <div class="version-date">${this.formatDate(version2.CreateDate)}</div>
             </div>
         `;
@@ -413,146 +759,207 @@ class PolicyVisualizer {
     }
 
     /**
-     * Calculate differences between two policy documents
+     * Statement fields compared by the diff, in display order
      */
-    static calculatePolicyDiff(doc1, doc2) {
-        const diff = {
-            actions: { added: [], removed: [], unchanged: [], modified: [] },
-            resources: { added: [], removed: [], unchanged: [], modified: [] },
-            statements: { added: [], removed: [], modified: [] },
-            addedCount: 0,
-            removedCount: 0,
-            modifiedCount: 0
-        };
+    static get DIFF_FIELDS() {
+        return ['Sid', 'Effect', 'Principal', 'NotPrincipal', 'Action', 'NotAction', 'Resource', 'NotResource', 'Condition'];
+    }
 
-        if (!doc1 || !doc2) return diff;
+    /**
+     * Values of a statement field as comparable strings
+     * (principals as "AWS: arn", conditions as "Operator key = value")
+     */
+    static getStatementFieldValues(statement, field) {
+        const value = statement[field];
+        if (field === 'Effect') return [value || 'Allow'];
+        if (value === undefined || value === null) return [];
+
+        if (field === 'Principal' || field === 'NotPrincipal') {
+            if (value === '*') return ['*'];
+            return Object.entries(value).flatMap(([type, principals]) => [].concat(principals).map(principal => `${type}: ${principal}`));
+        }
+        if (field === 'Condition') {
+            return Object.entries(value).flatMap(([operator, keys]) =>
+                Object.entries(keys || {}).flatMap(([key, values]) => [].concat(values).map(v => `${operator} ${key} = ${v}`))
+            );
+        }
+        return [].concat(value).map(String);
+    }
 
-        const statements1 = Array.isArray(doc1.Statement) ? doc1.Statement : [doc1.Statement];
-        const statements2 = Array.isArray(doc2.Statement) ? doc2.Statement : [doc2.Statement];
+    /**
+     * Similarity of two statements (shared field values over all field values, 0 to 1)
+     */
+    static statementSimilarity(statement1, statement2) {
+        const tokens = (statement) => new Set(this.DIFF_FIELDS
+            .filter(field => field !== 'Sid')
+            .flatMap(field => this.getStatementFieldValues(statement, field).map(value => `${field}|${value}`)));
+        const tokens1 = tokens(statement1);
+        const tokens2 = tokens(statement2);
+        const shared = [...tokens1].filter(token => tokens2.has(token)).length;
+        const total = new Set([...tokens1, ...tokens2]).size;
+        return total > 0 ? shared / total : 1;
+    }
 
-        // Collect all actions and resources
-        const actions1 = new Set();
-        const actions2 = new Set();
-        const resources1 = new Set();
-        const resources2 = new Set();
+    /**
+     * Pair the statements of two documents: by Sid first, then by similarity (best match
+     * first, at least 0.3). Returns [{ oldIndex, newIndex }] with null for an unpaired side
+     */
+    static pairStatements(statements1, statements2) {
+        const pairs = [];
+        const unmatched1 = new Set(statements1.keys());
+        const unmatched2 = new Set(statements2.keys());
+        const pair = (oldIndex, newIndex) => {
+            pairs.push({ oldIndex, newIndex });
+            unmatched1.delete(oldIndex);
+            unmatched2.delete(newIndex);
+        };
 
-        statements1.forEach(stmt => {
-            if (stmt.Action) {
-                const actions = Array.isArray(stmt.Action) ? stmt.Action : [stmt.Action];
-                actions.forEach(a => actions1.add(a));
-            }
-            if (stmt.Resource) {
-                const resources = Array.isArray(stmt.Resource) ? stmt.Resource : [stmt.Resource];
-                resources.forEach(r => resources1.add(r));
-            }
+        statements1.forEach((statement, oldIndex) => {
+            if (!statement.Sid) return;
+            const newIndex = statements2.findIndex((other, index) => unmatched2.has(index) && other.Sid === statement.Sid);
+            if (newIndex >= 0) pair(oldIndex, newIndex);
         });
 
-        statements2.forEach(stmt => {
-            if (stmt.Action) {
-                const actions = Array.isArray(stmt.Action) ? stmt.Action : [stmt.Action];
-                actions.forEach(a => actions2.add(a));
-            }
-            if (stmt.Resource) {
-                const resources = Array.isArray(stmt.Resource) ? stmt.Resource : [stmt.Resource];
-                resources.forEach(r => resources2.add(r));
-            }
+        const candidates = [];
+        unmatched1.forEach(oldIndex => {
+            unmatched2.forEach(newIndex => {
+                const score = this.statementSimilarity(statements1[oldIndex], statements2[newIndex]);
+                if (score >= 0.3) candidates.push({ oldIndex, newIndex, score });
+            });
         });
+        candidates
+            .sort((a, b) => b.score - a.score || a.oldIndex - b.oldIndex)
+            .forEach(({ oldIndex, newIndex }) => {
+                if (unmatched1.has(oldIndex) && unmatched2.has(newIndex)) pair(oldIndex, newIndex);
+            });
 
-        // Calculate action differences
-        actions1.forEach(action => {
-            if (!actions2.has(action)) {
-                diff.actions.removed.push(action);
-                diff.removedCount++;
-            } else {
-                diff.actions.unchanged.push(action);
-            }
-        });
+        unmatched1.forEach(oldIndex => pairs.push({ oldIndex, newIndex: null }));
+        unmatched2.forEach(newIndex => pairs.push({ oldIndex: null, newIndex }));
+        return pairs;
+    }
 
-        actions2.forEach(action => {
-            if (!actions1.has(action)) {
-                diff.actions.added.push(action);
-                diff.addedCount++;
-            }
-        });
+    /**
+     * Calculate differences between two policy documents statement by statement:
+     * { statements: [{ status, oldIndex, newIndex, oldStatement, newStatement,
+     *   fields: [{ field, added, removed, unchanged }] }], addedCount, removedCount, modifiedCount }
+     * status is added, removed, modified or unchanged; counts are statements
+     */
+    static calculatePolicyDiff(doc1, doc2) {
+        const diff = {
+            statements: [],
+            addedCount: 0,
+            removedCount: 0,
+            modifiedCount: 0
+        };
 
-        // Calculate resource differences
-        resources1.forEach(resource => {
-            if (!resources2.has(resource)) {
-                diff.resources.removed.push(resource);
-                diff.removedCount++;
-            } else {
-                diff.resources.unchanged.push(resource);
-            }
-        });
+        if (!doc1 || !doc2) return diff;
 
-        resources2.forEach(resource => {
-            if (!resources1.has(resource)) {
-                diff.resources.added.push(resource);
-                diff.addedCount++;
-            }
-        });
+        const toStatements = (doc) => doc.Statement ? (Array.isArray(doc.Statement) ? doc.Statement : [doc.Statement]) : [];
+        const statements1 = toStatements(doc1);
+        const statements2 = toStatements(doc2);
+        const pairs = this.pairStatements(statements1, statements2);
+
+        // Keep the newer document's order, removed statements follow the statement they preceded
+        const sortKey = ({ oldIndex, newIndex }) => {
+            if (newIndex !== null) return newIndex;
+            const before = pairs.filter(p => p.newIndex !== null && p.oldIndex !== null && p.oldIndex < oldIndex);
+            return before.length > 0 ? Math.max(...before.map(p => p.newIndex)) + 0.5 : -0.5;
+        };
+
+        diff.statements = pairs
+            .sort((a, b) => sortKey(a) - sortKey(b) || (a.oldIndex || 0) - (b.oldIndex || 0))
+            .map(({ oldIndex, newIndex }) => {
+                const oldStatement = oldIndex !== null ? statements1[oldIndex] : {};
+                const newStatement = newIndex !== null ? statements2[newIndex] : {};
+
+                const fields = this.DIFF_FIELDS.map(field => {
+                    const oldValues = oldIndex !== null ? this.getStatementFieldValues(oldStatement, field) : [];
+                    const newValues = newIndex !== null ? this.getStatementFieldValues(newStatement, field) : [];
+                    return {
+                        field,
+                        added: newValues.filter(value => !oldValues.includes(value)),
+                        removed: oldValues.filter(value => !newValues.includes(value)),
+                        unchanged: newValues.filter(value => oldValues.includes(value))
+                    };
+                }).filter(field => field.added.length + field.removed.length + field.unchanged.length > 0);
+
+                let status = 'unchanged';
+                if (oldIndex === null) {
+                    status = 'added';
+                    diff.addedCount++;
+                } else if (newIndex === null) {
+                    status = 'removed';
+                    diff.removedCount++;
+                } else if (fields.some(field => field.added.length > 0 || field.removed.length > 0)) {
+                    status = 'modified';
+                    diff.modifiedCount++;
+                }
+
+                return {
+                    status,
+                    oldIndex,
+                    newIndex,
+                    oldStatement: oldIndex !== null ? oldStatement : null,
+                    newStatement: newIndex !== null ? newStatement : null,
+                    fields
+                };
+            });
 
         return diff;
     }
 
     /**
-     * Render policy diff for a specific side (old or new)
+     * Render policy diff for a specific side (old or new), one block per statement pair
+     * so both columns list the statements in the same order
      */
     static renderPolicyDiff(diff, side) {
         const container = document.createElement('div');
+        const statusLabels = {
+            added: 'Added',
+            removed: 'Removed',
+            modified: 'Modified',
+            unchanged: 'Unchanged'
+        };
 
-        // Actions section
-        if (diff.actions.added.length > 0 || diff.actions.removed.length > 0 || diff.actions.unchanged.length > 0) {
-            const actionsSection = document.createElement('div');
-            actionsSection.className = 'diff-section';
-            actionsSection.innerHTML = '<div class="diff-section-title">Actions</div>';
-
-            if (side === 'old') {
-                // Show removed and unchanged for old version
-                [...diff.actions.removed, ...diff.actions.unchanged].forEach(action => {
-                    const item = document.createElement('div');
-                    item.className = `diff-item ${diff.actions.removed.includes(action) ? 'diff-removed' : 'diff-unchanged'}`;
-                    item.textContent = action;
-                    actionsSection.appendChild(item);
-                });
-            } else {
-                // Show added and unchanged for new version
-                [...diff.actions.added, ...diff.actions.unchanged].forEach(action => {
-                    const item = document.createElement('div');
-                    item.className = `diff-item ${diff.actions.added.includes(action) ? 'diff-added' : 'diff-unchanged'}`;
-                    item.textContent = action;
-                    actionsSection.appendChild(item);
+        diff.statements.forEach(entry => {
+            const index = side === 'old' ? entry.oldIndex : entry.newIndex;
+            const statement = side === 'old' ? entry.oldStatement : entry.newStatement;
+
+            const section = document.createElement('div');
+            section.className = `diff-section diff-statement diff-statement-${entry.status}`;
+
+            const title = document.createElement('div');
+            title.className = 'diff-section-title';
+            title.textContent = index !== null ?
+                `Statement ${index + 1}${statement.Sid ? ` "${statement.Sid}"` : ''} · ${statusLabels[entry.status]}` :
+                (side === 'old' ? 'Not in this version' : 'Removed in this version');
+            section.appendChild(title);
+
+            if (index !== null) {
+                entry.fields.forEach(field => {
+                    const values = side === 'old' ? [...field.removed, ...field.unchanged] : [...field.added, ...field.unchanged];
+                    if (values.length === 0) return;
+
+                    const fieldTitle = document.createElement('div');
+                    fieldTitle.className = 'diff-statement-field';
+                    fieldTitle.textContent = field.field;
+                    section.appendChild(fieldTitle);
+
+                    const changed = side === 'old' ? field.removed : field.added;
+                    values.forEach(value => {
+                        const item = document.createElement('div');
+                        item.className = `diff-item ${changed.includes(value) ? (side === 'old' ? 'diff-removed' : 'diff-added') : 'diff-unchanged'}`;
+                        item.textContent = value;
+                        section.appendChild(item);
+                    });
                 });
             }
 
-            container.appendChild(actionsSection);
-        }
-
-        // Resources section
-        if (diff.resources.added.length > 0 || diff.resources.removed.length > 0 || diff.resources.unchanged.length > 0) {
-            const resourcesSection = document.createElement('div');
-            resourcesSection.className = 'diff-section';
-            resourcesSection.innerHTML = '<div class="diff-section-title">Resources</div>';
-
-            if (side === 'old') {
-                // Show removed and unchanged for old version
-                [...diff.resources.removed, ...diff.resources.unchanged].forEach(resource => {
-                    const item = document.createElement('div');
-                    item.className = `diff-item ${diff.resources.removed.includes(resource) ? 'diff-removed' : 'diff-unchanged'}`;
-                    item.textContent = resource;
-                    resourcesSection.appendChild(item);
-                });
-            } else {
-                // Show added and unchanged for new version
-                [...diff.resources.added, ...diff.resources.unchanged].forEach(resource => {
-                    const item = document.createElement('div');
-                    item.className = `diff-item ${diff.resources.added.includes(resource) ? 'diff-added' : 'diff-unchanged'}`;
-                    item.textContent = resource;
-                    resourcesSection.appendChild(item);
-                });
-            }
+            container.appendChild(section);
+        });
 
-            container.appendChild(resourcesSection);
+        if (diff.statements.length === 0) {
+            container.innerHTML = '<p class="caption">No statements</p>';
         }
 
         return container;
@@ -575,18 +982,36 @@ class SecurityVisualizer {
         const riskBanner = this.createRiskBanner(analysis);
         containerElement.appendChild(riskBanner);
 
+        // Escalation methods neutralized or left open by a boundary / SCPs
+        if (analysis.guardrails) {
+            containerElement.appendChild(this.createGuardrailsSection(analysis.guardrails));
+        }
+
         // Statistics cards
         if (analysis.stats && analysis.stats.totalIssues > 0) {
             const statsSection = this.createStatsSection(analysis.stats);
             containerElement.appendChild(statsSection);
         }
 
+        // Score per finding kind (escalation, data access, destructive, defense evasion)
+        if (analysis.categoryScores) {
+            containerElement.appendChild(this.createCategoryScoresSection(analysis.categoryScores));
+        }
+
         // Detected escalation methods
         if (analysis.detectedMethods && analysis.detectedMethods.length > 0) {
             const methodsSection = this.createEscalationMethodsSection(analysis.detectedMethods);
             containerElement.appendChild(methodsSection);
         }
 
+        // Data access, destructive and defense evasion findings, one section per kind
+        Object.entries(FINDING_KINDS).filter(([kind]) => kind !== 'escalation').forEach(([kind, kindInfo]) => {
+            const findings = (analysis.impactFindings || []).filter(finding => finding.kind === kind);
+            if (findings.length > 0) {
+                containerElement.appendChild(this.createEscalationMethodsSection(findings, kindInfo.sectionTitle));
+            }
+        });
+
         // Issues list
         if (analysis.issues && analysis.issues.length > 0) {
             const issuesSection = this.createIssuesSection(analysis.issues);
@@ -639,6 +1064,7 @@ class SecurityVisualizer {
                 <div class="risk-info">
                     <div class="risk-label">${riskLabel}</div>
                     <div class="risk-summary">${this.escapeHtml(analysis.summary || 'Analysis complete')}</div>
+                    ${this.createConditionSummaryHtml(analysis.conditionSummary)}
                 </div>
                 <div class="risk-score">${riskLevel}/10</div>
             </div>
@@ -647,6 +1073,83 @@ class SecurityVisualizer {
         return banner;
     }
 
+    /**
+     * Describe how conditions constrain the findings (shown in the risk banner)
+     */
+    static createConditionSummaryHtml(conditionSummary) {
+        if (!conditionSummary || (conditionSummary.mitigated === 0 && conditionSummary.partial === 0)) {
+            return '';
+        }
+
+        const counts = [
+            conditionSummary.mitigated > 0 ? `${conditionSummary.mitigated} mitigated` : '',
+            conditionSummary.partial > 0 ? `${conditionSummary.partial} partially mitigated` : '',
+            conditionSummary.unconditional > 0 ? `${conditionSummary.unconditional} unconditional` : ''
+        ].filter(Boolean).join(', ');
+
+        return `
+            <div class="risk-conditions">
+                <strong>Conditions:</strong> ${this.escapeHtml(counts)}
+                ${conditionSummary.conditions.length > 0 ? `<div class="risk-conditions-list">Constrained by: ${conditionSummary.conditions.map(c => this.escapeHtml(c)).join('; ')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * List the resource ARNs each permission of a finding is granted on
+     */
+    static createResourceScopeHtml(resources, resourceScope, className) {
+        if (!resources || Object.keys(resources).length === 0) return '';
+
+        const scopeLabels = {
+            narrow: 'Specific resources',
+            broad: 'All resources of a type',
+            all: 'All resources'
+        };
+
+        const rows = Object.entries(resources).map(([permission, arns]) => `
+            <li><code>${this.escapeHtml(permission)}</code> → ${arns.length > 0 ? arns.map(arn => this.escapeHtml(arn)).join(', ') : '<em>no Resource element</em>'}</li>
+        `).join('');
+
+        return `
+            <div class="${className}">
+                <strong>Applies to:</strong> ${scopeLabels[resourceScope] || ''}
+                <ul class="resource-scope-list">${rows}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * List the policies each permission of a finding comes from (effective permissions view)
+     */
+    static createPermissionSourcesHtml(sourcesByPermission, className) {
+        if (!sourcesByPermission || Object.keys(sourcesByPermission).length === 0) return '';
+
+        const rows = Object.entries(sourcesByPermission).map(([permission, sources]) => `
+            <li><code>${this.escapeHtml(permission)}</code> ← ${sources.map(source => this.escapeHtml(source)).join(', ')}</li>
+        `).join('');
+
+        return `
+            <div class="${className}">
+                <strong>From:</strong>
+                <ul class="resource-scope-list">${rows}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Get badge HTML for a finding's condition mitigation status
+     */
+    static getMitigationBadgeHtml(mitigation) {
+        const labels = {
+            mitigated: 'Mitigated',
+            partial: 'Partially Mitigated',
+            unconditional: 'Unconditional'
+        };
+        if (!labels[mitigation]) return '';
+        return `<span class="mitigation-badge mitigation-${mitigation}">${labels[mitigation]}</span>`;
+    }
+
     /**
      * Create statistics section
      */
@@ -681,15 +1184,39 @@ class SecurityVisualizer {
     }
 
     /**
-     * Create escalation methods section
+     * Create the per-kind score cards (riskiest finding of each kind)
+     */
+    static createCategoryScoresSection(categoryScores) {
+        const section = document.createElement('div');
+        section.className = 'category-scores';
+
+        section.innerHTML = Object.entries(FINDING_KINDS).map(([kind, kindInfo]) => {
+            const score = categoryScores[kind] || { riskLevel: 0, count: 0 };
+            const severityClass = score.count === 0 ? 'severity-safe' :
+                                 score.riskLevel >= 9 ? 'severity-critical' :
+                                 score.riskLevel >= 7 ? 'severity-high' : 'severity-medium';
+            return `
+                <div class="category-score-card">
+                    <div class="category-score-label">${this.escapeHtml(kindInfo.label)}</div>
+                    <span class="method-severity ${severityClass}">${score.riskLevel}/10</span>
+                    <div class="caption">${score.count} finding${score.count === 1 ? '' : 's'}</div>
+                </div>
+            `;
+        }).join('');
+
+        return section;
+    }
+
+    /**
+     * Create escalation methods section (also used for the other finding kinds)
      */
-    static createEscalationMethodsSection(methods) {
+    static createEscalationMethodsSection(methods, title = 'Detected Privilege Escalation Methods') {
         const section = document.createElement('div');
         section.className = 'escalation-methods-section';
 
         const header = document.createElement('h4');
         header.className = 'section-header';
-        header.textContent = 'Detected Privilege Escalation Methods';
+        header.textContent = title;
         section.appendChild(header);
 
         const methodsList = document.createElement('div');
@@ -699,19 +1226,32 @@ class SecurityVisualizer {
             const methodCard = document.createElement('div');
             methodCard.className = 'escalation-method-card';
             
-            const severityClass = method.riskLevel >= 9 ? 'severity-critical' : 
-                                 method.riskLevel >= 7 ? 'severity-high' : 'severity-medium';
+            const riskLevel = method.effectiveRiskLevel !== undefined ? method.effectiveRiskLevel : method.riskLevel;
+            const severityClass = riskLevel >= 9 ? 'severity-critical' : 
+                                 riskLevel >= 7 ? 'severity-high' : 'severity-medium';
 
             methodCard.innerHTML = `
                 <div class="method-header">
                     <span class="method-name">${this.escapeHtml(method.method)}</span>
-                    <span class="method-severity ${severityClass}">${method.riskLevel}/10</span>
+                    ${this.getMitigationBadgeHtml(method.mitigation)}
+                    <span class="method-severity ${severityClass}">${riskLevel}/10</span>
                 </div>
                 <div class="method-category">${this.escapeHtml(method.category)}</div>
                 <div class="method-description">${this.escapeHtml(method.description)}</div>
                 <div class="method-permissions">
                     <strong>Required:</strong> ${method.permissions.map(p => `<code>${this.escapeHtml(p)}</code>`).join(', ')}
                 </div>
+                ${method.grantedBy ? `
+                <div class="method-permissions">
+                    <strong>Granted by:</strong> ${[...new Set(Object.values(method.grantedBy).flat())].map(p => `<code>${this.escapeHtml(p)}</code>`).join(', ')}
+                </div>` : ''}
+                ${this.createResourceScopeHtml(method.resources, method.resourceScope, 'method-permissions')}
+                ${this.createPermissionSourcesHtml(method.sourcesByPermission, 'method-permissions')}
+                ${method.ruleId ? `
+                <div class="method-permissions">
+                    <strong>Rule:</strong> <code>${this.escapeHtml(method.ruleId)}</code> from ${this.escapeHtml(method.pack)}
+                    ${(method.references || []).map(reference => this.createReferenceLinkHtml(reference)).join(' ')}
+                </div>` : ''}
             `;
 
             methodsList.appendChild(methodCard);
@@ -721,6 +1261,68 @@ class SecurityVisualizer {
         return section;
     }
 
+    /**
+     * Create the guardrails section: which findings the permissions boundary
+     * and SCPs neutralize and which still get through
+     */
+    static createGuardrailsSection(guardrails) {
+        const section = document.createElement('div');
+        section.className = 'guardrails-analysis-section';
+
+        const neutralizedItems = guardrails.neutralized.map(method => {
+            const blockers = method.blockedBy.length > 0 ?
+                method.blockedBy.map(block => `<code>${this.escapeHtml(block.permission)}</code> denied by ${this.escapeHtml(block.guardrail)}`).join('; ') :
+                'Required permissions are no longer granted';
+            return `
+                <li class="guardrail-method guardrail-neutralized">
+                    <span class="method-name">${this.escapeHtml(method.method)}</span>
+                    <span class="method-severity severity-safe">was ${method.riskLevel}/10</span>
+                    <div class="guardrail-blockers">${blockers}</div>
+                </li>
+            `;
+        }).join('');
+
+        const survivingItems = guardrails.surviving.map(method => `
+            <li class="guardrail-method guardrail-surviving">
+                <span class="method-name">${this.escapeHtml(method)}</span>
+            </li>
+        `).join('');
+
+        section.innerHTML = `
+            <h4 class="section-header">Guardrails</h4>
+            <p class="caption">
+                Applied: ${guardrails.applied.map(name => this.escapeHtml(name)).join(', ')}.
+                Without guardrails: ${guardrails.baselineRiskLevel}/10 (${this.escapeHtml(guardrails.baselineSummary)})
+            </p>
+            ${(guardrails.unevaluated || []).length > 0 ? `
+                <p class="caption">
+                    Unknown: statement ${guardrails.unevaluated.map(index => index + 1).join(', ')} (Allow with NotAction) could not be
+                    checked against the guardrails without the action catalog, its findings are kept
+                </p>
+            ` : ''}
+            <div class="guardrail-group">
+                <strong>Neutralized (${guardrails.neutralized.length})</strong>
+                ${guardrails.neutralized.length > 0 ? `<ul class="guardrail-method-list">${neutralizedItems}</ul>` : '<p class="caption">No finding is blocked by the guardrails</p>'}
+            </div>
+            <div class="guardrail-group">
+                <strong>Still possible (${guardrails.surviving.length})</strong>
+                ${guardrails.surviving.length > 0 ? `<ul class="guardrail-method-list">${survivingItems}</ul>` : '<p class="caption">No finding gets through the guardrails</p>'}
+            </div>
+        `;
+
+        return section;
+    }
+
+    /**
+     * Link to a rule reference (only http(s) URLs become links)
+     */
+    static createReferenceLinkHtml(reference) {
+        if (!/^https?:\/\/[^\s"'<>]+$/.test(reference)) {
+            return `<span class="caption">${this.escapeHtml(reference)}</span>`;
+        }
+        return `<a href="${this.escapeHtml(reference)}" target="_blank" rel="noopener noreferrer">Reference</a>`;
+    }
+
     /**
      * Create issues section
      */
@@ -736,17 +1338,20 @@ class SecurityVisualizer {
         const issuesList = document.createElement('div');
         issuesList.className = 'security-issues-list';
 
-        // Group issues by severity
-        const criticalIssues = issues.filter(i => i.severity === 'critical');
-        const highIssues = issues.filter(i => i.severity === 'high');
-        const mediumIssues = issues.filter(i => i.severity === 'medium');
-        const lowIssues = issues.filter(i => i.severity === 'low');
+        // Group issues by severity, custom rule findings get their own category
+        const builtinIssues = issues.filter(i => i.type !== 'CUSTOM_RULE');
+        const criticalIssues = builtinIssues.filter(i => i.severity === 'critical');
+        const highIssues = builtinIssues.filter(i => i.severity === 'high');
+        const mediumIssues = builtinIssues.filter(i => i.severity === 'medium');
+        const lowIssues = builtinIssues.filter(i => i.severity === 'low');
+        const customIssues = issues.filter(i => i.type === 'CUSTOM_RULE');
 
         const grouped = [
             { label: 'Critical Issues', issues: criticalIssues, class: 'critical' },
             { label: 'High Risk Issues', issues: highIssues, class: 'high' },
             { label: 'Medium Risk Issues', issues: mediumIssues, class: 'medium' },
-            { label: 'Low Risk Issues', issues: lowIssues, class: 'low' }
+            { label: 'Low Risk Issues', issues: lowIssues, class: 'low' },
+            { label: 'Custom Rules', issues: customIssues, class: 'custom' }
         ];
 
         grouped.forEach(group => {
@@ -781,6 +1386,10 @@ class SecurityVisualizer {
             </div>
             <div class="issue-description">${this.escapeHtml(issue.description)}</div>
             ${issue.category ? `<div class="issue-category"><strong>Category:</strong> ${this.escapeHtml(issue.category)}</div>` : ''}
+            ${issue.source ? `<div class="issue-resources"><strong>Source:</strong> ${this.escapeHtml(issue.source)}</div>` : ''}
+            ${this.createPermissionSourcesHtml(issue.sourcesByPermission, 'issue-resources')}
+            ${this.createResourceScopeHtml(issue.resources, issue.resourceScope, 'issue-resources')}
+            ${issue.mitigation ? `<div class="issue-conditions">${this.getMitigationBadgeHtml(issue.mitigation)}${issue.conditions && issue.conditions.length > 0 ? ` <strong>Constrained by:</strong> ${issue.conditions.map(c => this.escapeHtml(c)).join('; ')}` : ''}</div>` : ''}
             <div class="issue-remediation">
                 <strong>Remediation:</strong> ${this.escapeHtml(issue.remediation)}
             </div>
@@ -789,6 +1398,243 @@ class SecurityVisualizer {
         return card;
     }
 
+    /**
+     * Render multi-hop escalation paths (one shortest path per principal)
+     */
+    static renderEscalationPaths(paths, stats, containerElement) {
+        containerElement.innerHTML = '';
+
+        const escalating = paths.filter(path => !path.isAdmin);
+        const admins = paths.filter(path => path.isAdmin);
+
+        const summary = document.createElement('p');
+        summary.className = 'caption';
+        summary.textContent = `${stats.users} users and ${stats.roles} roles analyzed, ${stats.edges} escalation and trust edges. ` +
+            `${admins.length} principal(s) already have administrator access, ${escalating.length} can reach it.`;
+        containerElement.appendChild(summary);
+
+        if (admins.length > 0) {
+            const adminsSection = document.createElement('div');
+            adminsSection.className = 'escalation-methods-section';
+            adminsSection.innerHTML = `
+                <h4 class="section-header">Admin-Equivalent Principals</h4>
+                <ul class="resource-scope-list">
+                    ${admins.map(path => `<li><span class="path-node-type">${this.escapeHtml(path.principal.type)}</span> ${this.escapeHtml(path.principal.name)}</li>`).join('')}
+                </ul>
+            `;
+            containerElement.appendChild(adminsSection);
+        }
+
+        if (escalating.length === 0) {
+            containerElement.innerHTML += '<p class="security-safe-message">✓ No multi-hop escalation paths to administrator access found</p>';
+            return;
+        }
+
+        const pathsSection = document.createElement('div');
+        pathsSection.className = 'escalation-methods-section';
+
+        const header = document.createElement('h4');
+        header.className = 'section-header';
+        header.textContent = 'Escalation Paths';
+        pathsSection.appendChild(header);
+
+        escalating.forEach(path => {
+            pathsSection.appendChild(this.createEscalationPathCard(path));
+        });
+
+        containerElement.appendChild(pathsSection);
+    }
+
+    /**
+     * Create a card listing the ordered steps of one escalation path
+     */
+    static createEscalationPathCard(path) {
+        const card = document.createElement('div');
+        card.className = 'escalation-method-card escalation-path-card';
+
+        const steps = path.steps.map((step, index) => {
+            let label;
+            if (step.relationship === 'method') {
+                label = `<span class="method-name">${this.escapeHtml(step.method)}</span> ${this.getMitigationBadgeHtml(step.mitigation)}
+                    <div class="method-category">${this.escapeHtml(step.methodInfo.category)} · ${step.riskLevel}/10</div>`;
+            } else if (step.relationship === 'trust') {
+                label = '<span class="method-name">sts:AssumeRole</span><div class="method-category">Trust relationship</div>';
+            } else {
+                label = '<span class="method-name">Administrator access</span>';
+            }
+
+            return `
+                <li class="path-step">
+                    <div><strong>${index + 1}.</strong> ${this.escapeHtml(step.fromName)} → ${this.escapeHtml(step.toName)}</div>
+                    <div>${label}</div>
+                    <div class="method-description">${this.escapeHtml(step.detail)}</div>
+                </li>
+            `;
+        }).join('');
+
+        card.innerHTML = `
+            <div class="method-header">
+                <span class="method-name"><span class="path-node-type">${this.escapeHtml(path.principal.type)}</span> ${this.escapeHtml(path.principal.name)}</span>
+                <span class="method-severity severity-high">${path.steps.length} step(s)</span>
+            </div>
+            <ol class="escalation-path-steps">${steps}</ol>
+        `;
+
+        return card;
+    }
+
+    /**
+     * Render the risk of every policy version, oldest first, with the findings each
+     * version added or resolved (versions that raised the risk are highlighted)
+     */
+    static renderRiskTimeline(entries, containerElement) {
+        if (!containerElement) return;
+
+        if (entries.length === 0) {
+            containerElement.innerHTML = '<p class="caption">No versions found</p>';
+            return;
+        }
+
+        const findingList = (findings, className, sign) => findings.map(finding => `
+            <li class="${className}">${sign} ${this.escapeHtml(finding.method)}
+                <span class="caption">(${this.escapeHtml(FINDING_KINDS[finding.kind || 'escalation'].label)}, risk ${finding.effectiveRiskLevel})</span>
+            </li>
+        `).join('');
+
+        containerElement.innerHTML = `
+            <div class="risk-timeline">
+                ${entries.map((entry, index) => {
+                    const delta = entry.delta;
+                    const raised = delta && delta.riskAfter > delta.riskBefore;
+                    const previousCount = index > 0 ? entries[index - 1].expandedActionCount : null;
+                    const countChange = entry.expandedActionCount !== null && previousCount !== null ?
+                        entry.expandedActionCount - previousCount : 0;
+                    const changes = delta ? [
+                        findingList(delta.added, 'timeline-added', '+'),
+                        findingList(delta.resolved, 'timeline-removed', '−'),
+                        delta.changed.map(change => `
+                            <li>~ ${this.escapeHtml(change.method)} <span class="caption">(risk ${change.riskBefore} → ${change.riskAfter})</span></li>
+                        `).join('')
+                    ].join('') : '';
+
+                    return `
+                        <div class="timeline-entry ${raised ? 'timeline-entry-raised' : ''}">
+                            <div class="timeline-header">
+                                <span class="version-id">${this.escapeHtml(entry.versionId)}</span>
+                                ${entry.isDefault ? '<span class="version-default-badge">Default</span>' : ''}
+                                <span class="version-date">${new Date(entry.createDate).toLocaleString()}</span>
+                                ${this.getRiskBadgeHtml(entry.analysis.riskLevel)}
+                                <span class="caption">
+                                    ${entry.analysis.riskLevel}/10${delta && delta.riskAfter !== delta.riskBefore ? ` (${delta.riskAfter > delta.riskBefore ? '+' : ''}${delta.riskAfter - delta.riskBefore})` : ''}
+                                </span>
+                            </div>
+                            <div class="timeline-bar"><div class="timeline-bar-fill" style="width: ${entry.analysis.riskLevel * 10}%;"></div></div>
+                            <div class="caption">
+                                ${entry.expandedActionCount !== null ? `${entry.expandedActionCount} expanded actions${countChange ? ` (${countChange > 0 ? '+' : ''}${countChange})` : ''} · ` : ''}${this.escapeHtml(entry.analysis.summary)}
+                            </div>
+                            ${changes ? `<ul class="timeline-changes">${changes}</ul>` : ''}
+                            ${delta && !changes ? '<div class="caption">No change in findings</div>' : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render what a change between two versions means: the headline ("v4 added 312 actions
+     * and enabled PassRoleToLambda"), old and new risk, findings introduced or removed and the
+     * concrete actions gained and lost, grouped by service (security is null when the
+     * escalation rules are not loaded)
+     */
+    static renderVersionImpact(impact, containerElement) {
+        if (!containerElement) return;
+
+        const { actions, security } = impact;
+        const headline = [];
+        if (actions) {
+            if (actions.gained.length > 0) headline.push(`added ${actions.gained.length} action${actions.gained.length === 1 ? '' : 's'}`);
+            if (actions.lost.length > 0) headline.push(`removed ${actions.lost.length} action${actions.lost.length === 1 ? '' : 's'}`);
+        }
+        if (security && security.added.length > 0) headline.push(`enabled ${security.added.map(finding => finding.method).join(', ')}`);
+        if (security && security.resolved.length > 0) headline.push(`removed ${security.resolved.map(finding => finding.method).join(', ')}`);
+        const headlineText = headline.length > 0 ?
+            `${impact.newerVersionId} ${headline.slice(0, -1).join(', ')}${headline.length > 1 ? ' and ' : ''}${headline[headline.length - 1]}` :
+            `${impact.newerVersionId} does not change the allowed actions or findings`;
+
+        const findingItems = (findings, className, sign) => findings.map(finding => `
+            <li class="${className}">${sign} ${this.escapeHtml(finding.method)}
+                <span class="caption">(${this.escapeHtml(FINDING_KINDS[finding.kind || 'escalation'].label)}, risk ${finding.effectiveRiskLevel})</span>
+            </li>
+        `).join('');
+
+        const actionGroups = (actionList, className) => {
+            const byService = {};
+            actionList.forEach(action => {
+                const service = action.split(':')[0];
+                (byService[service] = byService[service] || []).push(action);
+            });
+            return Object.entries(byService).sort(([a], [b]) => a.localeCompare(b)).map(([service, serviceActions]) => `
+                <details class="impact-service">
+                    <summary>${this.escapeHtml(service)} <span class="caption">(${serviceActions.length})</span></summary>
+                    ${serviceActions.map(action => `<div class="diff-item ${className}">${this.escapeHtml(action)}</div>`).join('')}
+                </details>
+            `).join('');
+        };
+
+        const findingsChanged = security && security.added.length + security.resolved.length + security.changed.length > 0;
+
+        containerElement.innerHTML = `
+            <p class="impact-headline">${this.escapeHtml(headlineText)}</p>
+            <div class="diff-summary">
+                ${security ? `
+                    <div class="diff-summary-item">
+                        <span class="diff-summary-value">${security.riskBefore}/10 → ${security.riskAfter}/10</span>
+                        <span class="diff-summary-label">Risk (${this.escapeHtml(impact.olderVersionId)} → ${this.escapeHtml(impact.newerVersionId)})</span>
+                    </div>
+                ` : ''}
+                ${actions ? `
+                    <div class="diff-summary-item">
+                        <span class="diff-summary-value">${actions.oldCount} → ${actions.newCount}</span>
+                        <span class="diff-summary-label">Allowed Actions</span>
+                    </div>
+                    <div class="diff-summary-item">
+                        <span class="diff-summary-value added">${actions.gained.length}</span>
+                        <span class="diff-summary-label">Actions Gained</span>
+                    </div>
+                    <div class="diff-summary-item">
+                        <span class="diff-summary-value removed">${actions.lost.length}</span>
+                        <span class="diff-summary-label">Actions Lost</span>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="diff-section">
+                <div class="diff-section-title">Findings</div>
+                ${findingsChanged ? `
+                    <ul class="timeline-changes">
+                        ${findingItems(security.added, 'timeline-added', '+')}
+                        ${findingItems(security.resolved, 'timeline-removed', '−')}
+                        ${security.changed.map(change => `
+                            <li>~ ${this.escapeHtml(change.method)} <span class="caption">(risk ${change.riskBefore} → ${change.riskAfter})</span></li>
+                        `).join('')}
+                    </ul>
+                ` : `<p class="caption">${security ? 'No findings introduced or removed' : 'Escalation rules not loaded, findings are not compared'}</p>`}
+            </div>
+            ${actions ? `
+                <div class="comparison-grid">
+                    <div class="diff-section">
+                        <div class="diff-section-title">Actions Lost</div>
+                        ${actions.lost.length > 0 ? actionGroups(actions.lost, 'diff-removed') : '<p class="caption">None</p>'}
+                    </div>
+                    <div class="diff-section">
+                        <div class="diff-section-title">Actions Gained</div>
+                        ${actions.gained.length > 0 ? actionGroups(actions.gained, 'diff-added') : '<p class="caption">None</p>'}
+                    </div>
+                </div>
+            ` : '<p class="caption">Action catalog not loaded, actions gained and lost are not available</p>'}
+        `;
+    }
+
     /**
      * Get risk badge HTML for policy list items
      */
@@ -876,6 +1722,12 @@ class SecurityVisualizer {
                     <span class="detail-label">Exact patterns:</span>
                     <span class="detail-value">${summary.exactPatterns}</span>
                 </div>
+                ${analysisResult.catalog ? `
+                <div class="detail-row">
+                    <span class="detail-label">Action catalog:</span>
+                    <span class="detail-value">${this.escapeHtml(analysisResult.catalog.version)}${analysisResult.catalog.generatedAt ? ` (generated ${this.escapeHtml(PolicyVisualizer.formatDate(analysisResult.catalog.generatedAt))})` : ''}</span>
+                </div>` : ''}
+                ${analysisResult.lastAccessed ? this.createLastAccessedSummaryHtml(analysisResult.lastAccessed) : ''}
             </div>
         `;
 
@@ -914,6 +1766,7 @@ class SecurityVisualizer {
                 <span class="statement-title">Statement ${statement.index}</span>
                 <span class="statement-effect effect-${statement.effect.toLowerCase()}">${statement.effect}</span>
             </div>
+            ${statement.source ? `<div class="statement-source">From: ${this.escapeHtml(statement.source)}</div>` : ''}
             <div class="statement-stats">
                 <span class="stat">${statement.patterns.length} patterns</span>
                 <span class="stat">${statement.totalExpandedActions} actions</span>
@@ -938,6 +1791,7 @@ class SecurityVisualizer {
                             <span class="pattern-count">${expansion.expandedCount} actions</span>
                         </div>
                         ${expansion.expandedCount > 0 ? `<div class="pattern-sample">${this.escapeHtml(sampleText)}</div>` : ''}
+                        ${expansion.lastAccessed ? this.createLastAccessedHtml(expansion.lastAccessed) : ''}
                     </div>
                 `;
             });
@@ -949,6 +1803,65 @@ class SecurityVisualizer {
         return card;
     }
 
+    /**
+     * Access Advisor rows for the expansion summary
+     */
+    static createLastAccessedSummaryHtml(lastAccessed) {
+        return `
+            <div class="detail-row">
+                <span class="detail-label">Access Advisor:</span>
+                <span class="detail-value">${this.escapeHtml(lastAccessed.entityArn)}${lastAccessed.completedAt ? ` (report of ${this.escapeHtml(PolicyVisualizer.formatDate(lastAccessed.completedAt))})` : ''}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Services used:</span>
+                <span class="detail-value">${lastAccessed.usedServices.length}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Services never used (can be cut):</span>
+                <span class="detail-value">${lastAccessed.neverUsedServices.length > 0 ? lastAccessed.neverUsedServices.map(service => `<code>${this.escapeHtml(service)}</code>`).join(', ') : 'none'}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Tracked actions never used:</span>
+                <span class="detail-value">${lastAccessed.neverUsedActions}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Last-used time per service (and per tracked action) of one expanded pattern
+     */
+    static createLastAccessedHtml(lastAccessed) {
+        const lastUsed = (date) => date ?
+            `<span class="last-used">last used ${this.escapeHtml(PolicyVisualizer.formatDate(date))}</span>` :
+            '<span class="never-used">never used</span>';
+
+        const rows = lastAccessed.services.map(service => {
+            const usedActions = service.usedActions
+                .map(used => `<li><code>${this.escapeHtml(used.action)}</code> ${lastUsed(used.lastAccessed)}</li>`)
+                .join('');
+            const neverUsed = service.neverUsedActions.length > 0 ? `
+                <li>
+                    <span class="never-used">never used:</span>
+                    ${service.neverUsedActions.slice(0, 10).map(action => `<code>${this.escapeHtml(action)}</code>`).join(', ')}
+                    ${service.neverUsedActions.length > 10 ? ` ... +${service.neverUsedActions.length - 10} more` : ''}
+                </li>` : '';
+
+            return `
+                <div class="last-accessed-service">
+                    <code>${this.escapeHtml(service.namespace)}</code> ${lastUsed(service.lastAuthenticated)}
+                    ${usedActions || neverUsed ? `<ul class="last-accessed-actions">${usedActions}${neverUsed}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="pattern-last-accessed">
+                ${rows || '<span class="caption">No Access Advisor data for these services</span>'}
+                ${lastAccessed.unreportedServices > 0 ? `<div class="caption">${lastAccessed.unreportedServices} service(s) not in the Access Advisor report</div>` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Get expansion impact level based on ratio
      */
@@ -0,0 +1,207 @@
+/**
+ * Rule Packs Module
+ * Loads versioned JSON rule packs of privilege escalation methods into ESCALATION_METHODS
+ *
+ * A pack is { id, name, version, description, rules: [...] } and each rule is
+ * { id, name, kind?, category, description, permissions, optional, riskLevel, references,
+ *   graphTarget?, passRoleService?, targetService? }. kind is one of FINDING_KINDS and
+ * defaults to escalation. The built-in packs ship in data/rule-packs/, extra packs can be
+ * loaded at runtime. Depends on aws-handler.js.
+ */
+
+class RulePackRegistry {
+    constructor(builtinUrls = ['data/rule-packs/builtin-escalation.json', 'data/rule-packs/builtin-impact.json']) {
+        this.builtinUrls = builtinUrls;
+        this.packs = [];
+    }
+
+    /**
+     * Graph targets understood by the escalation graph
+     */
+    static get GRAPH_TARGETS() {
+        return ['admin', 'user', 'role', 'service-role'];
+    }
+
+    /**
+     * Load the built-in rule packs
+     */
+    async initialize() {
+        for (const url of this.builtinUrls) {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Failed to load built-in rule pack ${url} (HTTP ${response.status})`);
+            }
+
+            const result = this.loadPack(await response.json(), 'builtin');
+            if (!result.success) {
+                throw new Error(`Invalid built-in rule pack ${url}: ${result.error}`);
+            }
+
+            console.log(`✅ Rule pack loaded: ${result.data.id} ${result.data.version}, ${result.data.rules.length} rules`);
+        }
+    }
+
+    /**
+     * Validate a parsed rule pack, returning the first problem found or null
+     */
+    static validatePack(pack) {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return 'Rule pack must be a JSON object';
+        if (typeof pack.id !== 'string' || !pack.id) return 'Rule pack needs an id';
+        if (typeof pack.version !== 'string' || !pack.version) return 'Rule pack needs a version string';
+        if (!Array.isArray(pack.rules) || pack.rules.length === 0) return 'Rule pack needs a non-empty rules array';
+
+        const ids = new Set();
+        const names = new Set();
+        for (const [index, rule] of pack.rules.entries()) {
+            const label = rule && rule.id ? `Rule ${rule.id}` : `Rule ${index + 1}`;
+
+            if (!rule || typeof rule !== 'object') return `${label} must be an object`;
+            for (const field of ['id', 'name', 'category', 'description']) {
+                if (typeof rule[field] !== 'string' || !rule[field]) return `${label} needs a ${field}`;
+            }
+            if (ids.has(rule.id)) return `${label} is defined twice`;
+            if (names.has(rule.name)) return `${label}: method name ${rule.name} is used twice`;
+            ids.add(rule.id);
+            names.add(rule.name);
+
+            if (!Array.isArray(rule.permissions) || rule.permissions.length === 0) {
+                return `${label} needs at least one required permission`;
+            }
+            const permissions = [...rule.permissions, ...(rule.optional || [])];
+            const invalidPermission = permissions.find(permission => typeof permission !== 'string' || !/^[\w-]+:[\w*?]+$/.test(permission));
+            if (invalidPermission !== undefined) return `${label}: invalid permission ${invalidPermission}`;
+
+            if (!Number.isInteger(rule.riskLevel) || rule.riskLevel < 1 || rule.riskLevel > 10) {
+                return `${label}: riskLevel must be an integer from 1 to 10`;
+            }
+            if (rule.kind && !FINDING_KINDS[rule.kind]) {
+                return `${label}: kind must be one of ${Object.keys(FINDING_KINDS).join(', ')}`;
+            }
+            if (rule.graphTarget && !RulePackRegistry.GRAPH_TARGETS.includes(rule.graphTarget)) {
+                return `${label}: graphTarget must be one of ${RulePackRegistry.GRAPH_TARGETS.join(', ')}`;
+            }
+            if (rule.references && !Array.isArray(rule.references)) return `${label}: references must be an array`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Add a pack (replacing an already loaded pack with the same id)
+     * source: 'builtin' or 'runtime'
+     */
+    loadPack(pack, source = 'runtime') {
+        const problem = RulePackRegistry.validatePack(pack);
+        if (problem) {
+            return {
+                success: false,
+                error: problem
+            };
+        }
+
+        const otherPacks = this.packs.filter(loaded => loaded.id !== pack.id);
+        if (source !== 'builtin' && this.packs.some(loaded => loaded.id === pack.id && loaded.source === 'builtin')) {
+            return {
+                success: false,
+                error: `Pack id ${pack.id} is reserved by the built-in rules`
+            };
+        }
+
+        // Method names are the keys of ESCALATION_METHODS, so they must be unique across packs
+        const takenNames = new Map(otherPacks.flatMap(loaded => loaded.rules.map(rule => [rule.name, loaded.id])));
+        const clash = pack.rules.find(rule => takenNames.has(rule.name));
+        if (clash) {
+            return {
+                success: false,
+                error: `Method ${clash.name} is already defined by pack ${takenNames.get(clash.name)}`
+            };
+        }
+
+        const loadedPack = {
+            id: pack.id,
+            name: pack.name || pack.id,
+            version: pack.version,
+            description: pack.description || '',
+            source,
+            rules: pack.rules
+        };
+
+        this.packs = [...otherPacks, loadedPack];
+        this.rebuild();
+
+        return {
+            success: true,
+            data: loadedPack
+        };
+    }
+
+    /**
+     * Parse and load a pack from JSON text (file upload)
+     */
+    loadPackText(packText) {
+        let pack;
+        try {
+            pack = JSON.parse(packText);
+        } catch (error) {
+            return {
+                success: false,
+                error: `Invalid JSON: ${error.message}`
+            };
+        }
+        return this.loadPack(pack, 'runtime');
+    }
+
+    /**
+     * Remove a runtime pack (the built-in pack stays loaded)
+     */
+    removePack(packId) {
+        const pack = this.packs.find(loaded => loaded.id === packId);
+        if (!pack || pack.source === 'builtin') {
+            return {
+                success: false,
+                error: pack ? 'The built-in rule pack cannot be removed' : `Rule pack ${packId} is not loaded`
+            };
+        }
+
+        this.packs = this.packs.filter(loaded => loaded.id !== packId);
+        this.rebuild();
+
+        return {
+            success: true,
+            data: pack
+        };
+    }
+
+    /**
+     * Loaded packs for display
+     */
+    getPacks() {
+        return this.packs.map(({ rules, ...pack }) => ({ ...pack, ruleCount: rules.length }));
+    }
+
+    /**
+     * Refill ESCALATION_METHODS from the loaded packs, in the shape the analyzer expects
+     * (permissions lowercased, keyed by method name, rule and pack ids kept for display)
+     */
+    rebuild() {
+        Object.keys(ESCALATION_METHODS).forEach(name => delete ESCALATION_METHODS[name]);
+
+        this.packs.forEach(pack => {
+            pack.rules.forEach(rule => {
+                const { name, id, permissions, optional, references, ...methodInfo } = rule;
+                ESCALATION_METHODS[name] = {
+                    ...methodInfo,
+                    kind: methodInfo.kind || 'escalation',
+                    ruleId: id,
+                    pack: `${pack.id}@${pack.version}`,
+                    permissions: permissions.map(permission => permission.toLowerCase()),
+                    optional: (optional || []).map(permission => permission.toLowerCase()),
+                    references: references || []
+                };
+            });
+        });
+    }
+}
+
+// Global singleton instance
+const rulePacks = new RulePackRegistry();
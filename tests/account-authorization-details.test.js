@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const run = loadScripts(['account-authorization-details.js']);
+
+const allow = { Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: 's3:GetObject', Resource: '*' }] };
+
+const details = {
+    UserDetailList: [{
+        UserName: 'alice',
+        Arn: 'arn:aws:iam::123456789012:user/alice',
+        UserPolicyList: [
+            { PolicyName: 'broken', PolicyDocument: '%7B%22Statement' },
+            { PolicyName: 'reads', PolicyDocument: encodeURIComponent(JSON.stringify(allow)) }
+        ],
+        AttachedManagedPolicies: [{ PolicyName: 'Managed', PolicyArn: 'arn:aws:iam::123456789012:policy/Managed' }]
+    }],
+    RoleDetailList: [{
+        RoleName: 'app',
+        Arn: 'arn:aws:iam::123456789012:role/app',
+        AssumeRolePolicyDocument: '{not json',
+        RolePolicyList: []
+    }],
+    Policies: [{
+        PolicyName: 'Managed',
+        Arn: 'arn:aws:iam::123456789012:policy/Managed',
+        DefaultVersionId: 'v1',
+        PolicyVersionList: [{ VersionId: 'v1', IsDefaultVersion: true, Document: '%E0%A4%A' }]
+    }]
+};
+
+test('unreadable documents are skipped and reported instead of aborting the import', async () => {
+    // run() copies plain values out of the context, so the promise is settled inside it first
+    run('new AccountAuthorizationDetailsSource(__details).listAllPolicies().then(result => { __result = result; }), undefined', { __details: details });
+    await new Promise(resolve => setImmediate(resolve));
+    const result = run('__result');
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.data.inlinePolicies.map(policy => policy.PolicyName), ['reads']);
+    assert.deepStrictEqual(result.data.trustPolicies, []);
+    assert.deepStrictEqual(result.warnings.map(warning => warning.split(':')[0]), ['broken (inline, user alice)', 'app (trust policy)']);
+});
+
+test('principals keep their readable policies', () => {
+    const result = run(`(() => {
+        const source = new AccountAuthorizationDetailsSource(__details);
+        return { principals: source.getPrincipals(), unreadable: source.getUnreadableDocuments() };
+    })()`, { __details: details });
+    const [user, role] = result.principals;
+    assert.deepStrictEqual(user.sources.map(source => source.name), ['reads']);
+    assert.strictEqual(role.trustPolicy, null);
+    assert.strictEqual(result.unreadable.length, 3);
+    assert.ok(result.unreadable[0].startsWith('Managed (v1)'));
+});
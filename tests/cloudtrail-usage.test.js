@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const run = loadScripts(['policy-expansion.js', 'cloudtrail-usage.js']);
+
+const getAction = (eventSource, eventName) => run('CloudTrailUsage.getAction(__record)', { __record: { eventSource, eventName } });
+
+test('maps event names to their service prefix', () => {
+    assert.strictEqual(getAction('s3.amazonaws.com', 'GetObject'), 's3:GetObject');
+    assert.strictEqual(getAction('monitoring.amazonaws.com', 'PutMetricData'), 'cloudwatch:PutMetricData');
+    assert.strictEqual(getAction('lambda.amazonaws.com', 'GetFunction20150331v2'), 'lambda:GetFunction');
+});
+
+test('maps events whose IAM action has another name', () => {
+    assert.strictEqual(getAction('lambda.amazonaws.com', 'Invoke20150331'), 'lambda:InvokeFunction');
+    assert.strictEqual(getAction('lambda.amazonaws.com', 'Invoke'), 'lambda:InvokeFunction');
+    assert.strictEqual(getAction('s3.amazonaws.com', 'ListObjects'), 's3:ListBucket');
+    assert.strictEqual(getAction('s3.amazonaws.com', 'ListObjectsV2'), 's3:ListBucket');
+    assert.strictEqual(getAction('s3.amazonaws.com', 'ListBuckets'), 's3:ListAllMyBuckets');
+    assert.strictEqual(getAction('s3.amazonaws.com', 'HeadObject'), 's3:GetObject');
+});
+
+test('mapped actions count as used', () => {
+    const unused = run(`(() => {
+        const usage = CloudTrailUsage.collectUsage(__records);
+        return CloudTrailUsage.findUnusedPermissions(__policy, usage);
+    })()`, {
+        __records: [
+            { eventSource: 'lambda.amazonaws.com', eventName: 'Invoke20150331', userIdentity: { arn: 'arn:aws:iam::123456789012:user/app' } },
+            { eventSource: 's3.amazonaws.com', eventName: 'ListObjectsV2', requestParameters: { bucketName: 'data' } }
+        ],
+        __policy: {
+            Version: '2012-10-17',
+            Statement: [{ Effect: 'Allow', Action: ['lambda:InvokeFunction', 's3:ListBucket'], Resource: '*' }]
+        }
+    });
+    assert.deepStrictEqual(unused, []);
+});
+
+test('statements without Effect are treated as Allow', () => {
+    const unused = run('CloudTrailUsage.findUnusedPermissions(__policy, CloudTrailUsage.collectUsage([]))', {
+        __policy: { Statement: [{ Action: 's3:GetObject', Resource: '*' }] }
+    });
+    assert.deepStrictEqual(unused.map(item => item.action), ['s3:GetObject']);
+});
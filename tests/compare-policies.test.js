@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+// Form fields and sections of the page, created on first lookup
+const elements = new Map();
+const document = {
+    readyState: 'loading', // keeps app.js from starting itself
+    addEventListener: () => {},
+    getElementById: (id) => {
+        if (!elements.has(id)) elements.set(id, { id, value: '', style: {}, textContent: '', innerHTML: '', scrollIntoView: () => {} });
+        return elements.get(id);
+    }
+};
+
+const run = loadAnalyzer(['app.js'], { document, window: {} });
+run(`
+    var __rendered = [];
+    var PolicyVisualizer = { renderVersionComparison: (current, other, container, labels) => __rendered.push({ current, other, labels }) };
+    var SecurityVisualizer = { renderVersionImpact: (impact) => __rendered.push({ impact }) };
+`);
+
+const policy = (action) => ({ Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: action, Resource: '*' }] });
+
+// Run handleComparePolicies on an app with the given form values: { errors, rendered }
+const compare = async (otherArn, otherText) => {
+    document.getElementById('compare-policy-arn').value = otherArn;
+    document.getElementById('compare-policy-document').value = otherText;
+    run(`(() => {
+        __rendered = [];
+        __errors = [];
+        const app = Object.create(App.prototype);
+        Object.assign(app, {
+            currentPolicy: { policy: { PolicyName: 'Team' }, currentVersion: { VersionId: 'v3', Document: __current } },
+            policyExpansion: { isInitialized: false },
+            rulesError: null,
+            showError: (message) => __errors.push(message),
+            loadPolicyInfo: async () => ({ success: false, error: 'not loaded' })
+        });
+        app.handleComparePolicies();
+    })()`, { __current: policy('s3:GetObject') });
+    await new Promise(resolve => setImmediate(resolve));
+    return run('({ errors: __errors, rendered: __rendered })');
+};
+
+test('asks for something to compare with', async () => {
+    const result = await compare('', '');
+    assert.deepStrictEqual(result.errors, ['Please enter a policy ARN or paste a policy document to compare with']);
+    assert.deepStrictEqual(result.rendered, []);
+});
+
+test('rejects a policy ARN and a pasted document together', async () => {
+    const result = await compare('arn:aws:iam::aws:policy/ReadOnlyAccess', JSON.stringify(policy('s3:*')));
+    assert.deepStrictEqual(result.errors, ['Enter either a policy ARN or a pasted policy document to compare with, not both']);
+    assert.deepStrictEqual(result.rendered, []);
+});
+
+test('a policy ARN needs a connection or imported data', async () => {
+    const result = await compare('arn:aws:iam::aws:policy/ReadOnlyAccess', '');
+    assert.deepStrictEqual(result.errors, ['Connect to AWS or import account data to compare with a policy ARN']);
+});
+
+test('invalid pasted documents are reported', async () => {
+    const result = await compare('', '{ "Statement": ');
+    assert.strictEqual(result.errors.length, 1);
+    assert.ok(result.errors[0].startsWith('Failed to load the policy to compare with: Invalid JSON'));
+});
+
+test('a pasted document is compared with the open policy', async () => {
+    const result = await compare('', JSON.stringify(policy(['s3:GetObject', 'iam:PassRole'])));
+    assert.deepStrictEqual(result.errors, []);
+    const [comparison, impact] = result.rendered;
+    assert.strictEqual(comparison.current.VersionId, 'Team (v3)');
+    assert.strictEqual(comparison.other.VersionId, 'Pasted Policy');
+    assert.strictEqual(comparison.labels.added, 'Only in Pasted Policy');
+    assert.strictEqual(impact.impact.olderVersionId, 'Team (v3)');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+const grant = { Effect: 'Allow', Action: ['iam:CreatePolicyVersion', 'iam:PassRole', 'lambda:CreateFunction', 'lambda:InvokeFunction'], Resource: '*' };
+
+// Mitigation status of a method under the given statements
+const mitigationOf = (method, statements) => {
+    const analysis = run('analyzePolicyForShadowAdmin(__policy)', { __policy: { Version: '2012-10-17', Statement: statements } });
+    const finding = analysis.detectedMethods.find(found => found.method === method);
+    return finding ? finding.mitigation : null;
+};
+
+const deny = (action, condition) => ({ Effect: 'Deny', Action: action, Resource: '*', Condition: condition });
+
+test('Allow conditions requiring MFA or a source IP mitigate', () => {
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [{ ...grant, Condition: { Bool: { 'aws:MultiFactorAuthPresent': 'true' } } }]), 'mitigated');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [{ ...grant, Condition: { Bool: { 'aws:MultiFactorAuthPresent': 'false' } } }]), 'unconditional');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [{ ...grant, Condition: { IpAddress: { 'aws:SourceIp': '10.0.0.0/8' } } }]), 'mitigated');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [{ ...grant, Condition: { NotIpAddress: { 'aws:SourceIp': '10.0.0.0/8' } } }]), 'partial');
+});
+
+test('Deny of MFA sessions only does not mitigate', () => {
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('iam:*', { Bool: { 'aws:MultiFactorAuthPresent': 'true' } })]), 'unconditional');
+});
+
+test('Deny without MFA mitigates, fully only when it also covers long-term keys', () => {
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('iam:*', { BoolIfExists: { 'aws:MultiFactorAuthPresent': 'false' } })]), 'mitigated');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('iam:*', { Bool: { 'aws:MultiFactorAuthPresent': 'false' } })]), 'partial');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('iam:*', { Null: { 'aws:MultiFactorAuthPresent': 'true' } })]), 'partial');
+});
+
+test('Deny outside an allowed network mitigates, Deny of listed addresses does not', () => {
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('*', { NotIpAddress: { 'aws:SourceIp': '10.0.0.0/8' } })]), 'mitigated');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('*', { IpAddress: { 'aws:SourceIp': '203.0.113.0/24' } })]), 'unconditional');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('*', { StringNotEquals: { 'aws:SourceVpce': 'vpce-1234' } })]), 'mitigated');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('*', { StringEquals: { 'aws:SourceVpce': 'vpce-1234' } })]), 'unconditional');
+});
+
+test('Deny of PassRole mitigates only when it covers the abused service', () => {
+    assert.strictEqual(mitigationOf('PassRoleToLambda', [grant, deny('iam:PassRole', { StringEquals: { 'iam:PassedToService': 'lambda.amazonaws.com' } })]), 'mitigated');
+    assert.strictEqual(mitigationOf('PassRoleToLambda', [grant, deny('iam:PassRole', { StringNotEquals: { 'iam:PassedToService': 'ec2.amazonaws.com' } })]), 'mitigated');
+    assert.strictEqual(mitigationOf('PassRoleToLambda', [grant, deny('iam:PassRole', { StringEquals: { 'iam:PassedToService': 'ec2.amazonaws.com' } })]), 'unconditional');
+    assert.strictEqual(mitigationOf('PassRoleToLambda', [grant, deny('iam:PassRole', { StringNotEquals: { 'iam:PassedToService': 'lambda.amazonaws.com' } })]), 'unconditional');
+});
+
+test('Deny with several conditions mitigates as much as its weakest one, unknown keys cap it at partial', () => {
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('iam:*', {
+        NotIpAddress: { 'aws:SourceIp': '10.0.0.0/8' },
+        Bool: { 'aws:MultiFactorAuthPresent': 'true' }
+    })]), 'unconditional');
+    assert.strictEqual(mitigationOf('CreateNewPolicyVersion', [grant, deny('iam:*', {
+        NotIpAddress: { 'aws:SourceIp': '10.0.0.0/8' },
+        StringEquals: { 'ec2:InstanceType': 't3.micro' }
+    })]), 'partial');
+});
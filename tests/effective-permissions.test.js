@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+// SDK command stand-ins: the fake client answers by command name and input
+const commandNames = [
+    'ListAttachedRolePoliciesCommand', 'ListRolePoliciesCommand', 'GetRolePolicyCommand',
+    'ListAttachedUserPoliciesCommand', 'ListUserPoliciesCommand', 'GetUserPolicyCommand',
+    'ListGroupsForUserCommand', 'GetPolicyCommand', 'GetPolicyVersionCommand'
+];
+const commands = Object.fromEntries(commandNames.map(name => [name, { [name]: class {
+    constructor(input) {
+        this.input = input;
+    }
+} }[name]]));
+
+const run = loadScripts(['aws-handler.js'], commands);
+
+const document = (action) => ({ Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: action, Resource: '*' }] });
+
+const responses = {
+    ListAttachedRolePoliciesCommand: ({ RoleName }) => ({
+        AttachedPolicies: RoleName === 'deploy' ? [{ PolicyName: 'Deploy', PolicyArn: 'arn:aws:iam::123456789012:policy/Deploy' }] : []
+    }),
+    ListRolePoliciesCommand: ({ RoleName }) => ({ PolicyNames: RoleName === 'deploy' ? ['inline-logs'] : [] }),
+    GetRolePolicyCommand: ({ PolicyName }) => ({ PolicyDocument: encodeURIComponent(JSON.stringify(document('logs:PutLogEvents'))), PolicyName }),
+    GetPolicyCommand: ({ PolicyArn }) => ({ Policy: { PolicyName: 'Deploy', Arn: PolicyArn, DefaultVersionId: 'v2' } }),
+    GetPolicyVersionCommand: () => ({ PolicyVersion: { VersionId: 'v2', Document: encodeURIComponent(JSON.stringify(document('lambda:UpdateFunctionCode'))) } })
+};
+
+const effectiveSources = async (identity) => {
+    // run() copies plain values out of the context, so the promise is settled inside it first
+    run(`(() => {
+        const handler = new AWSHandler();
+        handler.currentIdentity = __identity;
+        handler.iamClient = { send: async (command) => __responses[command.constructor.name](command.input) };
+        handler.getEffectivePolicySources().then(result => { __result = result; });
+    })()`, { __identity: identity, __responses: responses });
+    await new Promise(resolve => setImmediate(resolve));
+    return run('__result');
+};
+
+test('assumed roles get their attached and inline policies', async () => {
+    const result = await effectiveSources({
+        arn: 'arn:aws:sts::123456789012:assumed-role/deploy/ci-session',
+        roleName: 'deploy',
+        isAssumedRole: true
+    });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.data.principalName, 'deploy');
+    assert.deepStrictEqual(result.data.sources.map(source => [source.label, source.attachedVia]), [['Deploy', 'role'], ['inline-logs (inline)', 'role']]);
+    assert.deepStrictEqual(result.data.sources[1].document, document('logs:PutLogEvents'));
+    assert.deepStrictEqual(result.data.errors, []);
+});
+
+test('roles without policies and unknown identities are reported', async () => {
+    const empty = await effectiveSources({ roleName: 'idle', isAssumedRole: true });
+    assert.strictEqual(empty.success, false);
+    assert.strictEqual(empty.error, 'No policies found for role idle');
+
+    const unknown = await effectiveSources({ arn: 'arn:aws:iam::123456789012:root' });
+    assert.strictEqual(unknown.success, false);
+});
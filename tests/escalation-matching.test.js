@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+// Escalation methods detected for one Allow statement on every resource
+const methodsFor = (...actions) => run('analyzePolicyForShadowAdmin(__policy)', {
+    __policy: { Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: actions, Resource: '*' }] }
+}).detectedMethods.map(finding => finding.method);
+
+test('partial wildcards match the escalation permissions they cover', () => {
+    const putMethods = methodsFor('iam:Put*');
+    assert.ok(putMethods.includes('PutUserPolicy'));
+    assert.ok(putMethods.includes('PutGroupPolicy'));
+    assert.ok(!putMethods.includes('AttachUserPolicy'));
+
+    const attachMethods = methodsFor('iam:Attach*Policy');
+    assert.ok(attachMethods.includes('AttachUserPolicy'));
+    assert.ok(attachMethods.includes('AttachGroupPolicy'));
+
+    assert.ok(methodsFor('iam:*Policy*').includes('CreateNewPolicyVersion'));
+    assert.ok(methodsFor('lambda:Update*').includes('UpdateLambdaFunction'));
+});
+
+test('wildcards match case-insensitively and with ?', () => {
+    assert.ok(methodsFor('IAM:putuser*').includes('PutUserPolicy'));
+    assert.ok(methodsFor('iam:CreateAccessKe?').includes('CreateAccessKey'));
+});
+
+test('wildcards that do not cover an escalation permission find nothing', () => {
+    assert.deepStrictEqual(methodsFor('iam:Get*', 'iam:List*', 'lambda:Get*'), []);
+    assert.deepStrictEqual(methodsFor('iam:Put*Boundary'), []);
+});
+
+test('findings name the wildcard that grants each permission', () => {
+    const finding = run('analyzePolicyForShadowAdmin(__policy)', {
+        __policy: { Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: 'iam:Put*', Resource: '*' }] }
+    }).detectedMethods.find(method => method.method === 'PutUserPolicy');
+    assert.deepStrictEqual(finding.grantedBy, { 'iam:putuserpolicy': ['iam:put*'] });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+const policy = {
+    Version: '2012-10-17',
+    Statement: [{ Effect: 'Allow', Action: ['iam:CreatePolicyVersion', 'iam:AttachUserPolicy'], Resource: '*' }]
+};
+
+const analyze = (scpStatements) => run(
+    "analyzePolicyWithGuardrails(__policy, [{ name: 'SCP', documents: [{ Statement: __scp }] }], __catalog)",
+    { __policy: policy, __scp: scpStatements }
+);
+
+test('unconditional Deny on all resources neutralizes findings', () => {
+    const result = analyze([
+        { Effect: 'Allow', Action: '*', Resource: '*' },
+        { Effect: 'Deny', Action: 'iam:*', Resource: '*' }
+    ]);
+    assert.deepStrictEqual(result.guardrails.surviving, []);
+    assert.ok(result.guardrails.neutralized.some(method => method.method === 'CreateNewPolicyVersion'));
+});
+
+test('Deny scoped to other resources does not neutralize grants on "*"', () => {
+    const result = analyze([
+        { Effect: 'Allow', Action: '*', Resource: '*' },
+        { Effect: 'Deny', Action: 'iam:*', Resource: 'arn:aws:iam::*:role/BreakGlass' }
+    ]);
+    assert.ok(result.guardrails.surviving.includes('CreateNewPolicyVersion'));
+    assert.ok(result.guardrails.surviving.includes('AttachUserPolicy'));
+    assert.strictEqual(result.riskLevel, result.guardrails.baselineRiskLevel);
+});
+
+test('Deny covering the granted resources neutralizes scoped grants', () => {
+    const scoped = {
+        Version: '2012-10-17',
+        Statement: [{ Effect: 'Allow', Action: 'iam:CreatePolicyVersion', Resource: 'arn:aws:iam::123456789012:policy/app' }]
+    };
+    const result = run(
+        "analyzePolicyWithGuardrails(__policy, [{ name: 'SCP', documents: [{ Statement: __scp }] }], __catalog)",
+        {
+            __policy: scoped,
+            __scp: [
+                { Effect: 'Allow', Action: '*', Resource: '*' },
+                { Effect: 'Deny', Action: 'iam:*', Resource: 'arn:aws:iam::*:policy/*' }
+            ]
+        }
+    );
+    assert.ok(!result.guardrails.surviving.includes('CreateNewPolicyVersion'));
+});
+
+test('conditional and NotResource Deny statements do not neutralize findings', () => {
+    const conditional = analyze([
+        { Effect: 'Allow', Action: '*', Resource: '*' },
+        { Effect: 'Deny', Action: 'iam:*', Resource: '*', Condition: { StringNotEquals: { 'aws:PrincipalTag/team': 'admins' } } }
+    ]);
+    assert.ok(conditional.guardrails.surviving.includes('CreateNewPolicyVersion'));
+
+    const notResource = analyze([
+        { Effect: 'Allow', Action: '*', Resource: '*' },
+        { Effect: 'Deny', Action: 'iam:*', NotResource: 'arn:aws:iam::*:role/BreakGlass' }
+    ]);
+    assert.ok(notResource.guardrails.surviving.includes('CreateNewPolicyVersion'));
+});
+
+test('pasted SCPs that only deny keep the default FullAWSAccess allow', () => {
+    const result = run(`(() => {
+        const layers = awsHandler.parseGuardrails('', JSON.stringify([{ Statement: [{ Effect: 'Deny', Action: 'cloudtrail:StopLogging', Resource: '*' }] }]));
+        return analyzePolicyWithGuardrails(__policy, layers.data, __catalog);
+    })()`, {
+        __policy: {
+            Version: '2012-10-17',
+            Statement: [{ Effect: 'Allow', Action: ['iam:CreatePolicyVersion', 's3:GetObject'], Resource: '*' }]
+        }
+    });
+    assert.ok(result.guardrails.surviving.includes('CreateNewPolicyVersion'));
+    assert.deepStrictEqual(result.guardrails.neutralized, []);
+    assert.strictEqual(result.riskLevel, result.guardrails.baselineRiskLevel);
+    assert.ok(result.guardrails.applied[0].includes('FullAWSAccess (assumed)'));
+});
+
+test('NotAction statements are reported as not evaluated without a catalog', () => {
+    const result = run(
+        "analyzePolicyWithGuardrails(__policy, [{ name: 'SCP', documents: [{ Statement: __scp }] }], [])",
+        {
+            __policy: { Version: '2012-10-17', Statement: [{ Effect: 'Allow', NotAction: 's3:*', Resource: '*' }] },
+            __scp: [
+                { Effect: 'Allow', Action: '*', Resource: '*' },
+                { Effect: 'Deny', Action: 'cloudtrail:*', Resource: '*' }
+            ]
+        }
+    );
+    assert.deepStrictEqual(result.guardrails.unevaluated, [0]);
+    assert.ok(result.guardrails.surviving.includes('CreateNewPolicyVersion'));
+    assert.deepStrictEqual(result.guardrails.neutralized, []);
+});
@@ -0,0 +1,54 @@
+/**
+ * Test helpers
+ * Loads the browser scripts into one VM context, the way the script tags in index.html
+ * share globals, so the modules can be tested with node --test and no dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run scripts in a fresh context; returns run(expression) evaluating code in that context.
+ * Values passed in through globals are available to the expression by name
+ */
+const loadScripts = (files, globals = {}) => {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, URL, ...globals });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    const run = (expression, values = {}) => {
+        Object.assign(context, values);
+        // Copy results out of the context so assert.deepStrictEqual compares plain objects
+        const result = vm.runInContext(expression, context);
+        return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    };
+    return run;
+};
+
+/**
+ * Analyzer scripts with the built-in rule packs loaded and the action catalog as __catalog
+ */
+const loadAnalyzer = (extraFiles = [], globals = {}) => {
+    const run = loadScripts(['policy-expansion.js', 'policy-evaluator.js', 'aws-handler.js', 'rule-packs.js', ...extraFiles], globals);
+    ['builtin-escalation', 'builtin-impact'].forEach(packId => {
+        const pack = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/rule-packs', `${packId}.json`), 'utf8'));
+        const result = run("rulePacks.loadPack(__pack, 'builtin')", { __pack: pack });
+        if (!result.success) throw new Error(`Rule pack ${packId}: ${result.error}`);
+    });
+
+    const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/aws-action-catalog.json'), 'utf8'));
+    run(`
+        var __expansion = new PolicyExpansion();
+        __expansion.awsData = __catalogData;
+        __expansion.buildActionsIndex();
+        __expansion.isInitialized = true;
+        var __catalog = __expansion.allActions;
+    `, { __catalogData: catalog });
+    return run;
+};
+
+module.exports = { loadScripts, loadAnalyzer };
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+const analyze = (...statements) => run('analyzePolicyForShadowAdmin(__policy)', { __policy: { Version: '2012-10-17', Statement: statements } });
+const issueOf = (analysis, type) => analysis.issues.find(issue => issue.type === type);
+
+test('Allow with NotAction grants everything except the listed actions', () => {
+    const analysis = analyze({ Effect: 'Allow', NotAction: 'iam:*', Resource: '*' });
+    const methods = analysis.detectedMethods.map(finding => finding.method);
+    assert.strictEqual(issueOf(analysis, 'NOT_ACTION_ALLOW').severity, 'critical');
+    assert.ok(methods.includes('UpdateLambdaFunction'));
+    assert.ok(methods.includes('SSMSendCommand'));
+    assert.ok(!methods.includes('PutUserPolicy'));
+    assert.ok(!methods.includes('CreateAccessKey'));
+});
+
+test('Allow with NotAction on scoped resources is rated lower', () => {
+    const analysis = analyze({ Effect: 'Allow', NotAction: 'iam:*', Resource: 'arn:aws:s3:::reports/*' });
+    assert.strictEqual(issueOf(analysis, 'NOT_ACTION_ALLOW').severity, 'high');
+});
+
+test('Deny with NotAction blocks everything except the listed actions', () => {
+    const analysis = analyze(
+        { Effect: 'Allow', Action: '*', Resource: '*' },
+        { Effect: 'Deny', NotAction: ['s3:Get*', 's3:List*'], Resource: '*' }
+    );
+    assert.ok(issueOf(analysis, 'NOT_ACTION_DENY'));
+    assert.deepStrictEqual(analysis.detectedMethods, []);
+    assert.deepStrictEqual(analysis.impactFindings.map(finding => finding.method), ['S3ReadObjects']);
+});
+
+test('Allow with NotResource applies to every other resource', () => {
+    const analysis = analyze({ Effect: 'Allow', Action: 'iam:PutUserPolicy', NotResource: 'arn:aws:iam::*:user/admin' });
+    assert.strictEqual(issueOf(analysis, 'NOT_RESOURCE_ALLOW').severity, 'medium');
+    const finding = analysis.detectedMethods.find(method => method.method === 'PutUserPolicy');
+    assert.strictEqual(finding.resourceScope, 'all');
+});
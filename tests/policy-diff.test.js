@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const run = loadScripts(['policy-visualizer.js']);
+
+const diffOf = (statements1, statements2) => run('PolicyVisualizer.calculatePolicyDiff(__doc1, __doc2)', {
+    __doc1: { Version: '2012-10-17', Statement: statements1 },
+    __doc2: { Version: '2012-10-17', Statement: statements2 }
+});
+const changedFields = (entry) => entry.fields
+    .filter(field => field.added.length + field.removed.length > 0)
+    .map(field => field.field);
+
+test('statements are paired by Sid wherever they moved', () => {
+    const read = { Sid: 'Read', Effect: 'Allow', Action: 's3:GetObject', Resource: '*' };
+    const write = { Sid: 'Write', Effect: 'Allow', Action: 's3:PutObject', Resource: '*' };
+    const diff = diffOf([read, write], [{ ...write, Resource: 'arn:aws:s3:::reports/*' }, read]);
+    assert.deepStrictEqual(diff.statements.map(entry => [entry.oldIndex, entry.newIndex, entry.status]), [[1, 0, 'modified'], [0, 1, 'unchanged']]);
+    assert.deepStrictEqual(changedFields(diff.statements[0]), ['Resource']);
+    assert.strictEqual(diff.modifiedCount, 1);
+});
+
+test('moving an action from a Deny to an Allow statement is a change', () => {
+    const diff = diffOf(
+        [{ Effect: 'Allow', Action: 's3:GetObject', Resource: '*' }, { Effect: 'Deny', Action: 'iam:*', Resource: '*' }],
+        [{ Effect: 'Allow', Action: ['s3:GetObject', 'iam:*'], Resource: '*' }]
+    );
+    assert.deepStrictEqual(diff.statements.map(entry => entry.status), ['modified', 'removed']);
+    assert.deepStrictEqual(diff.statements[0].fields.find(field => field.field === 'Action').added, ['iam:*']);
+    assert.strictEqual(diff.removedCount, 1);
+});
+
+test('statements without Sids are paired by similarity', () => {
+    const diff = diffOf(
+        [{ Effect: 'Allow', Action: ['ec2:Describe*', 'ec2:StartInstances'], Resource: '*' }],
+        [
+            { Effect: 'Allow', Action: 'kms:Decrypt', Resource: 'arn:aws:kms:*:*:key/1' },
+            { Effect: 'Allow', Action: ['ec2:Describe*', 'ec2:StartInstances'], Resource: '*', Condition: { Bool: { 'aws:MultiFactorAuthPresent': 'true' } } }
+        ]
+    );
+    assert.deepStrictEqual(diff.statements.map(entry => [entry.oldIndex, entry.newIndex, entry.status]), [[null, 0, 'added'], [0, 1, 'modified']]);
+    assert.deepStrictEqual(changedFields(diff.statements[1]), ['Condition']);
+    assert.deepStrictEqual(diff.statements[1].fields.find(field => field.field === 'Condition').added, ['Bool aws:MultiFactorAuthPresent = true']);
+});
+
+test('effect, principal and NotAction changes are reported per field', () => {
+    const diff = diffOf(
+        [{ Sid: 'Trust', Effect: 'Allow', Principal: { AWS: 'arn:aws:iam::111111111111:root' }, NotAction: 'iam:*', Resource: '*' }],
+        [{ Sid: 'Trust', Effect: 'Deny', Principal: { AWS: 'arn:aws:iam::222222222222:root' }, NotAction: 'iam:*', Resource: '*' }]
+    );
+    assert.deepStrictEqual(changedFields(diff.statements[0]), ['Effect', 'Principal']);
+    assert.deepStrictEqual(diff.statements[0].fields.find(field => field.field === 'NotAction').unchanged, ['iam:*']);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const run = loadScripts(['policy-expansion.js', 'policy-evaluator.js']);
+
+const inCidr = (address, cidr) => run('PolicyEvaluator.ipInCidr(__address, __cidr)', { __address: address, __cidr: cidr });
+
+test('matches addresses inside CIDR blocks', () => {
+    assert.strictEqual(inCidr('10.1.2.3', '10.0.0.0/8'), true);
+    assert.strictEqual(inCidr('11.1.2.3', '10.0.0.0/8'), false);
+    assert.strictEqual(inCidr('10.1.2.3', '10.1.2.3'), true);
+    assert.strictEqual(inCidr('1.2.3.4', '0.0.0.0/0'), true);
+    assert.strictEqual(inCidr('2001:db8::1', '2001:db8::/32'), true);
+});
+
+test('malformed prefixes match nothing instead of throwing', () => {
+    ['10.0.0.0/x', '10.0.0.0/', '10.0.0.0/33', '10.0.0.0/-1', '10.0.0.0/8.5', '10.0.0.0/8/8', '2001:db8::/129'].forEach(cidr => {
+        const address = cidr.includes(':') ? '2001:db8::1' : '10.1.2.3';
+        assert.strictEqual(inCidr(address, cidr), false, cidr);
+    });
+});
+
+test('IpAddress conditions with a malformed prefix do not apply', () => {
+    const result = run("PolicyEvaluator.evaluate(__policy, { action: 's3:GetObject', resource: '*', context: { 'aws:SourceIp': '10.1.2.3' } })", {
+        __policy: {
+            Statement: [{ Effect: 'Allow', Action: 's3:*', Resource: '*', Condition: { IpAddress: { 'aws:SourceIp': '10.0.0.0/x' } } }]
+        }
+    });
+    assert.strictEqual(result.decision, 'ImplicitDeny');
+});
+
+test('documents without statements are an implicit deny', () => {
+    [{}, { Statement: [] }, { Statement: null }].forEach(policy => {
+        const result = run("PolicyEvaluator.evaluate(__policy, { action: 's3:GetObject', resource: '*' })", { __policy: policy });
+        assert.strictEqual(result.decision, 'ImplicitDeny');
+        assert.deepStrictEqual(result.statements, []);
+    });
+});
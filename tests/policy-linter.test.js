@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer(['policy-linter.js']);
+
+const lint = (document, options = {}, withCatalog = false) => run(
+    `PolicyLinter.lint(__document, { ...__options${withCatalog ? ', actions: __catalog' : ''} })`,
+    { __document: document, __options: options }
+);
+const codes = (result) => result.findings.map(finding => finding.code);
+
+const allow = { Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::reports/*' };
+
+test('a well-formed policy has no findings', () => {
+    const result = lint({ Version: '2012-10-17', Statement: [allow] }, {}, true);
+    assert.deepStrictEqual(result.findings, []);
+    assert.strictEqual(result.valid, true);
+});
+
+test('checks the document Version and keys', () => {
+    assert.deepStrictEqual(codes(lint({ Statement: [allow] })), ['MISSING_VERSION']);
+    assert.deepStrictEqual(codes(lint({ Version: '2012-10-18', Statement: [allow] })), ['INVALID_VERSION']);
+    assert.deepStrictEqual(codes(lint({ Version: '2012-10-17', Statment: [allow] })), ['UNKNOWN_KEY', 'MISSING_STATEMENT']);
+});
+
+test('points statement findings to their statement and field', () => {
+    const result = lint({
+        Version: '2012-10-17',
+        Statement: [allow, { ...allow, Sid: 'A', NotAction: 'iam:*', Resourse: '*' }]
+    });
+    const finding = result.findings.find(item => item.code === 'ACTION_AND_NOTACTION');
+    assert.strictEqual(finding.statementIndex, 1);
+    assert.ok(codes(result).includes('UNKNOWN_KEY'));
+    assert.strictEqual(result.valid, false);
+});
+
+test('reports duplicate Sids, malformed ARNs and invalid condition operators', () => {
+    const result = lint({
+        Version: '2012-10-17',
+        Statement: [
+            { ...allow, Sid: 'Read' },
+            { ...allow, Sid: 'Read', Resource: 'arn:aws:s3' },
+            { ...allow, Condition: { StringEqualz: { 'aws:PrincipalTag/team': 'a' } } }
+        ]
+    });
+    assert.deepStrictEqual(codes(result), ['DUPLICATE_SID', 'MALFORMED_ARN', 'INVALID_OPERATOR']);
+    assert.deepStrictEqual(result.findings.map(finding => finding.statementIndex), [1, 1, 2]);
+});
+
+test('checks actions against the catalog when one is given', () => {
+    const document = { Version: '2012-10-17', Statement: [{ ...allow, Action: ['s3:GetObjekt', 'nosuchservice:Get*'] }] };
+    assert.deepStrictEqual(codes(lint(document)), []);
+    assert.deepStrictEqual(codes(lint(document, {}, true)), ['UNKNOWN_ACTION', 'UNKNOWN_SERVICE']);
+});
+
+test('Principal belongs in trust policies only', () => {
+    const statement = { ...allow, Principal: { AWS: 'arn:aws:iam::123456789012:root' } };
+    assert.deepStrictEqual(codes(lint({ Version: '2012-10-17', Statement: [statement] })), ['PRINCIPAL_IN_IDENTITY_POLICY']);
+    assert.deepStrictEqual(codes(lint({ Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: 'sts:AssumeRole' }] }, { policyType: 'trust' })), ['MISSING_PRINCIPAL']);
+});
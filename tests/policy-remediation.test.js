@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer(['policy-remediation.js']);
+
+const policy = (...statements) => ({ Version: '2012-10-17', Statement: statements });
+
+const remediate = (document, withCatalog = true, usage = null) => run(
+    `(() => {
+        const result = PolicyRemediation.remediate(__document, ${withCatalog ? '__catalog' : '[]'}, __usage);
+        if (!result.success) return result;
+        return { ...result.data, riskLevel: result.data.analysis.riskLevel, issueTypes: result.data.analysis.issues.map(issue => issue.type) };
+    })()`,
+    { __document: document, __usage: usage }
+);
+
+const actionsOf = (document) => document.Statement
+    .filter(statement => statement.Effect === 'Allow')
+    .flatMap(statement => [].concat(statement.Action || []));
+
+test('splits service wildcards by verb instead of listing every action', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: 'iam:*', Resource: '*' }));
+    assert.deepStrictEqual(result.remaining, []);
+    assert.deepStrictEqual(result.warnings, []);
+    assert.ok(actionsOf(result.document).includes('iam:Get*'));
+    assert.ok(!actionsOf(result.document).includes('iam:CreatePolicyVersion'));
+    assert.ok(result.size <= 6144);
+});
+
+test('keeps split wildcards within the IAM size limit', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: ['ec2:*', 's3:*'], Resource: '*' }));
+    assert.deepStrictEqual(result.remaining, []);
+    assert.ok(result.size <= 6144, `${result.size} characters`);
+});
+
+test('splits verbs holding removed permissions by their next word', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: 'ec2:*', Resource: '*' }));
+    const granted = run('__catalog.filter(action => __patterns.some(pattern => PolicyExpansion.actionPatternToRegex(pattern).test(action)))',
+        { __patterns: actionsOf(result.document) });
+    assert.ok(actionsOf(result.document).includes('ec2:DeleteVpc*'));
+    assert.ok(!granted.includes('ec2:TerminateInstances'));
+    assert.ok(!granted.includes('ec2:DeleteSnapshot'));
+    assert.ok(granted.every(action => action.startsWith('ec2:')));
+});
+
+test('narrows full admin access to the services used', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: '*', Resource: '*' }), true, { source: 'CloudTrail logs', services: ['S3', 'iam'] });
+    assert.ok(!result.issueTypes.includes('FULL_ADMIN'));
+    assert.deepStrictEqual(result.remaining, []);
+    assert.ok(result.riskLevel < 10);
+    assert.deepStrictEqual([...new Set(actionsOf(result.document).map(action => action.split(':')[0]))].sort(), ['iam', 's3']);
+    assert.ok(result.size <= 6144, `${result.size} characters`);
+    assert.deepStrictEqual(result.warnings, []);
+});
+
+test('refuses a rewrite over the IAM size limit', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: '*', Resource: '*' }));
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('IAM limit'));
+    assert.ok(result.error.includes('CloudTrail'));
+});
+
+test('replaces Allow + NotAction with service wildcards', () => {
+    const result = remediate(policy({ Effect: 'Allow', NotAction: ['iam:*', 's3:Delete*'], Resource: '*' }), true,
+        { source: 'Access Advisor', services: ['iam', 's3', 'sqs', 'sns'] });
+    const statement = result.document.Statement[0];
+    assert.ok(!result.issueTypes.includes('NOT_ACTION_ALLOW'));
+    assert.deepStrictEqual(result.remaining, []);
+    assert.strictEqual(statement.NotAction, undefined);
+    assert.ok(!statement.Action.includes('iam:*'));
+    assert.ok(!statement.Action.includes('s3:*'));
+    assert.deepStrictEqual(statement.Action, ['sns:*', 'sqs:*']);
+});
+
+test('denies PassRole to the abused services', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: ['iam:PassRole', 'lambda:CreateFunction', 'lambda:InvokeFunction'], Resource: '*' }));
+    const deny = result.document.Statement.find(statement => statement.Sid === 'DenyPassRoleToEscalationServices');
+    assert.deepStrictEqual(deny.Condition.StringEquals['iam:PassedToService'], ['lambda.amazonaws.com']);
+    assert.deepStrictEqual(result.remaining, []);
+    assert.ok(actionsOf(result.document).includes('lambda:CreateFunction'));
+});
+
+test('removes the permission shared by the most findings', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: ['iam:AttachRolePolicy', 'iam:PutRolePolicy', 'sts:AssumeRole'], Resource: '*' }));
+    assert.deepStrictEqual(result.remaining, []);
+    assert.deepStrictEqual(actionsOf(result.document), ['iam:AttachRolePolicy', 'iam:PutRolePolicy']);
+});
+
+test('falls back to an explicit Deny without a catalog', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: 'iam:*', Resource: '*' }), false);
+    const deny = result.document.Statement.find(statement => statement.Sid === 'DenyHighRiskActions');
+    assert.ok(deny.Action.map(action => action.toLowerCase()).includes('iam:createpolicyversion'));
+    assert.deepStrictEqual(actionsOf(result.document), ['iam:*']);
+    assert.deepStrictEqual(result.remaining, []);
+});
+
+test('warns when findings remain', () => {
+    const result = remediate(policy({ Effect: 'Allow', Action: '*', Resource: '*' }), false);
+    assert.ok(result.remaining.length > 0);
+    assert.ok(result.warnings.some(warning => warning.includes('remain')));
+});
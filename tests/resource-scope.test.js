@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+// PassRoleToLambda finding when PassRole is granted on the given resources
+const passRoleFinding = (passRoleResource) => run('analyzePolicyForShadowAdmin(__policy)', {
+    __policy: {
+        Version: '2012-10-17',
+        Statement: [
+            { Effect: 'Allow', Action: 'iam:PassRole', Resource: passRoleResource },
+            { Effect: 'Allow', Action: ['lambda:CreateFunction', 'lambda:InvokeFunction'], Resource: '*' }
+        ]
+    }
+}).detectedMethods.find(finding => finding.method === 'PassRoleToLambda');
+
+test('PassRole on every role keeps the full risk', () => {
+    const finding = passRoleFinding('*');
+    assert.strictEqual(finding.resourceScope, 'all');
+    assert.strictEqual(finding.effectiveRiskLevel, 10);
+});
+
+test('PassRole on named roles is narrow and rated lower', () => {
+    ['arn:aws:iam::*:role/lambda-basic', 'arn:aws:iam::123456789012:role/app-*'].forEach(resource => {
+        const finding = passRoleFinding(resource);
+        assert.strictEqual(finding.resourceScope, 'narrow', resource);
+        assert.ok(finding.effectiveRiskLevel < 10, resource);
+        assert.deepStrictEqual(finding.resources['iam:passrole'], [resource]);
+    });
+});
+
+test('PassRole on every role of an account is broad', () => {
+    const finding = passRoleFinding('arn:aws:iam::123456789012:role/*');
+    assert.strictEqual(finding.resourceScope, 'broad');
+    assert.ok(finding.effectiveRiskLevel > passRoleFinding('arn:aws:iam::123456789012:role/app-*').effectiveRiskLevel);
+});
+
+test('findings list the resources of every permission', () => {
+    const finding = passRoleFinding(['arn:aws:iam::123456789012:role/a', 'arn:aws:iam::123456789012:role/b']);
+    assert.deepStrictEqual(finding.resources, {
+        'iam:passrole': ['arn:aws:iam::123456789012:role/a', 'arn:aws:iam::123456789012:role/b'],
+        'lambda:createfunction': ['*'],
+        'lambda:invokefunction': ['*']
+    });
+});
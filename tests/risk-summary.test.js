@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+const analyze = (...statements) => run('analyzePolicyForShadowAdmin(__policy)', { __policy: { Version: '2012-10-17', Statement: statements } });
+
+test('wildcards in Deny statements are not flagged', () => {
+    const analysis = analyze({ Effect: 'Deny', Action: '*', Resource: '*' });
+    assert.deepStrictEqual(analysis.issues, []);
+    assert.strictEqual(analysis.riskLevel, 0);
+    assert.strictEqual(analysis.summary, 'No significant security issues detected');
+});
+
+test('high risk summaries name the cause instead of an empty count', () => {
+    const analysis = analyze(
+        { Effect: 'Allow', Action: '*', Resource: 'arn:aws:s3:::reports/*' },
+        { Effect: 'Deny', Action: '*', Resource: '*' }
+    );
+    assert.deepStrictEqual(analysis.impactFindings, []);
+    assert.deepStrictEqual(analysis.detectedMethods, []);
+    assert.strictEqual(analysis.summary, 'HIGH RISK: Wildcard Actions Detected');
+});
+
+test('high risk summaries count impact findings when there are some', () => {
+    const analysis = analyze({ Effect: 'Allow', Action: ['cloudtrail:StopLogging', 'cloudtrail:DeleteTrail'], Resource: '*' });
+    assert.ok(analysis.riskLevel >= 8);
+    assert.match(analysis.summary, /^HIGH RISK: [1-9]\d* data access, destructive or defense evasion finding\(s\)$/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+const findings = (actions) => run(
+    'analyzePolicyForShadowAdmin(__policy).impactFindings.map(finding => finding.method)',
+    { __policy: { Version: '2012-10-17', Statement: [{ Effect: 'Allow', Action: actions, Resource: '*' }] } }
+);
+
+test('SSM parameter reads are detected for each read API', () => {
+    assert.ok(findings(['ssm:GetParameter']).includes('SSMReadParameters'));
+    assert.ok(findings(['ssm:GetParameters']).includes('SSMReadParametersBatch'));
+    assert.ok(findings(['ssm:GetParametersByPath']).includes('SSMReadParametersByPath'));
+    assert.deepStrictEqual(findings(['ssm:DescribeParameters']), []);
+});
+
+const pack = (rules) => ({ id: 'team-rules', version: '1.0.0', rules });
+const rule = { id: 'put-bucket-acl', name: 'PutBucketAcl', category: 'Data', description: 'Can open buckets', permissions: ['s3:PutBucketAcl'], riskLevel: 6 };
+
+test('runtime packs add methods to the analysis and can be removed', () => {
+    const methods = () => run("analyzePolicyForShadowAdmin({ Statement: [{ Effect: 'Allow', Action: 's3:PutBucketAcl', Resource: '*' }] }).detectedMethods.map(finding => finding.method)");
+    assert.deepStrictEqual(run('rulePacks.loadPack(__pack)', { __pack: pack([rule]) }).success, true);
+    assert.deepStrictEqual(methods(), ['PutBucketAcl']);
+    assert.deepStrictEqual(run("rulePacks.removePack('team-rules')").success, true);
+    assert.deepStrictEqual(methods(), []);
+});
+
+test('invalid packs are rejected with the first problem', () => {
+    const error = (value) => run('rulePacks.loadPack(__pack).error', { __pack: value });
+    assert.strictEqual(error([]), 'Rule pack must be a JSON object');
+    assert.strictEqual(error(pack([])), 'Rule pack needs a non-empty rules array');
+    assert.strictEqual(error(pack([{ ...rule, permissions: ['s3 PutBucketAcl'] }])), 'Rule put-bucket-acl: invalid permission s3 PutBucketAcl');
+    assert.strictEqual(error(pack([{ ...rule, riskLevel: 11 }])), 'Rule put-bucket-acl: riskLevel must be an integer from 1 to 10');
+    assert.strictEqual(error(pack([{ ...rule, name: 'PutUserPolicy' }])), 'Method PutUserPolicy is already defined by pack builtin-escalation');
+    assert.strictEqual(error({ ...pack([rule]), id: 'builtin-escalation' }), 'Pack id builtin-escalation is reserved by the built-in rules');
+    assert.strictEqual(run("rulePacks.loadPackText('{').success"), false);
+});
+
+test('a built-in pack that fails to load stops initialization', async () => {
+    const fresh = loadScripts(['policy-expansion.js', 'policy-evaluator.js', 'aws-handler.js', 'rule-packs.js'], {
+        fetch: async () => ({ ok: false, status: 404 })
+    });
+    fresh("rulePacks.initialize().catch(error => { __error = error.message; }), undefined");
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(fresh('__error'), 'Failed to load built-in rule pack data/rule-packs/builtin-escalation.json (HTTP 404)');
+    assert.deepStrictEqual(fresh('Object.keys(ESCALATION_METHODS)'), []);
+});
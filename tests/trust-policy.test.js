@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAnalyzer } = require('./helpers');
+
+const run = loadAnalyzer();
+
+const trust = (principal, condition) => ({
+    Version: '2012-10-17',
+    Statement: [{ Effect: 'Allow', Principal: { AWS: principal }, Action: 'sts:AssumeRole', ...(condition && { Condition: condition }) }]
+});
+
+const issueTypes = (document, context) => run('analyzeTrustPolicy(__document, __context)', { __document: document, __context: context })
+    .issues.map(issue => issue.type);
+
+test('principals of another account than the role are cross-account', () => {
+    const context = { roleArn: 'arn:aws:iam::111111111111:role/app' };
+    assert.deepStrictEqual(issueTypes(trust('arn:aws:iam::222222222222:role/ci'), context), ['TRUST_CROSS_ACCOUNT']);
+    assert.deepStrictEqual(issueTypes(trust('arn:aws:iam::111111111111:root'), context), ['TRUST_ACCOUNT_ROOT']);
+    assert.deepStrictEqual(issueTypes(trust('arn:aws:iam::111111111111:role/ci'), context), []);
+});
+
+test('the role ARN decides the account over the caller account', () => {
+    const context = { roleArn: 'arn:aws:iam::111111111111:role/app', accountId: '222222222222' };
+    assert.deepStrictEqual(issueTypes(trust('arn:aws:iam::222222222222:role/ci'), context), ['TRUST_CROSS_ACCOUNT']);
+});
+
+test('without the role account, account principals are flagged as unknown', () => {
+    assert.deepStrictEqual(issueTypes(trust('arn:aws:iam::222222222222:role/ci')), ['TRUST_UNKNOWN_ACCOUNT']);
+    assert.deepStrictEqual(issueTypes(trust('222222222222')), ['TRUST_UNKNOWN_ACCOUNT']);
+    assert.deepStrictEqual(issueTypes(trust('arn:aws:iam::222222222222:root', { StringEquals: { 'sts:ExternalId': 'x' } })), []);
+});
@@ -0,0 +1,150 @@
+#!/bin/bash
+
+###############################################################################
+# Refresh the bundled AWS action catalog
+#
+# Converts a source of AWS action names into data/aws-action-catalog.json,
+# which the app loads locally instead of injecting a third-party script at
+# runtime. Two sources are supported:
+# - the @cloud-copilot/iam-data npm package, published daily from the AWS
+#   Service Authorization Reference (needs npm and the npm registry only)
+# - the AWS Policy Generator service map (policies.js)
+#
+# Usage:
+#   ./update-action-catalog.sh --iam-data [version] # npm package (default: latest)
+#   ./update-action-catalog.sh                      # download latest policies.js
+#   ./update-action-catalog.sh path/policies.js     # convert an existing copy
+#                                                   # (e.g. for air-gapped refresh)
+###############################################################################
+
+set -e
+
+# Colors
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+RED='\033[0;31m'
+NC='\033[0m'
+
+SOURCE_URL="https://awspolicygen.s3.amazonaws.com/js/policies.js"
+CATALOG_FILE="data/aws-action-catalog.json"
+
+if ! command -v python3 &> /dev/null; then
+    echo -e "${RED}Error: python3 is required to build the catalog${NC}"
+    exit 1
+fi
+
+mkdir -p data
+
+if [ "$1" = "--iam-data" ]; then
+    if ! command -v npm &> /dev/null; then
+        echo -e "${RED}Error: npm is required to download @cloud-copilot/iam-data${NC}"
+        exit 1
+    fi
+
+    PACKAGE="@cloud-copilot/iam-data@${2:-latest}"
+    TMP_DIR=$(mktemp -d)
+    trap 'rm -rf "$TMP_DIR"' EXIT
+
+    echo -e "${GREEN}Downloading $PACKAGE...${NC}"
+    TARBALL=$(npm pack "$PACKAGE" --pack-destination "$TMP_DIR" --silent | tail -1)
+    tar xzf "$TMP_DIR/$TARBALL" -C "$TMP_DIR"
+
+    # data/actions/<prefix>.json maps lowercased action keys to { name, ... };
+    # the catalog is stamped with the date of the AWS data, not of this run
+    python3 - "$TMP_DIR/package" "$CATALOG_FILE" <<'PYTHON'
+import json
+import os
+import sys
+
+package_dir, catalog_file = sys.argv[1:3]
+
+with open(os.path.join(package_dir, 'package.json'), encoding='utf-8') as f:
+    package = json.load(f)
+
+actions_dir = os.path.join(package_dir, 'data', 'actions')
+service_map = {}
+for file_name in sorted(os.listdir(actions_dir)):
+    prefix = file_name[:-len('.json')]
+    with open(os.path.join(actions_dir, file_name), encoding='utf-8') as f:
+        actions = json.load(f)
+    service_map[prefix] = {
+        'StringPrefix': prefix,
+        'Actions': sorted(set(action['name'] for action in actions.values()))
+    }
+
+updated_at = package['updatedAt']
+catalog = {
+    'version': updated_at[:10].replace('-', '.'),
+    'generatedAt': updated_at,
+    'source': f"{package['name']}@{package['version']} (AWS Service Authorization Reference data)",
+    'serviceMap': service_map
+}
+
+with open(catalog_file, 'w', encoding='utf-8') as f:
+    json.dump(catalog, f, indent=2)
+    f.write('\n')
+
+action_count = sum(len(s['Actions']) for s in service_map.values())
+print(f"Catalog {catalog['version']}: {len(service_map)} services, {action_count} actions")
+PYTHON
+
+    echo ""
+    echo -e "${GREEN}✓ Wrote $CATALOG_FILE${NC}"
+    echo ""
+    exit 0
+fi
+
+TMP_FILE=$(mktemp)
+trap 'rm -f "$TMP_FILE"' EXIT
+
+if [ -n "$1" ]; then
+    echo -e "${GREEN}Using local policies.js: $1${NC}"
+    cp "$1" "$TMP_FILE"
+    SOURCE="$1"
+else
+    echo -e "${GREEN}Downloading $SOURCE_URL...${NC}"
+    curl -fsSL "$SOURCE_URL" -o "$TMP_FILE"
+    SOURCE="$SOURCE_URL"
+fi
+
+# policies.js is "app.PolicyEditorConfig={...}" - parse the JSON payload
+# without executing any of the downloaded code
+python3 - "$TMP_FILE" "$CATALOG_FILE" "$SOURCE" <<'PYTHON'
+import json
+import sys
+from datetime import datetime, timezone
+
+source_file, catalog_file, source = sys.argv[1:4]
+
+with open(source_file, encoding='utf-8') as f:
+    content = f.read()
+
+payload = content[content.index('=') + 1:].strip().rstrip(';')
+config = json.loads(payload)
+
+service_map = {}
+for name, service in sorted(config['serviceMap'].items()):
+    service_map[name] = {
+        'StringPrefix': service['StringPrefix'],
+        'Actions': sorted(set(service.get('Actions', [])))
+    }
+
+now = datetime.now(timezone.utc)
+catalog = {
+    'version': now.strftime('%Y.%m.%d'),
+    'generatedAt': now.strftime('%Y-%m-%dT%H:%M:%SZ'),
+    'source': source,
+    'serviceMap': service_map
+}
+
+with open(catalog_file, 'w', encoding='utf-8') as f:
+    json.dump(catalog, f, indent=2)
+    f.write('\n')
+
+action_count = sum(len(s['Actions']) for s in service_map.values())
+print(f"Catalog {catalog['version']}: {len(service_map)} services, {action_count} actions")
+PYTHON
+
+echo ""
+echo -e "${GREEN}✓ Wrote $CATALOG_FILE${NC}"
+echo ""